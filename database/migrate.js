@@ -0,0 +1,174 @@
+const Appointment = require('../models/Appointment');
+const MedicalRecord = require('../models/MedicalRecord');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const StockMovement = require('../models/StockMovement');
+const User = require('../models/User');
+const stock = require('../utils/stock');
+const availability = require('../utils/availability');
+const recordVersions = require('../utils/recordVersions');
+
+// Run one migration step; a failure is logged without stopping the steps after it
+async function step(name, migrate) {
+    try {
+        await migrate();
+    } catch (error) {
+        console.error(`Error migrating data (${name}):`, error);
+    }
+}
+
+// Bookings that share a doctor's slot, oldest first in each group; times are normalized first
+async function findDoubleBookings() {
+    return Appointment.aggregate([
+        { $match: { status: { $ne: 'cancelled' }, holds_slot: { $ne: false } } },
+        { $sort: { created_at: 1, _id: 1 } },
+        {
+            $group: {
+                _id: { doctor_id: '$doctor_id', date: '$appointment_date', time: '$appointment_time' },
+                ids: { $push: '$_id' }
+            }
+        },
+        { $match: { 'ids.1': { $exists: true } } }
+    ]);
+}
+
+// Bring existing documents in line with fields added after they were written
+const migrateData = async () => {
+    // Times are compared as HH:MM, so '9:00' and '09:00' are the same slot and must be stored
+    // alike before looking for double bookings. Once the slot index exists, a booking whose
+    // normalized slot is already held is flagged like any other double booking.
+    await step('appointment times', async () => {
+        const unnormalized = await Appointment.find({ appointment_time: { $not: /^\d{2}:\d{2}$/ } })
+            .select('appointment_time');
+        let normalized = 0;
+        for (const appointment of unnormalized) {
+            const time = availability.normalizeTime(appointment.appointment_time);
+            if (!time) {
+                console.error(`Cannot read the time '${appointment.appointment_time}' of appointment ${appointment._id}`);
+                continue;
+            }
+            try {
+                await Appointment.updateOne({ _id: appointment._id }, { $set: { appointment_time: time } });
+            } catch (error) {
+                if (!availability.isSlotConflictError(error)) throw error;
+                await Appointment.updateOne(
+                    { _id: appointment._id },
+                    { $set: { appointment_time: time, holds_slot: false, needs_reschedule: true } }
+                );
+            }
+            normalized++;
+        }
+        if (normalized > 0) {
+            console.log(`Normalized the time of ${normalized} appointments`);
+        }
+    });
+
+    // Double bookings made before the unique slot index would break it: the oldest booking
+    // keeps the slot and the rest are flagged for staff to reschedule
+    await step('double bookings', async () => {
+        const groups = await findDoubleBookings();
+        const displaced = groups.flatMap((group) => group.ids.slice(1));
+        if (displaced.length > 0) {
+            await Appointment.updateMany(
+                { _id: { $in: displaced } },
+                { $set: { holds_slot: false, needs_reschedule: true } }
+            );
+            console.log(`Flagged ${displaced.length} double-booked appointments for rescheduling`);
+        }
+    });
+
+    // Appointments created before the unique slot index need holds_slot set
+    await step('holds_slot', async () => {
+        const cancelled = await Appointment.updateMany(
+            { holds_slot: { $exists: false }, status: 'cancelled' },
+            { $set: { holds_slot: false } }
+        );
+        const active = await Appointment.updateMany(
+            { holds_slot: { $exists: false } },
+            { $set: { holds_slot: true } }
+        );
+        if (cancelled.modifiedCount + active.modifiedCount > 0) {
+            console.log(`Backfilled holds_slot on ${cancelled.modifiedCount + active.modifiedCount} appointments`);
+        }
+    });
+
+    // The old 'scheduled' status is 'confirmed' in the appointment lifecycle
+    await step('appointment status', async () => {
+        const scheduled = await Appointment.updateMany(
+            { status: 'scheduled' },
+            { $set: { status: 'confirmed' } }
+        );
+        if (scheduled.modifiedCount > 0) {
+            console.log(`Moved ${scheduled.modifiedCount} scheduled appointments to confirmed`);
+        }
+    });
+
+    // Records written before versioning become editable drafts at version 1
+    await step('record versions', async () => {
+        const unversioned = await MedicalRecord.find({ version: { $exists: false } });
+        for (const record of unversioned) {
+            await MedicalRecord.updateOne(
+                { _id: record._id },
+                { $set: { version: 1, status: 'draft' } }
+            );
+            await recordVersions.saveVersion(record, null, 'Existing record');
+        }
+        if (unversioned.length > 0) {
+            console.log(`Created version history for ${unversioned.length} medical records`);
+        }
+    });
+
+    // Stock held before batch tracking becomes one opening batch per medicine
+    await step('opening batches', async () => {
+        const batched = await MedicineBatch.distinct('medicine_id');
+        const unbatched = await Medicine.find({ _id: { $nin: batched }, stock_quantity: { $gt: 0 } });
+        for (const medicine of unbatched) {
+            await stock.receiveBatch(medicine._id, {
+                batch_number: 'OPENING',
+                expiry_date: medicine.expiry_date,
+                quantity: medicine.stock_quantity
+            });
+        }
+        if (unbatched.length > 0) {
+            console.log(`Created opening batches for ${unbatched.length} medicines`);
+        }
+    });
+
+    // Batches received before the stock ledger start it with one receipt of what they hold
+    await step('opening ledger', async () => {
+        const ledgered = await StockMovement.distinct('batch_id');
+        const unledgered = await MedicineBatch.find({ _id: { $nin: ledgered } });
+        if (unledgered.length > 0) {
+            await StockMovement.insertMany(unledgered.map((batch) => ({
+                medicine_id: batch.medicine_id,
+                batch_id: batch._id,
+                batch_number: batch.batch_number,
+                type: 'receipt',
+                quantity: batch.quantity,
+                balance_after: batch.quantity,
+                reason: 'Opening balance',
+                created_at: batch.received_at
+            })));
+            console.log(`Opened the stock ledger for ${unledgered.length} batches`);
+        }
+    });
+
+    // Emails are now stored lowercased; two accounts differing only in case must be merged by hand
+    await step('user emails', async () => {
+        const users = await User.find({ email: /[A-Z]|^\s|\s$/ }).select('email');
+        for (const user of users) {
+            try {
+                await User.updateOne({ _id: user._id }, { $set: { email: user.email } });
+            } catch (error) {
+                console.error(`Cannot lowercase the email of user ${user._id}:`, error.message);
+            }
+        }
+        if (users.length > 0) {
+            console.log(`Lowercased the email of ${users.length} users`);
+        }
+    });
+
+    await step('appointment indexes', () => Appointment.createIndexes());
+};
+
+module.exports = migrateData;
@@ -27,6 +27,7 @@ const seedAdmin = async () => {
                 {
                     medicine_id: 'MED1001',
                     name: 'Paracetamol 500mg',
+                    active_ingredients: ['paracetamol'],
                     category: 'Analgesic',
                     manufacturer: 'GSK',
                     expiry_date: new Date('2025-12-31'),
@@ -37,6 +38,7 @@ const seedAdmin = async () => {
                 {
                     medicine_id: 'MED1002',
                     name: 'Amoxicillin 250mg',
+                    active_ingredients: ['amoxicillin'],
                     category: 'Antibiotic',
                     manufacturer: 'Pfizer',
                     expiry_date: new Date('2024-10-15'),
@@ -47,6 +49,7 @@ const seedAdmin = async () => {
                 {
                     medicine_id: 'MED1003',
                     name: 'Cetirizine 10mg',
+                    active_ingredients: ['cetirizine'],
                     category: 'Antihistamine',
                     manufacturer: 'Johnson & Johnson',
                     expiry_date: new Date('2025-06-20'),
@@ -0,0 +1,22 @@
+const audit = require('../utils/audit');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Run each request inside an audit context so model hooks can attribute changes to the caller.
+// Mutating requests that changed no audited data (rejected, or only touching sessions and the
+// like) still leave one entry with their outcome.
+const auditContext = (req, res, next) => {
+  const store = { req, entries: 0 };
+
+  if (MUTATING_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      if (store.entries === 0) {
+        audit.record('request', { req, details: { status: res.statusCode } });
+      }
+    });
+  }
+
+  audit.requestContext.run(store, next);
+};
+
+module.exports = { auditContext };
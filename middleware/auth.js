@@ -1,6 +1,10 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { isActive } = require('../utils/sessions');
+const { can } = require('../utils/permissions');
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -8,29 +12,56 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    // Tokens must belong to a live session of a user who still holds the same role
+    if (!payload.sid) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+
+    const [user, session] = await Promise.all([
+      User.findById(payload.id).select('role'),
+      Session.findById(payload.sid).select('user_id revoked_at expires_at')
+    ]);
+
+    if (!user) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+    if (user.role !== payload.role) {
+      return res.status(401).json({ error: 'Your role has changed, please log in again' });
     }
-    req.user = user;
+    if (!isActive(session) || session.user_id.toString() !== user._id.toString()) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    req.user = payload;
     next();
-  });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 };
 
-// Role-based authorization middleware
-const authorize = (...roles) => {
+// Permission-table authorization: the user's role needs some scope for resource/action.
+// Routes still check 'own' scope against the record they load.
+const requirePermission = (resource, action) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
-    
-    if (!roles.includes(req.user.role)) {
+
+    if (!can(req.user.role, resource, action)) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
-    
+
     next();
   };
 };
 
-module.exports = { authenticateToken, authorize };
-
+module.exports = { authenticateToken, requirePermission };
@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const rescheduleEntrySchema = new mongoose.Schema({
+    from_date: String,
+    from_time: String,
+    to_date: String,
+    to_time: String,
+    rescheduled_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    role: String, // Role of the user at the time, used to cap customer reschedules
+    reason: String,
+    rescheduled_at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+    from: String,
+    to: String,
+    changed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    role: String,
+    note: String,
+    changed_at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const appointmentSchema = new mongoose.Schema({
     appointment_id: { // The 'APT...' string ID
@@ -24,12 +57,52 @@ const appointmentSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    status: {
+    status: { // Transitions are enforced in utils/appointmentStatus.js
         type: String,
-        default: 'scheduled'
+        enum: ['requested', 'confirmed', 'checked_in', 'in_consultation', 'completed', 'no_show', 'cancelled'],
+        default: 'requested'
+    },
+    status_timestamps: { // When the appointment entered each status
+        requested: Date,
+        confirmed: Date,
+        checked_in: Date,
+        in_consultation: Date,
+        completed: Date,
+        no_show: Date,
+        cancelled: Date
+    },
+    status_history: [statusChangeSchema],
+    cancellation: {
+        reason: String,
+        cancelled_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        role: String,
+        cancelled_at: Date
     },
     reason: String,
     notes: String,
+    series_id: { // Set for occurrences of a recurring series
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries',
+        default: null
+    },
+    series_index: Number, // Position within the series, starting at 0
+    reschedule_history: [rescheduleEntrySchema],
+    holds_slot: { // False once cancelled, or for a double booking until it is moved; backs the unique slot index below
+        type: Boolean,
+        default: true
+    },
+    needs_reschedule: { // Set when a schedule exception now covers this booking
+        type: Boolean,
+        default: false
+    },
+    schedule_exception_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScheduleException',
+        default: null
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -40,8 +113,31 @@ const appointmentSchema = new mongoose.Schema({
     }
 });
 
+// One active booking per doctor, date and time; cancelled appointments free the slot
+appointmentSchema.index(
+    { doctor_id: 1, appointment_date: 1, appointment_time: 1 },
+    { unique: true, partialFilterExpression: { holds_slot: true }, name: 'unique_active_doctor_slot' }
+);
+
+// Cancelling frees the slot; booking or moving an appointment claims one
 appointmentSchema.pre('save', function () {
     this.updated_at = Date.now();
+    if (this.status === 'cancelled') {
+        this.holds_slot = false;
+    } else if (this.isNew || this.isModified('appointment_date') || this.isModified('appointment_time')) {
+        this.holds_slot = true;
+    }
+});
+
+// Keep holds_slot in step with status for query-based updates
+appointmentSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate() || {};
+    const status = update.status !== undefined ? update.status : (update.$set || {}).status;
+    if (status === 'cancelled') {
+        this.set('holds_slot', false);
+    }
 });
 
+appointmentSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
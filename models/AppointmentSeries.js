@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const appointmentSeriesSchema = new mongoose.Schema({
+    series_id: { // The 'SER...' string ID
+        type: String,
+        required: true,
+        unique: true
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: true
+    },
+    frequency: {
+        type: String,
+        enum: ['weekly', 'monthly'],
+        required: true
+    },
+    interval: { // Every N weeks or months
+        type: Number,
+        default: 1
+    },
+    start_date: { // YYYY-MM-DD
+        type: String,
+        required: true
+    },
+    until: String, // YYYY-MM-DD, inclusive; either this or count is set
+    count: Number,
+    appointment_time: {
+        type: String,
+        required: true
+    },
+    reason: String,
+    notes: String,
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+appointmentSeriesSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+appointmentSeriesSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
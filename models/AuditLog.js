@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Append-only, hash-chained audit trail. Each entry's hash covers its own fields and the
+// previous entry's hash, so editing or removing an entry breaks the chain (see utils/audit).
+const auditLogSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    action: { // e.g. 'patient.read', 'appointment.update', 'auth.lockout'
+        type: String,
+        required: true
+    },
+    actor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actor_role: String,
+    ip: String,
+    method: String,
+    path: String,
+    resource_type: String,
+    resource_id: String,
+    patient_id: { // Patient the entry concerns, for per-patient access reports
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
+    changes: mongoose.Schema.Types.Mixed, // { field: { before, after } }
+    details: mongoose.Schema.Types.Mixed,
+    prev_hash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+}, { minimize: false }); // Keep empty objects so stored entries hash exactly as written
+
+auditLogSchema.index({ action: 1, created_at: -1 });
+auditLogSchema.index({ actor_id: 1, created_at: -1 });
+auditLogSchema.index({ patient_id: 1, created_at: -1 });
+auditLogSchema.index({ resource_type: 1, resource_id: 1, created_at: -1 });
+
+function appendOnly() {
+    throw new Error('Audit log entries are append-only');
+}
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) appendOnly();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    appendOnly
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
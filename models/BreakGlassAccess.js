@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Emergency access to a patient outside any care relationship; every use is audited
+const breakGlassAccessSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+breakGlassAccessSchema.index({ user_id: 1, patient_id: 1, expires_at: -1 });
+
+module.exports = mongoose.model('BreakGlassAccess', breakGlassAccessSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// Units taken from one batch
+const dispensedBatchSchema = new mongoose.Schema({
+    batch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MedicineBatch'
+    },
+    batch_number: String,
+    expiry_date: Date,
+    quantity: Number
+}, { _id: false });
+
+// Medicine handed out against one prescription line
+const dispensedItemSchema = new mongoose.Schema({
+    item_id: { // Line on the prescription
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+    },
+    medicine_name: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    batches: [dispensedBatchSchema] // First expiry first out
+}, { _id: false });
+
+// One fill of a prescription by the pharmacy; a prescription may be filled over several
+const dispensationSchema = new mongoose.Schema({
+    prescription_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Prescription',
+        required: true
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    items: [dispensedItemSchema],
+    notes: String,
+    dispensed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    dispensed_by_role: String,
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+dispensationSchema.index({ prescription_id: 1, created_at: 1 });
+
+dispensationSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Dispensation', dispensationSchema);
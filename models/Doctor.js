@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// A time window, optionally tied to a weekday (0 = Sunday ... 6 = Saturday)
+const timeRangeSchema = new mongoose.Schema({
+    day: {
+        type: Number,
+        min: 0,
+        max: 6
+    },
+    start: { // HH:MM
+        type: String,
+        required: true
+    },
+    end: { // HH:MM
+        type: String,
+        required: true
+    },
+    label: String
+}, { _id: false });
 
 const doctorSchema = new mongoose.Schema({
     doctor_id: { // The 'DOC...' string ID
@@ -18,14 +37,24 @@ const doctorSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    department: String, // Treating department; colleagues share access to its patients
     phone: String,
     email: String,
     qualification: String,
     experience_years: Number,
     consultation_fee: Number,
-    available_days: String, // You might want to make this an array of strings in the future
+    available_days: String, // Legacy free text, used only when no structured schedule is set
     available_time_start: String,
     available_time_end: String,
+    schedule: {
+        weekly: [timeRangeSchema], // One or more working ranges per weekday
+        slot_duration: { // Minutes
+            type: Number,
+            default: 30
+        },
+        breaks: [timeRangeSchema] // Breaks without a day apply every day
+    },
+    cancellation_cutoff_hours: Number, // Customers cannot cancel closer than this; falls back to CANCELLATION_CUTOFF_HOURS
     status: {
         type: String,
         default: 'active'
@@ -44,4 +73,6 @@ doctorSchema.pre('save', function () {
     this.updated_at = Date.now();
 });
 
+doctorSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Doctor', doctorSchema);
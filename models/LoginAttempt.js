@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+    key: { // 'account:<email>' or 'ip:<address>'
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    window_started_at: Date,
+    last_failed_at: Date,
+    next_attempt_at: Date,
+    locked_until: Date,
+    expires_at: Date // documents are removed once nothing about them is still in force
+});
+
+loginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// Further notes on a signed record, which itself can no longer change
+const addendumSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    author_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    author_role: String,
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const medicalRecordSchema = new mongoose.Schema({
     record_id: { // The 'REC...' string ID
@@ -29,6 +51,30 @@ const medicalRecordSchema = new mongoose.Schema({
         type: String, // YYYY-MM-DD
         required: true
     },
+    version: { // Bumped on every edit; each version is kept in MedicalRecordVersion
+        type: Number,
+        default: 1
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'signed', 'entered_in_error'],
+        default: 'draft'
+    },
+    signed_at: Date,
+    signed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    addenda: [addendumSchema],
+    entered_in_error: {
+        reason: String,
+        marked_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        role: String,
+        marked_at: Date
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -43,4 +89,6 @@ medicalRecordSchema.pre('save', function () {
     this.updated_at = Date.now();
 });
 
+medicalRecordSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('MedicalRecord', medicalRecordSchema);
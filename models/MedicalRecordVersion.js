@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a medical record's clinical content at one version; never updated
+const medicalRecordVersionSchema = new mongoose.Schema({
+    record_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MedicalRecord',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    appointment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    diagnosis: String,
+    symptoms: String,
+    prescription: String,
+    test_results: String,
+    notes: String,
+    visit_date: String,
+    change_reason: String,
+    edited_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    edited_by_role: String,
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+medicalRecordVersionSchema.index({ record_id: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('MedicalRecordVersion', medicalRecordVersionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const medicineSchema = new mongoose.Schema({
     medicine_id: {
@@ -15,7 +16,8 @@ const medicineSchema = new mongoose.Schema({
         required: true
     },
     manufacturer: String,
-    expiry_date: Date,
+    active_ingredients: [String], // Lower case; checked against allergies and drug interactions
+    expiry_date: Date, // Earliest expiry among usable batches
     price: {
         type: Number,
         required: true
@@ -24,16 +26,30 @@ const medicineSchema = new mongoose.Schema({
         type: String, // Path to the image
         default: null
     },
-    stock_quantity: {
+    stock_quantity: { // Units in unexpired batches, kept in step by utils/stock
         type: Number,
         required: true,
         default: 0
     },
+    reorder_level: { // Alert once stock falls to this many units
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reorder_quantity: { // Suggested units to order when it does
+        type: Number,
+        default: 0,
+        min: 0
+    },
     status: {
         type: String,
         enum: ['available', 'out of stock', 'expired'],
         default: 'available'
     },
+    active: { // Deleted medicines with stock history are kept, inactive, for the ledger
+        type: Boolean,
+        default: true
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -44,7 +60,7 @@ const medicineSchema = new mongoose.Schema({
     }
 });
 
-medicineSchema.pre('save', function (next) {
+medicineSchema.pre('save', function () {
     this.updated_at = Date.now();
     if (this.stock_quantity <= 0) {
         this.status = 'out of stock';
@@ -53,7 +69,8 @@ medicineSchema.pre('save', function (next) {
     } else {
         this.status = 'available';
     }
-    next();
 });
 
+medicineSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Medicine', medicineSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// A delivered lot of a medicine; the medicine's stock is the sum of its unexpired batches
+const medicineBatchSchema = new mongoose.Schema({
+    medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+    },
+    batch_number: {
+        type: String,
+        required: true
+    },
+    expiry_date: Date, // Unset for stock that does not expire
+    quantity: { // Units left in the batch
+        type: Number,
+        required: true,
+        min: 0
+    },
+    received_quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unit_cost: {
+        type: Number,
+        min: 0
+    },
+    supplier: String,
+    supplier_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
+    purchase_order_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder'
+    },
+    received_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    received_at: {
+        type: Date,
+        default: Date.now
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+medicineBatchSchema.index({ medicine_id: 1, batch_number: 1 }, { unique: true });
+medicineBatchSchema.index({ medicine_id: 1, expiry_date: 1 });
+
+medicineBatchSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+medicineBatchSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('MedicineBatch', medicineBatchSchema);
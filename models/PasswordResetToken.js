@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    token_hash: { // SHA-256 of the emailed token; the token itself is never stored
+        type: String,
+        required: true,
+        unique: true
+    },
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    used_at: Date,
+    requested_ip: String,
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+passwordResetTokenSchema.index({ user_id: 1, used_at: 1 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const patientSchema = new mongoose.Schema({
     patient_id: { // The 'PAT...' string ID
@@ -28,7 +29,7 @@ const patientSchema = new mongoose.Schema({
     emergency_contact_name: String,
     emergency_contact_phone: String,
     blood_group: String,
-    allergies: String,
+    allergies: String, // Free text, comma or semicolon separated; checked when prescribing
     created_at: {
         type: Date,
         default: Date.now
@@ -43,4 +44,6 @@ patientSchema.pre('save', function () {
     this.updated_at = Date.now();
 });
 
+patientSchema.plugin(auditPlugin, { patientField: '_id' });
+
 module.exports = mongoose.model('Patient', patientSchema);
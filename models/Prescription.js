@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// One medicine on a prescription; the name is kept so the line still reads if the catalog changes
+const prescriptionItemSchema = new mongoose.Schema({
+    medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+    },
+    medicine_name: String,
+    dose: { // e.g. "500 mg"
+        type: String,
+        required: true
+    },
+    route: {
+        type: String,
+        enum: ['oral', 'sublingual', 'topical', 'inhaled', 'nasal', 'ophthalmic', 'otic', 'rectal',
+            'vaginal', 'subcutaneous', 'intramuscular', 'intravenous', 'other'],
+        required: true
+    },
+    frequency: { // e.g. "twice daily"
+        type: String,
+        required: true
+    },
+    duration: { // e.g. "7 days"
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    dispensed_quantity: {
+        type: Number,
+        default: 0
+    },
+    instructions: String
+});
+
+// Problems found when the prescription was written. Catalog ones (expired, stock) do not block
+// it; allergies, interactions and unknown ingredients (see utils/drugInteractions) had to be
+// acknowledged by the prescriber.
+const prescriptionWarningSchema = new mongoose.Schema({
+    key: String, // Identifies a clinical warning for acknowledgement
+    medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine'
+    },
+    type: {
+        type: String,
+        enum: ['expired', 'out_of_stock', 'insufficient_stock', 'allergy', 'interaction', 'ingredients_unknown']
+    },
+    severity: {
+        type: String,
+        enum: ['minor', 'moderate', 'major', 'contraindicated']
+    },
+    ingredients: [String],
+    interacting_medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine'
+    },
+    interacting_prescription_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Prescription'
+    },
+    message: String,
+    acknowledged_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    acknowledged_at: Date
+}, { _id: false });
+
+const prescriptionSchema = new mongoose.Schema({
+    prescription_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    record_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MedicalRecord',
+        required: true
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: true
+    },
+    items: {
+        type: [prescriptionItemSchema],
+        validate: [(items) => items.length > 0, 'A prescription needs at least one item']
+    },
+    warnings: [prescriptionWarningSchema],
+    status: {
+        type: String,
+        enum: ['active', 'partially_dispensed', 'dispensed', 'cancelled'],
+        default: 'active'
+    },
+    notes: String,
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+prescriptionSchema.index({ patient_id: 1, created_at: -1 });
+prescriptionSchema.index({ record_id: 1 });
+
+prescriptionSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+prescriptionSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
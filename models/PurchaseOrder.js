@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+    medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+    },
+    medicine_name: String,
+    quantity_ordered: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    quantity_received: {
+        type: Number,
+        default: 0
+    },
+    unit_cost: { // Agreed price per unit
+        type: Number,
+        required: true,
+        min: 0
+    }
+});
+
+// Units of one order line booked into stock as a batch
+const receiptLineSchema = new mongoose.Schema({
+    item_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine'
+    },
+    batch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MedicineBatch'
+    },
+    batch_number: String,
+    expiry_date: Date,
+    quantity: Number,
+    unit_cost: Number, // Invoiced cost, which may differ from the ordered cost
+    catalog_price: Number // Medicine's selling price at the time of receipt
+}, { _id: false });
+
+// A goods-received note: one delivery against the order
+const receiptSchema = new mongoose.Schema({
+    lines: [receiptLineSchema],
+    notes: String,
+    received_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    received_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+    po_number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    supplier_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'partially_received', 'received', 'closed'],
+        default: 'draft'
+    },
+    items: {
+        type: [purchaseOrderItemSchema],
+        validate: [(items) => items.length > 0, 'A purchase order needs at least one item']
+    },
+    receipts: [receiptSchema],
+    expected_date: String, // YYYY-MM-DD
+    notes: String,
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    sent_at: Date,
+    closed_at: Date,
+    close_reason: String,
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+purchaseOrderSchema.index({ supplier_id: 1, status: 1 });
+
+purchaseOrderSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+purchaseOrderSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const queueTokenSchema = new mongoose.Schema({
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: true
+    },
+    date: { // YYYY-MM-DD, tokens restart every day
+        type: String,
+        required: true
+    },
+    token_number: {
+        type: Number,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['booked', 'walk_in'],
+        required: true
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
+    walk_in_name: String, // For walk-ins without a patient record
+    appointment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    reason: String,
+    status: {
+        type: String,
+        enum: ['waiting', 'called', 'completed', 'skipped'],
+        default: 'waiting'
+    },
+    checked_in_at: {
+        type: Date,
+        default: Date.now
+    },
+    called_at: Date,
+    completed_at: Date,
+    skipped_at: Date,
+    recalled_at: Date,
+    issued_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+queueTokenSchema.index({ doctor_id: 1, date: 1, token_number: 1 }, { unique: true });
+
+queueTokenSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+queueTokenSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('QueueToken', queueTokenSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// A doctor handing a patient on to a colleague or a department; open referrals grant care access
+const referralSchema = new mongoose.Schema({
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    from_doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+    },
+    to_doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+    },
+    to_department: String,
+    reason: String,
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closed_at: Date,
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+referralSchema.index({ patient_id: 1, status: 1 });
+
+referralSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+referralSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Referral', referralSchema);
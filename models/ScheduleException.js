@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const scheduleExceptionSchema = new mongoose.Schema({
+    doctor_id: { // Null for hospital-wide exceptions such as public holidays
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        default: null
+    },
+    type: {
+        type: String,
+        enum: ['leave', 'conference', 'holiday', 'other'],
+        required: true
+    },
+    start_date: { // YYYY-MM-DD
+        type: String,
+        required: true
+    },
+    end_date: { // YYYY-MM-DD, inclusive
+        type: String,
+        required: true
+    },
+    start_time: String, // HH:MM, only for partial-day exceptions
+    end_time: String,
+    reason: String,
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+scheduleExceptionSchema.index({ doctor_id: 1, start_date: 1, end_date: 1 });
+
+scheduleExceptionSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+scheduleExceptionSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ScheduleException', scheduleExceptionSchema);
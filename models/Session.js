@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    token_hash: { // SHA-256 of the current refresh token secret; rotated on every refresh
+        type: String,
+        required: true
+    },
+    previous_token_hash: String, // Hash the last refresh replaced, to tell a concurrent refresh from a replay
+    rotated_at: Date,
+    user_agent: String,
+    ip: String,
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    last_used_at: {
+        type: Date,
+        default: Date.now
+    },
+    revoked_at: Date,
+    revoked_reason: String,
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Append-only stock ledger: every change to a batch's quantity is one movement, so a batch's
+// quantity is always the sum of its movements
+const stockMovementSchema = new mongoose.Schema({
+    medicine_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+    },
+    batch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MedicineBatch',
+        required: true
+    },
+    batch_number: String,
+    type: {
+        type: String,
+        enum: ['receipt', 'dispense', 'return', 'damage', 'expiry_write_off', 'stocktake'],
+        required: true
+    },
+    quantity: { // Signed: positive into stock, negative out of it
+        type: Number,
+        required: true
+    },
+    balance_after: Number, // Batch quantity once this movement was applied
+    reason: {
+        type: String,
+        required: true
+    },
+    reference_type: String, // e.g. 'Prescription'
+    reference_id: mongoose.Schema.Types.ObjectId,
+    actor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actor_role: String,
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockMovementSchema.index({ medicine_id: 1, created_at: -1 });
+stockMovementSchema.index({ batch_id: 1, created_at: 1 });
+
+function appendOnly() {
+    throw new Error('Stock movements are append-only');
+}
+
+stockMovementSchema.pre('save', function () {
+    if (!this.isNew) appendOnly();
+});
+stockMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    appendOnly
+);
+stockMovementSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const supplierSchema = new mongoose.Schema({
+    supplier_id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    contact_name: String,
+    email: String,
+    phone: String,
+    address: String,
+    notes: String,
+    active: { // Inactive suppliers keep their history but take no new orders
+        type: Boolean,
+        default: true
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+supplierSchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+supplierSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -9,7 +10,10 @@ const userSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    // Also applied to queries, so lookups match however the address is typed
+    lowercase: true,
+    trim: true
   },
   password: {
     type: String,
@@ -17,7 +21,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['customer', 'doctor', 'admin'],
+    enum: ['customer', 'doctor', 'admin', 'pharmacist', 'receptionist', 'nurse', 'lab_technician'],
     default: 'customer'
   },
   patient_id: {
@@ -28,10 +32,36 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Doctor'
   },
+  password_changed_at: Date,
+  two_factor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: { // base32 TOTP secret, only set once enrolment is confirmed
+      type: String,
+      select: false
+    },
+    pending_secret: { // secret issued by /2fa/enroll awaiting its first valid code
+      type: String,
+      select: false
+    },
+    last_used_step: { // TOTP time step of the last accepted code, to stop replays
+      type: Number,
+      select: false
+    },
+    recovery_codes: { // SHA-256 hashes of unused recovery codes
+      type: [String],
+      select: false
+    },
+    enabled_at: Date
+  },
   created_at: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.plugin(auditPlugin, { redact: ['password', 'two_factor'] });
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+const offerSchema = new mongoose.Schema({
+    appointment_date: String, // YYYY-MM-DD
+    appointment_time: String, // HH:MM
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'expired'],
+        default: 'pending'
+    },
+    offered_at: {
+        type: Date,
+        default: Date.now
+    },
+    expires_at: Date,
+    responded_at: Date
+});
+
+const waitlistEntrySchema = new mongoose.Schema({
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: true
+    },
+    from_date: { // YYYY-MM-DD
+        type: String,
+        required: true
+    },
+    to_date: { // YYYY-MM-DD, inclusive
+        type: String,
+        required: true
+    },
+    earliest_time: String, // Optional HH:MM bounds on offered slots
+    latest_time: String,
+    reason: String,
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    offers: [offerSchema],
+    appointment_id: { // Set once an offer is accepted
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+waitlistEntrySchema.index({ doctor_id: 1, status: 1, created_at: 1 });
+
+waitlistEntrySchema.pre('save', function () {
+    this.updated_at = Date.now();
+});
+
+waitlistEntrySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
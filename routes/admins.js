@@ -1,14 +1,18 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const User = require('../models/User');
+const { revokeAllSessions } = require('../utils/sessions');
+const loginThrottle = require('../utils/loginThrottle');
+const audit = require('../utils/audit');
+const { STAFF_ROLES } = require('../utils/permissions');
 
 const router = express.Router();
 
 // All routes require admin authentication
 router.use(authenticateToken);
-router.use(authorize('admin'));
+router.use(requirePermission('users', 'manage'));
 
 // Get all admins
 router.get('/', async (req, res) => {
@@ -36,6 +40,164 @@ router.get('/', async (req, res) => {
   }
 });
 
+// List accounts and IPs with recent failed logins or active lockouts
+router.get('/lockouts', async (req, res) => {
+  try {
+    const lockouts = await loginThrottle.listLockouts();
+    const { locked } = req.query;
+    res.json(locked === 'true' ? lockouts.filter((entry) => entry.locked) : lockouts);
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Clear failed attempts for an account (email) or IP
+router.delete('/lockouts/:type/:value', async (req, res) => {
+  try {
+    const { type, value } = req.params;
+    if (!['account', 'ip'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be account or ip' });
+    }
+
+    const cleared = await loginThrottle.clearLockout(type, value);
+    if (!cleared) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    await audit.record('auth.lockout_cleared', {
+      req,
+      resource_type: 'login',
+      resource_id: `${type}:${value}`
+    });
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List staff users (pharmacists, receptionists, nurses, lab technicians)
+router.get('/staff', async (req, res) => {
+  try {
+    const { role, search } = req.query;
+
+    let query = { role: { $in: STAFF_ROLES } };
+
+    if (role) {
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+      }
+      query.role = role;
+    }
+
+    if (search) {
+      const regex = new RegExp(search, 'i');
+      query.$or = [
+        { username: regex },
+        { email: regex }
+      ];
+    }
+
+    const staff = await User.find(query)
+      .select('username email role created_at')
+      .sort({ created_at: -1 });
+
+    res.json(staff);
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a staff user
+router.post('/staff', [
+  body('username').notEmpty().withMessage('Username is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('role').isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, password, role } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User with this email or username already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const staff = await User.create({
+      username,
+      email,
+      password: hashedPassword,
+      role
+    });
+
+    await audit.record('users.staff_created', { req, resource_type: 'user', resource_id: staff._id, details: { role } });
+
+    res.status(201).json({
+      id: staff._id,
+      username: staff.username,
+      email: staff.email,
+      role: staff.role,
+      created_at: staff.created_at,
+      message: 'Staff user created successfully',
+      login_email: email,
+      login_username: username
+    });
+  } catch (error) {
+    console.error('Create staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a staff user
+router.delete('/staff/:id', async (req, res) => {
+  try {
+    const staff = await User.findOneAndDelete({ _id: req.params.id, role: { $in: STAFF_ROLES } });
+    if (!staff) {
+      return res.status(404).json({ error: 'Staff user not found' });
+    }
+    await revokeAllSessions(staff._id, 'Account deleted');
+
+    await audit.record('users.staff_deleted', { req, resource_type: 'user', resource_id: staff._id, details: { role: staff.role } });
+
+    res.json({ message: 'Staff user deleted successfully' });
+  } catch (error) {
+    console.error('Delete staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset a user's 2FA (e.g. lost device); they re-enrol at next login and all sessions end
+router.delete('/users/:id/2fa', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    user.two_factor = { enabled: false };
+    await user.save();
+    await revokeAllSessions(user._id, 'Two-factor authentication reset');
+
+    await audit.record('auth.2fa_reset', { req, resource_type: 'user', resource_id: user._id });
+
+    res.json({ message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get admin by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -112,6 +274,7 @@ router.delete('/:id', async (req, res) => {
     if (!admin) {
       return res.status(404).json({ error: 'Admin not found' });
     }
+    await revokeAllSessions(admin._id, 'Account deleted');
 
     res.json({ message: 'Admin deleted successfully' });
   } catch (error) {
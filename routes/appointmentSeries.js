@@ -0,0 +1,370 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const availability = require('../utils/availability');
+const appointmentStatus = require('../utils/appointmentStatus');
+const recurrence = require('../utils/recurrence');
+const permissions = require('../utils/permissions');
+const {
+  generateAppointmentId,
+  rescheduleAppointment,
+  cancelAppointment,
+  releaseSlot
+} = require('../utils/booking');
+const events = require('../utils/events');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const SCOPES = ['this', 'following', 'all'];
+
+// Generate unique series ID
+function generateSeriesId() {
+  return 'SER' + Date.now().toString().slice(-8);
+}
+
+// Upcoming occurrences a scoped edit or cancellation applies to
+async function findScopedAppointments(series, scope, anchor) {
+  const query = {
+    series_id: series._id,
+    status: { $in: appointmentStatus.UPCOMING_STATUSES }
+  };
+  if (scope === 'this') {
+    query._id = anchor._id;
+  } else if (scope === 'following') {
+    query.series_index = { $gte: anchor.series_index };
+  }
+  return Appointment.find(query).sort({ series_index: 1 });
+}
+
+// Validate scope and load the anchor occurrence for 'this' and 'following'
+async function resolveScope(series, scope, appointmentId) {
+  if (!SCOPES.includes(scope)) {
+    return { rejection: { status: 400, error: `Scope must be one of: ${SCOPES.join(', ')}` } };
+  }
+  if (scope === 'all') {
+    return {};
+  }
+  if (!appointmentId) {
+    return { rejection: { status: 400, error: 'Appointment ID is required for this scope' } };
+  }
+  const anchor = await Appointment.findOne({ _id: appointmentId, series_id: series._id });
+  if (!anchor) {
+    return { rejection: { status: 404, error: 'Appointment not found in this series' } };
+  }
+  return { anchor };
+}
+
+// Get all series (filtered by role)
+router.get('/', requirePermission('appointment_series', 'read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    // Doctors and customers can only see their own series
+    const scope = await permissions.scopeQuery(req, 'appointment_series', 'read');
+    if (!scope) {
+      return res.json([]);
+    }
+
+    let query = { ...scope };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const series = await AppointmentSeries.find(query)
+      .populate('patient_id', 'first_name last_name patient_id')
+      .populate('doctor_id', 'first_name last_name specialization doctor_id')
+      .sort({ created_at: -1 });
+
+    res.json(series);
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get series by ID with its occurrences
+router.get('/:id', requirePermission('appointment_series', 'read'), async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id)
+      .populate('patient_id', 'first_name last_name phone email')
+      .populate('doctor_id', 'first_name last_name specialization');
+
+    if (!series) {
+      return res.status(404).json({ error: 'Appointment series not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'appointment_series', 'read', series))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const appointments = await Appointment.find({ series_id: series._id }).sort({ series_index: 1 });
+
+    res.json({ ...series.toObject(), appointments });
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a recurring series (staff, or doctor for own appointments)
+router.post('/', requirePermission('appointment_series', 'create'), [
+  body('patient_id').notEmpty().withMessage('Patient ID is required'),
+  body('doctor_id').notEmpty().withMessage('Doctor ID is required'),
+  body('start_date').notEmpty().withMessage('Start date is required'),
+  body('appointment_time').notEmpty().withMessage('Appointment time is required'),
+  body('frequency').notEmpty().withMessage('Frequency is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { patient_id, doctor_id, frequency, start_date, until, count, reason, notes } = req.body;
+    const interval = req.body.interval !== undefined ? Number(req.body.interval) : 1;
+    const appointment_time = availability.normalizeTime(req.body.appointment_time);
+
+    const recurrenceError = recurrence.validateRecurrence(req.body);
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
+    if (!appointment_time) {
+      return res.status(400).json({ error: 'Appointment time must be HH:MM' });
+    }
+    if (start_date < availability.today()) {
+      return res.status(400).json({ error: 'Start date cannot be in the past' });
+    }
+
+    // Doctors can only create series for themselves
+    if (!(await permissions.canAccess(req, 'appointment_series', 'create', { patient_id, doctor_id }))) {
+      return res.status(403).json({ error: 'You can only create series for your own appointments' });
+    }
+
+    const patient = await Patient.findById(patient_id);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    const doctor = await Doctor.findById(doctor_id);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const series = await AppointmentSeries.create({
+      series_id: generateSeriesId(),
+      patient_id,
+      doctor_id,
+      frequency,
+      interval,
+      start_date,
+      until: until || undefined,
+      count: count !== undefined && count !== null ? Number(count) : undefined,
+      appointment_time,
+      reason,
+      notes,
+      created_by: req.user.id
+    });
+
+    const dates = recurrence.generateOccurrences({ frequency, interval, start_date, count, until });
+    const initialStatus = appointmentStatus.initialStatus(req.user.role);
+    const created = [];
+    const conflicts = [];
+
+    for (const [index, date] of dates.entries()) {
+      if (!(await availability.isScheduledSlot(doctor, date, appointment_time))) {
+        conflicts.push({ series_index: index, appointment_date: date, appointment_time, reason: 'Outside the doctor\'s available slots' });
+        continue;
+      }
+      if (!(await availability.isSlotAvailable(doctor, date, appointment_time))) {
+        conflicts.push({ series_index: index, appointment_date: date, appointment_time, reason: 'Time slot already booked' });
+        continue;
+      }
+
+      try {
+        const appointment = await Appointment.create({
+          appointment_id: generateAppointmentId() + String(index).padStart(2, '0'),
+          patient_id,
+          doctor_id,
+          appointment_date: date,
+          appointment_time,
+          reason,
+          notes,
+          series_id: series._id,
+          series_index: index,
+          status: initialStatus,
+          status_timestamps: { [initialStatus]: new Date() },
+          status_history: [{ to: initialStatus, changed_by: req.user.id, role: req.user.role }]
+        });
+        created.push(appointment);
+        events.publishAppointment('appointment.created', appointment);
+      } catch (error) {
+        if (!availability.isSlotConflictError(error)) throw error;
+        conflicts.push({ series_index: index, appointment_date: date, appointment_time, reason: 'Time slot already booked' });
+      }
+    }
+
+    res.status(201).json({
+      series,
+      appointments: created,
+      conflicts
+    });
+  } catch (error) {
+    console.error('Create appointment series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit time, reason or notes for this occurrence, this and following, or the whole series (staff or doctor)
+router.put('/:id', requirePermission('appointment_series', 'update'), async (req, res) => {
+  try {
+    const { scope, appointment_id, reason, notes } = req.body;
+
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Appointment series not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'appointment_series', 'update', series))) {
+      return res.status(403).json({ error: 'You can only edit your own series' });
+    }
+
+    const { anchor, rejection } = await resolveScope(series, scope, appointment_id);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    let appointment_time;
+    if (req.body.appointment_time !== undefined) {
+      appointment_time = availability.normalizeTime(req.body.appointment_time);
+      if (!appointment_time) {
+        return res.status(400).json({ error: 'Appointment time must be HH:MM' });
+      }
+    }
+
+    const targets = await findScopedAppointments(series, scope, anchor);
+    const updated = [];
+    const conflicts = [];
+
+    for (const appointment of targets) {
+      const previousTime = availability.normalizeTime(appointment.appointment_time);
+      const moving = appointment_time && appointment_time !== previousTime;
+
+      if (moving) {
+        const moveRejection = await rescheduleAppointment(
+          appointment,
+          { date: appointment.appointment_date, time: appointment_time, reason: 'Series updated' },
+          req.user
+        );
+        if (moveRejection) {
+          conflicts.push({ appointment_id: appointment._id, appointment_date: appointment.appointment_date, reason: moveRejection.error });
+          continue;
+        }
+      }
+
+      if (reason !== undefined) appointment.reason = reason;
+      if (notes !== undefined) appointment.notes = notes;
+
+      try {
+        await appointment.save();
+      } catch (error) {
+        if (!availability.isSlotConflictError(error)) throw error;
+        conflicts.push({ appointment_id: appointment._id, appointment_date: appointment.appointment_date, reason: 'Time slot already booked' });
+        continue;
+      }
+
+      if (moving) {
+        releaseSlot(appointment.doctor_id, appointment.appointment_date, previousTime);
+        events.publishAppointment('appointment.rescheduled', appointment, {
+          from_date: appointment.appointment_date,
+          from_time: previousTime
+        });
+      } else {
+        events.publishAppointment('appointment.updated', appointment);
+      }
+      updated.push(appointment);
+    }
+
+    // Future occurrences follow the series template, so keep it in step for wide edits
+    if (scope !== 'this') {
+      if (appointment_time) series.appointment_time = appointment_time;
+      if (reason !== undefined) series.reason = reason;
+      if (notes !== undefined) series.notes = notes;
+      await series.save();
+    }
+
+    res.json({
+      series,
+      appointments: updated,
+      conflicts
+    });
+  } catch (error) {
+    console.error('Update appointment series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel this occurrence, this and following, or the whole series
+router.post('/:id/cancel', requirePermission('appointment_series', 'cancel'), async (req, res) => {
+  try {
+    const { scope, appointment_id, reason } = req.body;
+
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Appointment series not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'appointment_series', 'cancel', series))) {
+      return res.status(403).json({ error: 'You can only cancel your own series' });
+    }
+
+    const { anchor, rejection } = await resolveScope(series, scope, appointment_id);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    const targets = await findScopedAppointments(series, scope, anchor);
+    const cancelled = [];
+    const failed = [];
+
+    for (const appointment of targets) {
+      const cancelRejection = await cancelAppointment(appointment, req.user, reason);
+      if (cancelRejection) {
+        failed.push({ appointment_id: appointment._id, appointment_date: appointment.appointment_date, reason: cancelRejection.error });
+        continue;
+      }
+      await appointment.save();
+      releaseSlot(appointment.doctor_id, appointment.appointment_date, appointment.appointment_time);
+      events.publishAppointment('appointment.status_changed', appointment);
+      cancelled.push(appointment);
+    }
+
+    // End the series where it was cut, or close it entirely
+    if (scope === 'all' || (scope === 'following' && anchor.series_index === 0)) {
+      series.status = 'cancelled';
+      await series.save();
+    } else if (scope === 'following') {
+      series.until = availability.addDays(anchor.appointment_date, -1);
+      series.count = undefined;
+      await series.save();
+    }
+
+    res.json({
+      series,
+      cancelled,
+      failed
+    });
+  } catch (error) {
+    console.error('Cancel appointment series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
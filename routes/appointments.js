@@ -1,47 +1,41 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Appointment = require('../models/Appointment');
-const User = require('../models/User');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
+const availability = require('../utils/availability');
+const appointmentStatus = require('../utils/appointmentStatus');
+const permissions = require('../utils/permissions');
+const {
+  generateAppointmentId,
+  hoursUntil,
+  rescheduleAppointment,
+  cancelAppointment,
+  releaseSlot
+} = require('../utils/booking');
+const events = require('../utils/events');
 
 const router = express.Router();
 
+// Fields PUT /:id may change directly
+const EDITABLE_FIELDS = ['reason', 'notes'];
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Generate unique appointment ID
-function generateAppointmentId() {
-  return 'APT' + Date.now().toString().slice(-8);
-}
-
 // Get all appointments (filtered by role)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('appointments', 'read'), async (req, res) => {
   try {
-    const { date, status, patient_id, doctor_id } = req.query;
-
-    let query = {};
+    const { date, status, patient_id, doctor_id, needs_reschedule } = req.query;
 
-    // Customers can only see their own appointments
-    if (req.user.role === 'customer') {
-      const user = await User.findById(req.user.id);
-      if (user && user.patient_id) {
-        query.patient_id = user.patient_id;
-      } else {
-        return res.json([]);
-      }
+    // Customers see their own appointments; doctors theirs and those of patients in their care
+    const scope = await permissions.scopeQuery(req, 'appointments', 'read');
+    if (!scope) {
+      return res.json([]);
     }
 
-    // Doctors can only see their own appointments
-    if (req.user.role === 'doctor') {
-      const user = await User.findById(req.user.id);
-      if (user && user.doctor_id) {
-        query.doctor_id = user.doctor_id;
-      } else {
-        return res.json([]);
-      }
-    }
+    let query = {};
 
     if (date) {
       query.appointment_date = date;
@@ -51,15 +45,21 @@ router.get('/', async (req, res) => {
       query.status = status;
     }
 
-    // Allow filtering by patient_id/doctor_id only if not restricted by role
-    if (patient_id && req.user.role !== 'customer') {
+    if (needs_reschedule !== undefined) {
+      query.needs_reschedule = needs_reschedule === 'true';
+    }
+
+    if (patient_id) {
       query.patient_id = patient_id;
     }
 
-    if (doctor_id && req.user.role !== 'doctor') {
+    if (doctor_id) {
       query.doctor_id = doctor_id;
     }
 
+    // Role restrictions win over the filters above
+    Object.assign(query, scope);
+
     const appointments = await Appointment.find(query)
       .populate('patient_id', 'first_name last_name phone email patient_id')
       .populate('doctor_id', 'first_name last_name specialization doctor_id')
@@ -73,7 +73,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get appointment by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('appointments', 'read'), async (req, res) => {
   try {
     const appointment = await Appointment.findById(req.params.id)
       .populate('patient_id', 'first_name last_name phone email')
@@ -82,6 +82,11 @@ router.get('/:id', async (req, res) => {
     if (!appointment) {
       return res.status(404).json({ error: 'Appointment not found' });
     }
+
+    if (!(await permissions.canAccess(req, 'appointments', 'read', appointment))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
     res.json(appointment);
   } catch (error) {
     console.error('Get appointment error:', error);
@@ -89,8 +94,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create appointment (admin, doctor, or customer)
-router.post('/', [
+// Create appointment (staff, or customer for themselves)
+router.post('/', requirePermission('appointments', 'create'), [
   body('patient_id').notEmpty().withMessage('Patient ID is required'),
   body('doctor_id').notEmpty().withMessage('Doctor ID is required'),
   body('appointment_date').notEmpty().withMessage('Appointment date is required'),
@@ -102,14 +107,20 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { patient_id, doctor_id, appointment_date, appointment_time, reason, notes } = req.body;
+    const { patient_id, doctor_id, appointment_date, reason, notes } = req.body;
+    const appointment_time = availability.normalizeTime(req.body.appointment_time);
+
+    if (!availability.parseDate(appointment_date) || !appointment_time) {
+      return res.status(400).json({ error: 'Appointment date must be YYYY-MM-DD and time HH:MM' });
+    }
+
+    if (hoursUntil(appointment_date, appointment_time) < 0) {
+      return res.status(400).json({ error: 'Appointment cannot be in the past' });
+    }
 
     // Customers can only book for themselves
-    if (req.user.role === 'customer') {
-      const user = await User.findById(req.user.id);
-      if (!user || !user.patient_id || user.patient_id.toString() !== patient_id) {
-        return res.status(403).json({ error: 'You can only book appointments for yourself' });
-      }
+    if (!(await permissions.canAccess(req, 'appointments', 'create', { patient_id, doctor_id }))) {
+      return res.status(403).json({ error: 'You can only book appointments for yourself' });
     }
 
     // Check if patient exists
@@ -124,20 +135,20 @@ router.post('/', [
       return res.status(404).json({ error: 'Doctor not found' });
     }
 
-    // Check for conflicting appointments
-    const conflicting = await Appointment.findOne({
-      doctor_id,
-      appointment_date,
-      appointment_time,
-      status: { $ne: 'cancelled' }
-    });
+    // Check the requested time against the doctor's schedule
+    if (!(await availability.isScheduledSlot(doctor, appointment_date, appointment_time))) {
+      return res.status(400).json({ error: 'Selected time is not within the doctor\'s available slots' });
+    }
 
-    if (conflicting) {
-      return res.status(400).json({ error: 'Time slot already booked' });
+    // Slots held for waitlist offers are not bookable by others
+    if (!(await availability.isSlotAvailable(doctor, appointment_date, appointment_time))) {
+      return res.status(409).json({ error: 'Time slot already booked', waitlist_available: true });
     }
 
     const appointmentId = generateAppointmentId();
+    const initialStatus = appointmentStatus.initialStatus(req.user.role);
 
+    // The unique slot index rejects concurrent bookings of the same slot
     const appointment = await Appointment.create({
       appointment_id: appointmentId,
       patient_id,
@@ -146,53 +157,153 @@ router.post('/', [
       appointment_time,
       reason,
       notes,
-      status: 'scheduled'
+      status: initialStatus,
+      status_timestamps: { [initialStatus]: new Date() },
+      status_history: [{ to: initialStatus, changed_by: req.user.id, role: req.user.role }]
     });
 
     const populatedAppointment = await Appointment.findById(appointment._id)
       .populate('patient_id', 'first_name last_name')
       .populate('doctor_id', 'first_name last_name specialization');
 
+    events.publishAppointment('appointment.created', appointment);
+
     res.status(201).json(populatedAppointment);
   } catch (error) {
+    if (availability.isSlotConflictError(error)) {
+      return res.status(409).json({ error: 'Time slot already booked', waitlist_available: true });
+    }
     console.error('Create appointment error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Update appointment
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('appointments', 'update'), async (req, res) => {
   try {
-    const updates = req.body;
+    // Only free-text details are edited here; the slot, status and history have their own rules
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
     updates.updated_at = Date.now();
 
-    // Prevent ID changes
-    delete updates._id;
-    delete updates.appointment_id;
-    delete updates.patient_id;
-    delete updates.doctor_id;
+    const { appointment_date, appointment_time, reschedule_reason, status } = req.body;
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
 
-    const appointment = await Appointment.findByIdAndUpdate(req.params.id, updates, { new: true })
+    if (!(await permissions.canAccess(req, 'appointments', 'update', appointment))) {
+      return res.status(403).json({ error: 'You can only update your own appointments' });
+    }
+
+    // Status changes must go through the lifecycle rules
+    if (status !== undefined && status !== appointment.status) {
+      return res.status(409).json({ error: 'Use PATCH /api/appointments/:id/status to change status' });
+    }
+
+    // Moving the appointment goes through the same checks as the reschedule endpoint
+    let moved = false;
+    if (appointment_date !== undefined || appointment_time !== undefined) {
+      const date = appointment_date !== undefined ? appointment_date : appointment.appointment_date;
+      const time = appointment_time !== undefined ? appointment_time : appointment.appointment_time;
+      const unchanged = date === appointment.appointment_date &&
+        availability.normalizeTime(time) === availability.normalizeTime(appointment.appointment_time);
+
+      if (!unchanged) {
+        const rejection = await rescheduleAppointment(appointment, { date, time, reason: reschedule_reason }, req.user);
+        if (rejection) {
+          return res.status(rejection.status).json({ error: rejection.error });
+        }
+        moved = true;
+      }
+    }
+
+    appointment.set(updates);
+    await appointment.save();
+
+    if (moved) {
+      const { from_date, from_time } = appointment.reschedule_history[appointment.reschedule_history.length - 1];
+      releaseSlot(appointment.doctor_id, from_date, from_time);
+      events.publishAppointment('appointment.rescheduled', appointment, { from_date, from_time });
+    } else {
+      events.publishAppointment('appointment.updated', appointment);
+    }
+
+    const populatedAppointment = await Appointment.findById(appointment._id)
       .populate('patient_id', 'first_name last_name')
       .populate('doctor_id', 'first_name last_name specialization');
 
+    res.json(populatedAppointment);
+  } catch (error) {
+    if (availability.isSlotConflictError(error)) {
+      return res.status(409).json({ error: 'Time slot already booked' });
+    }
+    console.error('Update appointment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reschedule appointment to a new slot (customer for own, doctor for own, or staff)
+router.post('/:id/reschedule', requirePermission('appointments', 'update'), [
+  body('appointment_date').notEmpty().withMessage('Appointment date is required'),
+  body('appointment_time').notEmpty().withMessage('Appointment time is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
     if (!appointment) {
       return res.status(404).json({ error: 'Appointment not found' });
     }
 
-    res.json(appointment);
+    if (!(await permissions.canAccess(req, 'appointments', 'update', appointment))) {
+      return res.status(403).json({ error: 'You can only reschedule your own appointments' });
+    }
+
+    const { appointment_date, appointment_time, reason } = req.body;
+    const rejection = await rescheduleAppointment(
+      appointment,
+      { date: appointment_date, time: appointment_time, reason },
+      req.user
+    );
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    await appointment.save();
+
+    const { from_date, from_time } = appointment.reschedule_history[appointment.reschedule_history.length - 1];
+    releaseSlot(appointment.doctor_id, from_date, from_time);
+    events.publishAppointment('appointment.rescheduled', appointment, { from_date, from_time });
+
+    const populatedAppointment = await Appointment.findById(appointment._id)
+      .populate('patient_id', 'first_name last_name')
+      .populate('doctor_id', 'first_name last_name specialization');
+
+    res.json(populatedAppointment);
   } catch (error) {
-    console.error('Update appointment error:', error);
+    if (availability.isSlotConflictError(error)) {
+      return res.status(409).json({ error: 'Time slot already booked' });
+    }
+    console.error('Reschedule appointment error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update appointment status (quick update for doctors)
-router.patch('/:id/status', async (req, res) => {
+// Move appointment through its lifecycle (doctor for own, customer may cancel own, or staff)
+router.patch('/:id/status', requirePermission('appointments', 'update'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    if (!status || !['scheduled', 'completed', 'cancelled'].includes(status)) {
+    if (!status || !appointmentStatus.STATUSES.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
@@ -201,54 +312,82 @@ router.patch('/:id/status', async (req, res) => {
       return res.status(404).json({ error: 'Appointment not found' });
     }
 
-    // Doctors can only update their own appointments
-    if (req.user.role === 'doctor') {
-      const user = await User.findById(req.user.id);
-      if (!user || !user.doctor_id || user.doctor_id.toString() !== appointment.doctor_id.toString()) {
-        return res.status(403).json({ error: 'You can only update your own appointments' });
-      }
-    } else if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    // Doctors and customers can only update their own appointments
+    if (!(await permissions.canAccess(req, 'appointments', 'update', appointment))) {
+      return res.status(403).json({ error: 'You can only update your own appointments' });
+    }
+
+    const rejection = status === 'cancelled'
+      ? await cancelAppointment(appointment, req.user, note)
+      : appointmentStatus.applyStatusChange(appointment, status, req.user, note);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
     }
 
-    appointment.status = status;
-    appointment.updated_at = Date.now();
     await appointment.save();
 
+    if (status === 'cancelled') {
+      releaseSlot(appointment.doctor_id, appointment.appointment_date, appointment.appointment_time);
+    }
+    events.publishAppointment('appointment.status_changed', appointment);
+
     const populatedAppointment = await Appointment.findById(appointment._id)
       .populate('patient_id', 'first_name last_name')
       .populate('doctor_id', 'first_name last_name specialization');
 
     res.json(populatedAppointment);
   } catch (error) {
+    if (availability.isSlotConflictError(error)) {
+      return res.status(409).json({ error: 'Time slot already booked' });
+    }
     console.error('Update appointment status error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete appointment (admin only, or customer can cancel their own)
-/**
- * Note: Deleting wipes the record. Usually canceling just updates status.
- * But we follow existing delete logic.
- */
-router.delete('/:id', async (req, res) => {
+// Cancel appointment (customer or doctor for own, or staff); the record is kept
+router.delete('/:id', requirePermission('appointments', 'update'), async (req, res) => {
   try {
     const appointment = await Appointment.findById(req.params.id);
     if (!appointment) {
       return res.status(404).json({ error: 'Appointment not found' });
     }
 
-    // Check if customer is trying to cancel their own appointment
-    if (req.user.role === 'customer') {
-      const user = await User.findById(req.user.id);
-      if (!user || user.patient_id.toString() !== appointment.patient_id.toString()) {
-        return res.status(403).json({ error: 'You can only cancel your own appointments' });
-      }
-    } else if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (!(await permissions.canAccess(req, 'appointments', 'update', appointment))) {
+      return res.status(403).json({ error: 'You can only cancel your own appointments' });
+    }
+
+    const reason = req.body && req.body.reason !== undefined ? req.body.reason : req.query.reason;
+    const rejection = await cancelAppointment(appointment, req.user, reason);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    await appointment.save();
+
+    releaseSlot(appointment.doctor_id, appointment.appointment_date, appointment.appointment_time);
+    events.publishAppointment('appointment.status_changed', appointment);
+
+    res.json({ message: 'Appointment cancelled successfully', appointment });
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permanently delete appointment (admin only)
+router.delete('/:id/purge', requirePermission('appointments', 'purge'), async (req, res) => {
+  try {
+    const appointment = await Appointment.findByIdAndDelete(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (appointment.holds_slot) {
+      releaseSlot(appointment.doctor_id, appointment.appointment_date, appointment.appointment_time);
     }
+    events.publishAppointment('appointment.deleted', appointment);
 
-    await Appointment.findByIdAndDelete(req.params.id);
     res.json({ message: 'Appointment deleted successfully' });
   } catch (error) {
     console.error('Delete appointment error:', error);
@@ -0,0 +1,100 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const audit = require('../utils/audit');
+
+const router = express.Router();
+
+// All routes require audit access (admins)
+router.use(authenticateToken);
+router.use(requirePermission('audit', 'read'));
+
+// Date-only bounds cover the whole day
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Search the audit trail by patient, user, resource, action and date range
+router.get('/', async (req, res) => {
+  try {
+    const { patient_id, user_id, resource_type, resource_id, action, from, to, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    for (const [name, value] of Object.entries({ patient_id, user_id })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ error: `${name} must be a valid ID` });
+      }
+    }
+
+    let query = {};
+
+    if (patient_id) {
+      query.patient_id = patient_id;
+    }
+
+    if (user_id) {
+      query.actor_id = user_id;
+    }
+
+    if (resource_type) {
+      query.resource_type = resource_type;
+    }
+
+    if (resource_id) {
+      query.resource_id = resource_id;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    const fromDate = parseBound(from, false);
+    const toDate = parseBound(to, true);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    if (fromDate || toDate) {
+      query.created_at = {};
+      if (fromDate) query.created_at.$gte = fromDate;
+      if (toDate) query.created_at.$lte = toDate;
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor_id', 'username email role')
+      .sort({ sequence: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recompute the hash chain to detect edited or removed entries
+router.get('/verify', async (req, res) => {
+  try {
+    res.json(await audit.verifyChain());
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
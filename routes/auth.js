@@ -1,11 +1,15 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
+const Session = require('../models/Session');
+const sessions = require('../utils/sessions');
+const passwordReset = require('../utils/passwordReset');
+const loginThrottle = require('../utils/loginThrottle');
+const twoFactor = require('../utils/twoFactor');
 
 const router = express.Router();
 
@@ -80,40 +84,303 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse attempts while the account or IP is throttled or locked out
+    const throttled = await loginThrottle.checkLogin(email, req.ip);
+    if (throttled) {
+      res.set('Retry-After', String(throttled.retry_after));
+      return res.status(throttled.status).json({ error: throttled.error, retry_after: throttled.retry_after });
+    }
+
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await loginThrottle.recordFailure(email, req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Check password
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
+      await loginThrottle.recordFailure(email, req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    await loginThrottle.releaseAttempt(email, req.ip);
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    });
+    // Second step: enrolled users must send a TOTP or recovery code to /login/2fa
+    if (user.two_factor && user.two_factor.enabled) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: twoFactor.signChallenge(user, 'login')
+      });
+    }
+
+    // Roles that must use 2FA have to enrol before they get a session
+    if (twoFactor.isRequiredForRole(user.role)) {
+      return res.json({
+        two_factor_setup_required: true,
+        setup_token: twoFactor.signChallenge(user, 'setup')
+      });
+    }
+
+    await loginThrottle.recordSuccess(email);
+
+    // Start a session: short-lived access token plus rotating refresh token
+    res.json(await sessions.startLogin(user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Complete a login with a TOTP code or a recovery code
+router.post('/login/2fa', [
+  body('challenge_token').notEmpty().withMessage('Challenge token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challenge_token, code, recovery_code } = req.body;
+    if (!code && !recovery_code) {
+      return res.status(400).json({ error: 'Code or recovery code is required' });
+    }
+
+    const userId = twoFactor.verifyChallenge(challenge_token, 'login');
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const user = await User.findById(userId)
+      .select('+two_factor.secret +two_factor.last_used_step +two_factor.recovery_codes');
+    if (!user || !user.two_factor.enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    // Codes are only six digits, so they count towards the same lockout as passwords
+    const throttled = await loginThrottle.checkLogin(user.email, req.ip);
+    if (throttled) {
+      res.set('Retry-After', String(throttled.retry_after));
+      return res.status(throttled.status).json({ error: throttled.error, retry_after: throttled.retry_after });
+    }
+
+    // Each code is used up by a conditional update, so a replayed code cannot get in twice
+    const verified = code
+      ? await twoFactor.consumeCode(user, code)
+      : await twoFactor.consumeRecoveryCode(user, recovery_code);
+
+    if (!verified) {
+      await loginThrottle.recordFailure(user.email, req);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await loginThrottle.releaseAttempt(user.email, req.ip);
+    await loginThrottle.recordSuccess(user.email);
+
+    const response = await sessions.startLogin(user, req);
+    if (recovery_code) {
+      response.recovery_codes_remaining = user.two_factor.recovery_codes.length;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refresh_token').notEmpty().withMessage('Refresh token is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const found = await sessions.findByRefreshToken(req.body.refresh_token);
+    if (!found) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(found.session.user_id);
+    if (!user) {
+      await sessions.revokeSession(found.session, 'User deleted');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const tokens = await sessions.rotateSession(found, user);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sid);
+    if (session) {
+      await sessions.revokeSession(session, 'Logged out');
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out of every session, including this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(req.user.id, 'Logged out of all devices');
+    res.json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const active = await Session.find({
+      user_id: req.user.id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    })
+      .select('user_agent ip created_at last_used_at expires_at')
+      .sort({ last_used_at: -1 });
+
+    res.json(active.map((session) => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.user.sid
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user_id: req.user.id });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await sessions.revokeSession(session, 'Revoked by user');
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change password for the logged-in user; other sessions are signed out
+router.post('/change-password', authenticateToken, [
+  body('current_password').notEmpty().withMessage('Current password is required'),
+  body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(current_password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (await bcrypt.compare(new_password, user.password)) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    user.password = await bcrypt.hash(new_password, 10);
+    user.password_changed_at = Date.now();
+    await user.save();
+
+    await sessions.revokeAllSessions(user._id, 'Password changed', req.user.sid);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request a password reset email. The response is the same whether or not the
+// email is registered, so it cannot be used to discover accounts.
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Valid email is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      await passwordReset.sendResetEmail(user, req);
+    }
+
+    res.json({ message: 'If that email is registered, a password reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with a reset token; every existing session is signed out
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resetToken = await passwordReset.consumeResetToken(req.body.token);
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(resetToken.user_id);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    user.password = await bcrypt.hash(req.body.new_password, 10);
+    user.password_changed_at = Date.now();
+    await user.save();
+
+    await sessions.revokeAllSessions(user._id, 'Password reset');
+
+    res.json({ message: 'Password has been reset. Please login.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user with linked data
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -1,38 +1,74 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Appointment = require('../models/Appointment');
-const User = require('../models/User');
+const Prescription = require('../models/Prescription');
+const MedicalRecord = require('../models/MedicalRecord');
+const { UPCOMING_STATUSES } = require('../utils/appointmentStatus');
+const { DISPENSABLE_STATUSES } = require('../utils/dispensing');
+const permissions = require('../utils/permissions');
+const availability = require('../utils/availability');
+const stockAlerts = require('../utils/stockAlerts');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Get dashboard statistics (role-specific)
-router.get('/stats', async (req, res) => {
+// Get dashboard statistics. Each section is shown to the roles that can read its resource, and
+// is limited to the user's share of the dashboard: everything for hospital-wide roles, their own
+// appointments and prescriptions for doctors and customers.
+router.get('/stats', requirePermission('dashboard', 'read'), async (req, res) => {
   try {
     const userRole = req.user.role;
-    let stats = {};
+    const own = await permissions.scopeQuery(req, 'dashboard', 'read');
+    if (!own) {
+      return res.json({ error: 'Profile not found' });
+    }
 
-    if (userRole === 'admin') {
-      // Admin sees all statistics
-      const totalPatients = await Patient.countDocuments();
-      const totalDoctors = await Doctor.countDocuments({ status: 'active' });
+    const today = availability.today();
+    const stats = {};
 
-      const today = new Date().toISOString().split('T')[0];
+    if (permissions.scopeFor(userRole, 'dashboard', 'read') === 'all') {
+      stats.totalDoctors = await Doctor.countDocuments({ status: 'active' });
+    }
 
-      const appointmentsToday = await Appointment.countDocuments({
+    // Patients the user looks after: everyone, or a doctor's patients in care
+    const patientAccess = permissions.scopeFor(userRole, 'patients', 'read');
+    if (patientAccess === 'all' || patientAccess === 'care') {
+      const patientScope = await permissions.scopeQuery(req, 'patients', 'read', { patient_id: '_id', doctor_id: null });
+
+      stats.totalPatients = patientScope ? await Patient.countDocuments(patientScope) : 0;
+      stats.patientsByGender = patientScope
+        ? await Patient.aggregate([
+          { $match: patientScope },
+          { $group: { _id: '$gender', count: { $sum: 1 } } },
+          { $project: { gender: '$_id', count: 1, _id: 0 } }
+        ])
+        : [];
+    }
+
+    if (permissions.can(userRole, 'appointments', 'read')) {
+      stats.appointmentsToday = await Appointment.countDocuments({
+        ...own,
         appointment_date: today,
         status: { $ne: 'cancelled' }
       });
 
-      const pendingAppointments = await Appointment.countDocuments({
-        status: 'scheduled'
+      stats.pendingAppointments = await Appointment.countDocuments({
+        ...own,
+        status: { $in: UPCOMING_STATUSES }
+      });
+
+      stats.upcomingAppointments = await Appointment.countDocuments({
+        ...own,
+        appointment_date: { $gte: today },
+        status: { $in: UPCOMING_STATUSES }
       });
 
-      const recentAppointments = await Appointment.find({
+      stats.recentAppointments = await Appointment.find({
+        ...own,
         appointment_date: { $gte: today }
       })
         .sort({ appointment_date: 1, appointment_time: 1 })
@@ -40,94 +76,34 @@ router.get('/stats', async (req, res) => {
         .populate('patient_id', 'first_name last_name')
         .populate('doctor_id', 'first_name last_name specialization');
 
-      const appointmentsByStatus = await Appointment.aggregate([
+      stats.appointmentsByStatus = await Appointment.aggregate([
+        { $match: own },
         { $group: { _id: '$status', count: { $sum: 1 } } },
         { $project: { status: '$_id', count: 1, _id: 0 } }
       ]);
+    }
 
-      const patientsByGender = await Patient.aggregate([
-        { $group: { _id: '$gender', count: { $sum: 1 } } },
-        { $project: { gender: '$_id', count: 1, _id: 0 } }
-      ]);
-
-      stats = {
-        totalPatients,
-        totalDoctors,
-        appointmentsToday,
-        pendingAppointments,
-        recentAppointments,
-        appointmentsByStatus,
-        patientsByGender
-      };
-    } else if (userRole === 'doctor') {
-      // Doctor sees their own statistics
-      const user = await User.findById(req.user.id);
-      if (!user || !user.doctor_id) {
-        return res.json({ error: 'Doctor profile not found' });
-      }
-
-      const today = new Date().toISOString().split('T')[0];
-
-      const appointmentsToday = await Appointment.countDocuments({
-        doctor_id: user.doctor_id,
-        appointment_date: today,
-        status: { $ne: 'cancelled' }
+    if (permissions.can(userRole, 'prescriptions', 'read')) {
+      stats.prescriptionsToDispense = await Prescription.countDocuments({
+        ...own,
+        status: { $in: DISPENSABLE_STATUSES }
       });
+    }
 
-      const pendingAppointments = await Appointment.countDocuments({
-        doctor_id: user.doctor_id,
-        status: 'scheduled'
+    if (permissions.can(userRole, 'medical_records', 'read')) {
+      stats.recordsToday = await MedicalRecord.countDocuments({
+        ...own,
+        visit_date: today,
+        status: { $ne: 'entered_in_error' }
       });
+    }
 
-      const recentAppointments = await Appointment.find({
-        doctor_id: user.doctor_id,
-        appointment_date: { $gte: today }
-      })
-        .sort({ appointment_date: 1, appointment_time: 1 })
-        .limit(10)
-        .populate('patient_id', 'first_name last_name')
-        .populate('doctor_id', 'first_name last_name specialization');
-
-      stats = {
-        appointmentsToday,
-        pendingAppointments,
-        recentAppointments
-      };
-    } else if (userRole === 'customer') {
-      // Customer sees their own statistics
-      const user = await User.findById(req.user.id);
-      if (!user || !user.patient_id) {
-        return res.json({ error: 'Patient profile not found' });
+    if (permissions.can(userRole, 'medicines', 'manage_stock')) {
+      const alerts = await stockAlerts.findAlerts();
+      stats.stockAlerts = { out_of_stock: 0, low_stock: 0, expiring: 0, expired: 0 };
+      for (const alert of alerts) {
+        stats.stockAlerts[alert.type] += 1;
       }
-
-      const today = new Date().toISOString().split('T')[0];
-
-      const appointmentsToday = await Appointment.countDocuments({
-        patient_id: user.patient_id,
-        appointment_date: today,
-        status: { $ne: 'cancelled' }
-      });
-
-      const upcomingAppointments = await Appointment.countDocuments({
-        patient_id: user.patient_id,
-        appointment_date: { $gte: today },
-        status: 'scheduled'
-      });
-
-      const recentAppointments = await Appointment.find({
-        patient_id: user.patient_id,
-        appointment_date: { $gte: today }
-      })
-        .sort({ appointment_date: 1, appointment_time: 1 })
-        .limit(10)
-        .populate('patient_id', 'first_name last_name')
-        .populate('doctor_id', 'first_name last_name specialization');
-
-      stats = {
-        appointmentsToday,
-        upcomingAppointments,
-        recentAppointments
-      };
     }
 
     res.json(stats);
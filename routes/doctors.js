@@ -1,9 +1,15 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Doctor = require('../models/Doctor');
 const User = require('../models/User');
+const ScheduleException = require('../models/ScheduleException');
+const availability = require('../utils/availability');
+const scheduleExceptions = require('../utils/scheduleExceptions');
+const waitlist = require('../utils/waitlist');
+const permissions = require('../utils/permissions');
+const { revokeAllSessions } = require('../utils/sessions');
 
 const router = express.Router();
 
@@ -15,6 +21,11 @@ function generateDoctorId() {
   return 'DOC' + Date.now().toString().slice(-8);
 }
 
+// Admins manage any doctor's schedule; doctors only their own
+function canManageDoctor(req, doctorId) {
+  return permissions.canAccess(req, 'doctors', 'manage_schedule', { doctor_id: doctorId });
+}
+
 // Get all doctors
 router.get('/', async (req, res) => {
   try {
@@ -61,8 +72,165 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get bookable slots for a doctor between two dates (defaults to today)
+router.get('/:id/slots', async (req, res) => {
+  try {
+    const from = req.query.from || availability.today();
+    const to = req.query.to || from;
+
+    if (!availability.parseDate(from) || !availability.parseDate(to)) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+    if (to < from) {
+      return res.status(400).json({ error: "'to' must not be before 'from'" });
+    }
+    if (to > availability.addDays(from, availability.MAX_RANGE_DAYS - 1)) {
+      return res.status(400).json({ error: `Date range cannot exceed ${availability.MAX_RANGE_DAYS} days` });
+    }
+
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const days = await availability.getAvailableSlots(doctor, from, to);
+
+    res.json({
+      doctor_id: doctor._id,
+      slot_duration: availability.getSchedule(doctor).slot_duration,
+      from,
+      to,
+      days
+    });
+  } catch (error) {
+    console.error('Get doctor slots error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get schedule exceptions for a doctor (optionally within a date range)
+router.get('/:id/exceptions', async (req, res) => {
+  try {
+    const { from, to, include_holidays } = req.query;
+
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const query = include_holidays === 'true'
+      ? { $or: [{ doctor_id: doctor._id }, { doctor_id: null }] }
+      : { doctor_id: doctor._id };
+
+    if (from) {
+      query.end_date = { $gte: from };
+    }
+    if (to) {
+      query.start_date = { $lte: to };
+    }
+
+    const exceptions = await ScheduleException.find(query).sort({ start_date: 1 });
+    res.json(exceptions);
+  } catch (error) {
+    console.error('Get schedule exceptions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a schedule exception (admin, or doctor for own schedule)
+router.post('/:id/exceptions', async (req, res) => {
+  try {
+    if (!(await canManageDoctor(req, req.params.id))) {
+      return res.status(403).json({ error: 'You can only manage your own schedule' });
+    }
+
+    const validationError = scheduleExceptions.validateException(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const exception = await ScheduleException.create({
+      ...scheduleExceptions.buildException(req.body),
+      doctor_id: doctor._id,
+      created_by: req.user.id
+    });
+
+    const affectedAppointments = await scheduleExceptions.flagAffectedAppointments(exception);
+
+    res.status(201).json({
+      exception,
+      affected_appointments: affectedAppointments
+    });
+  } catch (error) {
+    console.error('Create schedule exception error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a schedule exception and re-evaluate affected appointments
+router.put('/:id/exceptions/:exceptionId', async (req, res) => {
+  try {
+    if (!(await canManageDoctor(req, req.params.id))) {
+      return res.status(403).json({ error: 'You can only manage your own schedule' });
+    }
+
+    const exception = await ScheduleException.findOne({ _id: req.params.exceptionId, doctor_id: req.params.id });
+    if (!exception) {
+      return res.status(404).json({ error: 'Schedule exception not found' });
+    }
+
+    const merged = { ...exception.toObject(), ...req.body };
+    const validationError = scheduleExceptions.validateException(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    exception.set(scheduleExceptions.buildException(merged));
+    await exception.save();
+
+    await scheduleExceptions.clearExceptionFlags(exception._id);
+    const affectedAppointments = await scheduleExceptions.flagAffectedAppointments(exception);
+    waitlist.notifyAvailabilityChanged(exception.doctor_id);
+
+    res.json({
+      exception,
+      affected_appointments: affectedAppointments
+    });
+  } catch (error) {
+    console.error('Update schedule exception error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a schedule exception and clear the flags it set
+router.delete('/:id/exceptions/:exceptionId', async (req, res) => {
+  try {
+    if (!(await canManageDoctor(req, req.params.id))) {
+      return res.status(403).json({ error: 'You can only manage your own schedule' });
+    }
+
+    const exception = await ScheduleException.findOneAndDelete({ _id: req.params.exceptionId, doctor_id: req.params.id });
+    if (!exception) {
+      return res.status(404).json({ error: 'Schedule exception not found' });
+    }
+
+    await scheduleExceptions.clearExceptionFlags(exception._id);
+    waitlist.notifyAvailabilityChanged(exception.doctor_id);
+
+    res.json({ message: 'Schedule exception deleted successfully' });
+  } catch (error) {
+    console.error('Delete schedule exception error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Create doctor (admin only)
-router.post('/', authorize('admin'), [
+router.post('/', requirePermission('doctors', 'create'), [
   body('first_name').notEmpty().withMessage('First name is required'),
   body('last_name').notEmpty().withMessage('Last name is required'),
   body('specialization').notEmpty().withMessage('Specialization is required'),
@@ -77,12 +245,19 @@ router.post('/', authorize('admin'), [
     }
 
     const {
-      first_name, last_name, specialization, phone, email,
+      first_name, last_name, specialization, department, phone, email,
       qualification, experience_years, consultation_fee,
       available_days, available_time_start, available_time_end, status = 'active',
-      username, password
+      schedule, cancellation_cutoff_hours, username, password
     } = req.body;
 
+    if (schedule !== undefined) {
+      const scheduleError = availability.validateSchedule(schedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
     if (existingUser) {
@@ -96,9 +271,10 @@ router.post('/', authorize('admin'), [
 
     const doctor = await Doctor.create({
       doctor_id: doctorCode,
-      first_name, last_name, specialization, phone, email,
+      first_name, last_name, specialization, department, phone, email,
       qualification, experience_years, consultation_fee,
-      available_days, available_time_start, available_time_end, status
+      available_days, available_time_start, available_time_end, status, cancellation_cutoff_hours,
+      schedule: schedule !== undefined ? availability.normalizeSchedule(schedule) : undefined
     });
 
     // Create user account linked to doctor
@@ -123,16 +299,11 @@ router.post('/', authorize('admin'), [
 });
 
 // Update doctor (admin only, or doctor can update own profile)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('doctors', 'update'), async (req, res) => {
   try {
-    // Check if doctor is trying to update their own profile
-    if (req.user.role === 'doctor') {
-      const user = await User.findById(req.user.id);
-      if (!user || !user.doctor_id || user.doctor_id.toString() !== req.params.id) {
-        return res.status(403).json({ error: 'You can only update your own profile' });
-      }
-    } else if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    // Doctors can only update their own profile
+    if (!(await permissions.canAccess(req, 'doctors', 'update', { doctor_id: req.params.id }))) {
+      return res.status(403).json({ error: 'You can only update your own profile' });
     }
 
     const updates = req.body;
@@ -140,12 +311,27 @@ router.put('/:id', async (req, res) => {
     delete updates._id;
     delete updates.doctor_id; // prevent ID change
 
+    // Department decides patient access, so doctors cannot move themselves
+    if (permissions.scopeFor(req.user.role, 'doctors', 'update') !== 'all') {
+      delete updates.department;
+    }
+
+    if (updates.schedule !== undefined) {
+      const scheduleError = availability.validateSchedule(updates.schedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+      updates.schedule = availability.normalizeSchedule(updates.schedule);
+    }
+
     const doctor = await Doctor.findByIdAndUpdate(req.params.id, updates, { new: true });
 
     if (!doctor) {
       return res.status(404).json({ error: 'Doctor not found' });
     }
 
+    waitlist.notifyAvailabilityChanged(doctor._id);
+
     res.json(doctor);
   } catch (error) {
     console.error('Update doctor error:', error);
@@ -154,14 +340,17 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete doctor (admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('doctors', 'delete'), async (req, res) => {
   try {
     const doctor = await Doctor.findByIdAndDelete(req.params.id);
     if (!doctor) {
       return res.status(404).json({ error: 'Doctor not found' });
     }
     // Ideally delete linked user too
-    await User.findOneAndDelete({ doctor_id: doctor._id });
+    const user = await User.findOneAndDelete({ doctor_id: doctor._id });
+    if (user) {
+      await revokeAllSessions(user._id, 'Account deleted');
+    }
 
     res.json({ message: 'Doctor deleted successfully' });
   } catch (error) {
@@ -0,0 +1,46 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const User = require('../models/User');
+const events = require('../utils/events');
+
+const router = express.Router();
+
+// EventSource cannot send headers, so also accept the token as ?token=
+router.use((req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+});
+
+router.use(authenticateToken);
+
+// Server-Sent Events stream of role-filtered updates
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    events.addClient(res, {
+      id: user._id,
+      role: user.role,
+      doctor_id: user.doctor_id,
+      patient_id: user.patient_id
+    }, req.user.sid);
+  } catch (error) {
+    console.error('Event stream error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const ScheduleException = require('../models/ScheduleException');
+const scheduleExceptions = require('../utils/scheduleExceptions');
+const waitlist = require('../utils/waitlist');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Hospital-wide holidays are schedule exceptions without a doctor
+const HOLIDAY_SCOPE = { doctor_id: null };
+
+// Get holidays (optionally by year or date range)
+router.get('/', async (req, res) => {
+  try {
+    const { year, from, to } = req.query;
+
+    let query = { ...HOLIDAY_SCOPE };
+
+    if (year) {
+      query.start_date = { $lte: `${year}-12-31` };
+      query.end_date = { $gte: `${year}-01-01` };
+    }
+    if (from) {
+      query.end_date = { $gte: from };
+    }
+    if (to) {
+      query.start_date = { $lte: to };
+    }
+
+    const holidays = await ScheduleException.find(query).sort({ start_date: 1 });
+    res.json(holidays);
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a holiday (admin only)
+router.post('/', requirePermission('holidays', 'manage'), async (req, res) => {
+  try {
+    const data = { ...req.body, type: 'holiday' };
+    const validationError = scheduleExceptions.validateException(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const holiday = await ScheduleException.create({
+      ...scheduleExceptions.buildException(data),
+      ...HOLIDAY_SCOPE,
+      created_by: req.user.id
+    });
+
+    const affectedAppointments = await scheduleExceptions.flagAffectedAppointments(holiday);
+
+    res.status(201).json({
+      holiday,
+      affected_appointments: affectedAppointments
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load a holiday calendar in one request (admin only)
+// Body: { holidays: [{ start_date, end_date?, reason }] }
+router.post('/calendar', requirePermission('holidays', 'manage'), async (req, res) => {
+  try {
+    const { holidays } = req.body;
+    if (!Array.isArray(holidays) || holidays.length === 0) {
+      return res.status(400).json({ error: 'Holidays must be a non-empty array' });
+    }
+
+    const entries = holidays.map((holiday) => ({ ...holiday, type: 'holiday' }));
+    for (const [index, entry] of entries.entries()) {
+      const validationError = scheduleExceptions.validateException(entry);
+      if (validationError) {
+        return res.status(400).json({ error: `Holiday ${index + 1}: ${validationError}` });
+      }
+    }
+
+    const created = [];
+    let affectedAppointments = [];
+    for (const entry of entries) {
+      const holiday = await ScheduleException.create({
+        ...scheduleExceptions.buildException(entry),
+        ...HOLIDAY_SCOPE,
+        created_by: req.user.id
+      });
+      created.push(holiday);
+      affectedAppointments = affectedAppointments.concat(await scheduleExceptions.flagAffectedAppointments(holiday));
+    }
+
+    res.status(201).json({
+      holidays: created,
+      affected_appointments: affectedAppointments
+    });
+  } catch (error) {
+    console.error('Load holiday calendar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a holiday (admin only)
+router.put('/:id', requirePermission('holidays', 'manage'), async (req, res) => {
+  try {
+    const holiday = await ScheduleException.findOne({ _id: req.params.id, ...HOLIDAY_SCOPE });
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    const merged = { ...holiday.toObject(), ...req.body, type: 'holiday' };
+    const validationError = scheduleExceptions.validateException(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    holiday.set(scheduleExceptions.buildException(merged));
+    await holiday.save();
+
+    await scheduleExceptions.clearExceptionFlags(holiday._id);
+    const affectedAppointments = await scheduleExceptions.flagAffectedAppointments(holiday);
+    waitlist.notifyAvailabilityChanged();
+
+    res.json({
+      holiday,
+      affected_appointments: affectedAppointments
+    });
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a holiday (admin only)
+router.delete('/:id', requirePermission('holidays', 'manage'), async (req, res) => {
+  try {
+    const holiday = await ScheduleException.findOneAndDelete({ _id: req.params.id, ...HOLIDAY_SCOPE });
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    await scheduleExceptions.clearExceptionFlags(holiday._id);
+    waitlist.notifyAvailabilityChanged();
+
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const MedicalRecord = require('../models/MedicalRecord');
+const MedicalRecordVersion = require('../models/MedicalRecordVersion');
+const Prescription = require('../models/Prescription');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Appointment = require('../models/Appointment');
-const User = require('../models/User');
+const events = require('../utils/events');
+const permissions = require('../utils/permissions');
+const recordVersions = require('../utils/recordVersions');
+const prescriptions = require('../utils/prescriptions');
+const audit = require('../utils/audit');
 
 const router = express.Router();
 
@@ -17,46 +23,62 @@ function generateRecordId() {
   return 'REC' + Date.now().toString().slice(-8);
 }
 
+const CONCURRENT_CHANGE = 'Medical record was changed by someone else, reload and try again';
+
+// Signed and entered-in-error records can no longer be edited in place
+function lockedRejection(record) {
+  if (record.status === 'signed') {
+    return { status: 409, error: 'Signed records cannot be edited; add an addendum instead' };
+  }
+  if (record.status === 'entered_in_error') {
+    return { status: 409, error: 'Record was entered in error and cannot be changed' };
+  }
+  return null;
+}
+
+function populateRecord(id) {
+  return MedicalRecord.findById(id)
+    .populate('patient_id', 'first_name last_name')
+    .populate('doctor_id', 'first_name last_name specialization');
+}
+
 // Get all medical records (filtered by role)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('medical_records', 'read'), async (req, res) => {
   try {
-    const { patient_id, doctor_id } = req.query;
+    const { patient_id, doctor_id, status } = req.query;
 
-    let query = {};
-
-    // Customers can only see their own records
-    if (req.user.role === 'customer') {
-      const user = await User.findById(req.user.id);
-      if (user && user.patient_id) {
-        query.patient_id = user.patient_id;
-      } else {
-        return res.json([]);
-      }
+    // Customers see their own records; doctors those they wrote or of patients in their care
+    const scope = await permissions.scopeQuery(req, 'medical_records', 'read');
+    if (!scope) {
+      return res.json([]);
     }
 
-    // Doctors can only see records they created
-    if (req.user.role === 'doctor') {
-      const user = await User.findById(req.user.id);
-      if (user && user.doctor_id) {
-        query.doctor_id = user.doctor_id;
-      } else {
-        return res.json([]);
-      }
-    }
+    let query = {};
 
-    if (patient_id && req.user.role !== 'customer') {
+    if (patient_id) {
       query.patient_id = patient_id;
     }
 
-    if (doctor_id && req.user.role !== 'doctor') {
+    if (doctor_id) {
       query.doctor_id = doctor_id;
     }
 
+    // Records entered in error stay hidden unless asked for
+    if (status) {
+      query.status = status;
+    } else if (req.query.include_entered_in_error !== 'true') {
+      query.status = { $ne: 'entered_in_error' };
+    }
+
+    Object.assign(query, scope);
+
     const records = await MedicalRecord.find(query)
       .populate('patient_id', 'first_name last_name patient_id')
       .populate('doctor_id', 'first_name last_name specialization')
       .sort({ visit_date: -1, created_at: -1 });
 
+    await audit.recordRead(req, 'MedicalRecord', records);
+
     res.json(records);
   } catch (error) {
     console.error('Get medical records error:', error);
@@ -65,7 +87,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get medical record by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('medical_records', 'read'), async (req, res) => {
   try {
     const record = await MedicalRecord.findById(req.params.id)
       .populate('patient_id', 'first_name last_name patient_id date_of_birth gender blood_group')
@@ -74,6 +96,13 @@ router.get('/:id', async (req, res) => {
     if (!record) {
       return res.status(404).json({ error: 'Medical record not found' });
     }
+
+    if (!(await permissions.canAccess(req, 'medical_records', 'read', record))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    await audit.recordRead(req, 'MedicalRecord', record);
+
     res.json(record);
   } catch (error) {
     console.error('Get medical record error:', error);
@@ -81,8 +110,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create medical record (admin and doctor only)
-router.post('/', authorize('admin', 'doctor'), [
+// Create medical record (admin, or doctor for their own records of patients in their care)
+router.post('/', requirePermission('medical_records', 'create'), [
   body('patient_id').notEmpty().withMessage('Patient ID is required'),
   body('doctor_id').notEmpty().withMessage('Doctor ID is required'),
   body('visit_date').notEmpty().withMessage('Visit date is required'),
@@ -98,6 +127,10 @@ router.post('/', authorize('admin', 'doctor'), [
       diagnosis, symptoms, prescription, test_results, notes, visit_date
     } = req.body;
 
+    if (!(await permissions.canAccess(req, 'medical_records', 'create', { patient_id, doctor_id }))) {
+      return res.status(403).json({ error: 'You can only create records as yourself for patients in your care' });
+    }
+
     // Check if patient exists
     const patient = await Patient.findById(patient_id);
     if (!patient) {
@@ -125,10 +158,11 @@ router.post('/', authorize('admin', 'doctor'), [
       patient_id, doctor_id, appointment_id: appointment_id || null,
       diagnosis, symptoms, prescription, test_results, notes, visit_date
     });
+    await recordVersions.saveVersion(record, req.user, 'Created');
 
-    const populatedRecord = await MedicalRecord.findById(record._id)
-      .populate('patient_id', 'first_name last_name')
-      .populate('doctor_id', 'first_name last_name specialization');
+    const populatedRecord = await populateRecord(record._id);
+
+    events.publishMedicalRecord('medical_record.created', record);
 
     res.status(201).json(populatedRecord);
   } catch (error) {
@@ -137,39 +171,314 @@ router.post('/', authorize('admin', 'doctor'), [
   }
 });
 
-// Update medical record (admin and doctor only)
-router.put('/:id', authorize('admin', 'doctor'), async (req, res) => {
+// Update a draft medical record; each edit is kept as a new version (admin, or doctor for their own records)
+router.put('/:id', requirePermission('medical_records', 'update'), async (req, res) => {
   try {
-    const updates = req.body;
-    updates.updated_at = Date.now();
-    delete updates._id;
-    delete updates.record_id;
-    delete updates.patient_id;
-    delete updates.doctor_id;
-
-    const record = await MedicalRecord.findByIdAndUpdate(req.params.id, updates, { new: true })
-      .populate('patient_id', 'first_name last_name')
-      .populate('doctor_id', 'first_name last_name specialization');
+    const existing = await MedicalRecord.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
 
+    if (!(await permissions.canAccess(req, 'medical_records', 'update', existing))) {
+      return res.status(403).json({ error: 'You can only update your own records' });
+    }
+
+    const rejection = lockedRejection(existing);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    // Callers may send the version they edited so they don't overwrite a newer one
+    if (req.body.version !== undefined && Number(req.body.version) !== existing.version) {
+      return res.status(409).json({ error: CONCURRENT_CHANGE, current_version: existing.version });
+    }
+
+    const changes = recordVersions.contentChanges(existing, req.body);
+    if (Object.keys(changes).length === 0) {
+      return res.json(await populateRecord(existing._id));
+    }
+
+    const record = await MedicalRecord.findOneAndUpdate(
+      { _id: existing._id, version: existing.version, status: 'draft' },
+      { $set: { ...changes, updated_at: Date.now() }, $inc: { version: 1 } },
+      { new: true }
+    );
     if (!record) {
-      return res.status(404).json({ error: 'Medical record not found' });
+      return res.status(409).json({ error: CONCURRENT_CHANGE });
     }
+    await recordVersions.saveVersion(record, req.user, req.body.change_reason);
 
-    res.json(record);
+    events.publishMedicalRecord('medical_record.updated', record);
+
+    res.json(await populateRecord(record._id));
   } catch (error) {
     console.error('Update medical record error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete medical record (admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+// Sign a draft record, locking it against further edits (authoring doctor)
+router.post('/:id/sign', requirePermission('medical_records', 'sign'), async (req, res) => {
   try {
-    const record = await MedicalRecord.findByIdAndDelete(req.params.id);
+    const existing = await MedicalRecord.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'medical_records', 'sign', existing))) {
+      return res.status(403).json({ error: 'You can only sign your own records' });
+    }
+
+    const rejection = lockedRejection(existing);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: existing.status === 'signed' ? 'Record is already signed' : rejection.error });
+    }
+
+    const record = await MedicalRecord.findOneAndUpdate(
+      { _id: existing._id, status: 'draft' },
+      { $set: { status: 'signed', signed_at: Date.now(), signed_by: req.user.id, updated_at: Date.now() } },
+      { new: true }
+    );
     if (!record) {
+      return res.status(409).json({ error: CONCURRENT_CHANGE });
+    }
+
+    events.publishMedicalRecord('medical_record.signed', record);
+
+    res.json(await populateRecord(record._id));
+  } catch (error) {
+    console.error('Sign medical record error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an addendum to a signed record (admin, or doctor for patients in their care)
+router.post('/:id/addenda', requirePermission('medical_records', 'amend'), [
+  body('text').trim().notEmpty().withMessage('Addendum text is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await MedicalRecord.findById(req.params.id);
+    if (!existing) {
       return res.status(404).json({ error: 'Medical record not found' });
     }
-    res.json({ message: 'Medical record deleted successfully' });
+
+    if (!(await permissions.canAccess(req, 'medical_records', 'amend', existing))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    if (existing.status !== 'signed') {
+      const error = existing.status === 'draft'
+        ? 'Draft records are edited directly; addenda are for signed records'
+        : 'Record was entered in error and cannot be changed';
+      return res.status(409).json({ error });
+    }
+
+    const addendum = {
+      text: req.body.text,
+      reason: req.body.reason,
+      author_id: req.user.id,
+      author_role: req.user.role,
+      created_at: Date.now()
+    };
+
+    const record = await MedicalRecord.findOneAndUpdate(
+      { _id: existing._id, status: 'signed' },
+      { $push: { addenda: addendum }, $set: { updated_at: Date.now() } },
+      { new: true }
+    );
+    if (!record) {
+      return res.status(409).json({ error: CONCURRENT_CHANGE });
+    }
+
+    events.publishMedicalRecord('medical_record.amended', record, {
+      addendum_id: record.addenda[record.addenda.length - 1]._id
+    });
+
+    res.status(201).json(await populateRecord(record._id));
+  } catch (error) {
+    console.error('Add addendum error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Version history of a record, oldest first
+router.get('/:id/versions', requirePermission('medical_records', 'read'), async (req, res) => {
+  try {
+    const record = await MedicalRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'medical_records', 'read', record))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const versions = await MedicalRecordVersion.find({ record_id: record._id })
+      .populate('edited_by', 'username role')
+      .sort({ version: 1 });
+
+    await audit.recordRead(req, 'MedicalRecord', record);
+
+    res.json({
+      record_id: record._id,
+      current_version: record.version,
+      status: record.status,
+      versions
+    });
+  } catch (error) {
+    console.error('Get medical record versions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Field-level changes between two versions (?from=&to=, defaults to the latest edit).
+// from=0 compares against the empty record before it was created.
+router.get('/:id/diff', requirePermission('medical_records', 'read'), async (req, res) => {
+  try {
+    const record = await MedicalRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'medical_records', 'read', record))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const to = req.query.to !== undefined ? Number(req.query.to) : record.version;
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+    if (!Number.isInteger(to) || to < 1 || to > record.version ||
+        !Number.isInteger(from) || from < 0 || from > record.version) {
+      return res.status(400).json({ error: `Versions must be between 0 and ${record.version}` });
+    }
+
+    const versions = await MedicalRecordVersion.find({ record_id: record._id, version: { $in: [from, to] } });
+    const byNumber = new Map(versions.map((version) => [version.version, version]));
+    if (!byNumber.has(to) || (from > 0 && !byNumber.has(from))) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    await audit.recordRead(req, 'MedicalRecord', record);
+
+    res.json({
+      record_id: record._id,
+      from,
+      to,
+      changes: recordVersions.diffVersions(byNumber.get(from) || null, byNumber.get(to))
+    });
+  } catch (error) {
+    console.error('Diff medical record versions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Write a prescription from a record (the record's doctor, while the patient is in their care).
+// Items must be in the medicine catalog; expired or short-stocked medicines are allowed but
+// returned as warnings.
+// Allergy and interaction warnings block it with a 409 until their keys are sent back in
+// acknowledged_warnings.
+router.post('/:id/prescriptions', requirePermission('prescriptions', 'create'), async (req, res) => {
+  try {
+    const record = await MedicalRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'prescriptions', 'create', record))) {
+      return res.status(403).json({ error: 'You can only prescribe from your own records for patients in your care' });
+    }
+
+    if (record.status === 'entered_in_error') {
+      return res.status(409).json({ error: 'Record was entered in error and cannot be prescribed from' });
+    }
+
+    const { errors, warnings, items } = await prescriptions.checkItems(req.body.items);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const clinical = await prescriptions.checkClinical(record.patient_id, items);
+    if (prescriptions.unacknowledged(clinical, req.body.acknowledged_warnings).length > 0) {
+      return res.status(409).json({
+        error: 'Acknowledge the allergy and interaction warnings to prescribe',
+        warnings: clinical
+      });
+    }
+    const acknowledgedAt = Date.now();
+
+    const prescription = await Prescription.create({
+      prescription_id: prescriptions.generatePrescriptionId(),
+      record_id: record._id,
+      patient_id: record.patient_id,
+      doctor_id: record.doctor_id,
+      items,
+      warnings: [
+        ...clinical.map((warning) => ({ ...warning, acknowledged_by: req.user.id, acknowledged_at: acknowledgedAt })),
+        ...warnings
+      ],
+      notes: req.body.notes,
+      created_by: req.user.id
+    });
+
+    events.publishPrescription('prescription.created', prescription);
+
+    res.status(201).json(prescription);
+  } catch (error) {
+    console.error('Create prescription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a record as entered in error; records are never deleted so their history stays intact
+// (admin, or doctor for their own records)
+router.delete('/:id', requirePermission('medical_records', 'mark_in_error'), async (req, res) => {
+  try {
+    const reason = (req.body && req.body.reason) || req.query.reason;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required to mark a record as entered in error' });
+    }
+
+    const existing = await MedicalRecord.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Medical record not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'medical_records', 'mark_in_error', existing))) {
+      return res.status(403).json({ error: 'You can only mark your own records as entered in error' });
+    }
+
+    if (existing.status === 'entered_in_error') {
+      return res.status(409).json({ error: 'Record is already marked as entered in error' });
+    }
+
+    const record = await MedicalRecord.findOneAndUpdate(
+      { _id: existing._id, status: existing.status },
+      {
+        $set: {
+          status: 'entered_in_error',
+          entered_in_error: {
+            reason: String(reason).trim(),
+            marked_by: req.user.id,
+            role: req.user.role,
+            marked_at: Date.now()
+          },
+          updated_at: Date.now()
+        }
+      },
+      { new: true }
+    );
+    if (!record) {
+      return res.status(409).json({ error: CONCURRENT_CHANGE });
+    }
+
+    events.publishMedicalRecord('medical_record.entered_in_error', record);
+
+    res.json({ message: 'Medical record marked as entered in error', record });
   } catch (error) {
     console.error('Delete medical record error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const StockMovement = require('../models/StockMovement');
+const stock = require('../utils/stock');
+const stockAlerts = require('../utils/stockAlerts');
+const events = require('../utils/events');
+const { parseList } = require('../utils/drugInteractions');
 const multer = require('multer');
 const path = require('path');
 
@@ -44,6 +50,10 @@ router.get('/', async (req, res) => {
 
     let query = {};
 
+    if (req.query.include_inactive !== 'true') {
+      query.active = { $ne: false };
+    }
+
     if (search) {
       const regex = new RegExp(search, 'i');
       query.$or = [
@@ -83,6 +93,26 @@ router.get('/categories/list', async (req, res) => {
 // Apply authentication for protected routes below
 router.use(authenticateToken);
 
+// Current stock alerts (admin or pharmacist); ?days= widens or narrows the expiry window
+router.get('/alerts', requirePermission('medicines', 'manage_stock'), async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : stockAlerts.EXPIRY_ALERT_DAYS;
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ error: 'Days must be a whole number' });
+    }
+
+    let alerts = await stockAlerts.findAlerts({ days });
+    if (req.query.type) {
+      alerts = alerts.filter((alert) => alert.type === req.query.type);
+    }
+
+    res.json({ expiry_days: days, alerts });
+  } catch (error) {
+    console.error('Get stock alerts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get medicine by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -98,7 +128,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create medicine (admin or pharmacist only)
-router.post('/', authorize('admin', 'pharmacist'), (req, res, next) => {
+router.post('/', requirePermission('medicines', 'create'), (req, res, next) => {
   upload.single('image')(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       return res.status(400).json({ error: 'File upload error: ' + err.message });
@@ -111,7 +141,7 @@ router.post('/', authorize('admin', 'pharmacist'), (req, res, next) => {
   body('name').notEmpty().withMessage('Medicine name is required'),
   body('category').notEmpty().withMessage('Category is required'),
   body('price').isNumeric().withMessage('Price must be a number'),
-  body('stock_quantity').isNumeric().withMessage('Stock quantity must be a number'),
+  body('stock_quantity').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Stock quantity must be a whole number'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -128,17 +158,33 @@ router.post('/', authorize('admin', 'pharmacist'), (req, res, next) => {
     // Get image path if uploaded
     const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
 
-    const medicine = await Medicine.create({
+    let medicine = await Medicine.create({
       medicine_id: medicineCode,
       name, 
       category, 
       manufacturer: manufacturer || null, 
-      expiry_date: expiry_date ? new Date(expiry_date) : null, 
+      active_ingredients: parseList(req.body.active_ingredients),
       price: parseFloat(price), 
-      stock_quantity: parseInt(stock_quantity),
+      stock_quantity: 0,
+      reorder_level: req.body.reorder_level ? parseInt(req.body.reorder_level) : 0,
+      reorder_quantity: req.body.reorder_quantity ? parseInt(req.body.reorder_quantity) : 0,
       image: imagePath
     });
 
+    // Opening stock becomes the medicine's first batch
+    if (parseInt(stock_quantity) > 0) {
+      ({ medicine } = await stock.receiveBatch(medicine._id, {
+        batch_number: req.body.batch_number || 'OPENING',
+        expiry_date: expiry_date ? new Date(expiry_date) : null,
+        quantity: parseInt(stock_quantity),
+        unit_cost: req.body.unit_cost ? parseFloat(req.body.unit_cost) : undefined,
+        supplier: req.body.supplier
+      }, req.user));
+    }
+
+    events.publishStock('medicine.created', medicine, 0);
+    stockAlerts.notifyStockChanged(medicine._id);
+
     res.status(201).json(medicine);
   } catch (error) {
     console.error('Create medicine error:', error);
@@ -148,7 +194,7 @@ router.post('/', authorize('admin', 'pharmacist'), (req, res, next) => {
 
 // Update medicine (admin or pharmacist only)
 // Update medicine (admin or pharmacist only)
-router.put('/:id', authorize('admin', 'pharmacist'), (req, res, next) => {
+router.put('/:id', requirePermission('medicines', 'update'), (req, res, next) => {
   upload.single('image')(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       return res.status(400).json({ error: 'File upload error: ' + err.message });
@@ -164,20 +210,38 @@ router.put('/:id', authorize('admin', 'pharmacist'), (req, res, next) => {
     delete updates._id;
     delete updates.medicine_id;
 
-    if (updates.expiry_date === '') updates.expiry_date = null;
+    // Stock, expiry and status come from the medicine's batches
+    delete updates.expiry_date;
+    delete updates.status;
+    const stockQuantity = updates.stock_quantity;
+    delete updates.stock_quantity;
+
     if (updates.price) updates.price = parseFloat(updates.price);
-    if (updates.stock_quantity) updates.stock_quantity = parseInt(updates.stock_quantity);
+    if (updates.active_ingredients !== undefined) updates.active_ingredients = parseList(updates.active_ingredients);
 
     if (req.file) {
       updates.image = `/uploads/${req.file.filename}`;
     }
 
+    const existing = await Medicine.findById(req.params.id).select('stock_quantity');
+    if (!existing) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    if (stockQuantity !== undefined && stockQuantity !== '' && parseInt(stockQuantity) !== existing.stock_quantity) {
+      return res.status(400).json({ error: 'Stock is managed through batches; receive a batch or record an adjustment instead' });
+    }
+
     const medicine = await Medicine.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
 
     if (!medicine) {
       return res.status(404).json({ error: 'Medicine not found' });
     }
 
+    if (updates.reorder_level !== undefined) {
+      stockAlerts.notifyStockChanged(medicine._id);
+    }
+
     res.json(medicine);
   } catch (error) {
     console.error('Update medicine error:', error);
@@ -185,13 +249,29 @@ router.put('/:id', authorize('admin', 'pharmacist'), (req, res, next) => {
   }
 });
 
-// Delete medicine (admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+// Delete medicine (admin only); one with stock movements is only deactivated, so its ledger
+// keeps pointing at it
+router.delete('/:id', requirePermission('medicines', 'delete'), async (req, res) => {
   try {
+    if (await StockMovement.exists({ medicine_id: req.params.id })) {
+      const medicine = await Medicine.findByIdAndUpdate(
+        req.params.id,
+        { active: false, updated_at: Date.now() },
+        { new: true }
+      );
+      if (!medicine) {
+        return res.status(404).json({ error: 'Medicine not found' });
+      }
+      events.publishStock('medicine.deactivated', medicine, medicine.stock_quantity);
+      return res.json({ message: 'Medicine deactivated', medicine });
+    }
+
     const medicine = await Medicine.findByIdAndDelete(req.params.id);
     if (!medicine) {
       return res.status(404).json({ error: 'Medicine not found' });
     }
+    await MedicineBatch.deleteMany({ medicine_id: medicine._id });
+    events.publishStock('medicine.deleted', medicine, medicine.stock_quantity);
     res.json({ message: 'Medicine deleted successfully' });
   } catch (error) {
     console.error('Delete medicine error:', error);
@@ -199,6 +279,318 @@ router.delete('/:id', authorize('admin'), async (req, res) => {
   }
 });
 
+// Get a medicine's batches in the order they will be used (?include_empty=true for used-up batches)
+router.get('/:id/batches', requirePermission('medicines', 'manage_stock'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    const query = { medicine_id: medicine._id };
+    if (req.query.include_empty !== 'true') {
+      query.quantity = { $gt: 0 };
+    }
+
+    const now = new Date();
+    const batches = (await MedicineBatch.find(query))
+      .sort(stock.fefo)
+      .map((batch) => ({ ...batch.toObject(), expired: stock.isExpired(batch, now) }));
+
+    res.json({
+      medicine_id: medicine._id,
+      name: medicine.name,
+      stock_quantity: medicine.stock_quantity,
+      status: medicine.status,
+      batches
+    });
+  } catch (error) {
+    console.error('Get medicine batches error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receive a batch into stock (admin or pharmacist)
+router.post('/:id/batches', requirePermission('medicines', 'manage_stock'), [
+  body('batch_number').trim().notEmpty().withMessage('Batch number is required'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive whole number'),
+  body('expiry_date').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a date'),
+  body('unit_cost').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Medicine.findById(req.params.id).select('stock_quantity');
+    if (!existing) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    const { batch_number, expiry_date, quantity, unit_cost, supplier, reason } = req.body;
+    const { batch, medicine } = await stock.receiveBatch(existing._id, {
+      batch_number,
+      expiry_date: expiry_date ? new Date(expiry_date) : null,
+      quantity: parseInt(quantity),
+      unit_cost: unit_cost !== undefined && unit_cost !== null ? parseFloat(unit_cost) : undefined,
+      supplier,
+      reason
+    }, req.user);
+
+    events.publishStock('medicine.stock_changed', medicine, existing.stock_quantity);
+    stockAlerts.notifyStockChanged(medicine._id);
+
+    res.status(201).json({ batch, medicine });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This medicine already has a batch with that number' });
+    }
+    console.error('Receive medicine batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const ADJUSTMENT_TYPES = ['damage', 'expiry_write_off', 'return'];
+
+// Record a stock adjustment with a reason (admin or pharmacist):
+// - damage takes quantity from batch_id, or from unexpired batches first expiry first
+// - expiry_write_off takes quantity (default: all of it) from an expired batch_id, or without
+//   a batch writes off every expired batch
+// - return puts quantity back into batch_id
+router.post('/:id/adjustments', requirePermission('medicines', 'manage_stock'), [
+  body('type').isIn(ADJUSTMENT_TYPES).withMessage(`Type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive whole number'),
+  body('reason').trim().notEmpty().withMessage('Reason is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Medicine.findById(req.params.id).select('name stock_quantity');
+    if (!existing) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    const { type, reason, batch_id } = req.body;
+    const quantity = req.body.quantity !== undefined ? parseInt(req.body.quantity) : undefined;
+    const movement = { type, reason, user: req.user };
+
+    let batch;
+    if (batch_id) {
+      batch = await MedicineBatch.findOne({ _id: batch_id, medicine_id: existing._id });
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found for this medicine' });
+      }
+    }
+
+    if (type === 'return' && !batch) {
+      return res.status(400).json({ error: 'Returned stock needs the batch it belongs to' });
+    }
+    if (type === 'expiry_write_off' && !batch && quantity !== undefined) {
+      return res.status(400).json({ error: 'A write-off quantity needs the batch it comes from' });
+    }
+    if (type !== 'expiry_write_off' && quantity === undefined) {
+      return res.status(400).json({ error: 'Quantity is required' });
+    }
+    if (type === 'expiry_write_off' && batch && !stock.isExpired(batch)) {
+      return res.status(409).json({ error: `Batch ${batch.batch_number} has not expired` });
+    }
+
+    let batches = [];
+    if (type === 'return') {
+      batches.push(await stock.addToBatch(batch._id, quantity, movement));
+    } else if (type === 'expiry_write_off') {
+      const expired = batch
+        ? [batch]
+        : await MedicineBatch.find({ medicine_id: existing._id, quantity: { $gt: 0 }, expiry_date: { $lt: new Date() } });
+      for (const target of expired) {
+        const line = await stock.takeFromBatch(target._id, quantity || target.quantity, movement);
+        if (!line && batch) {
+          return res.status(409).json({ error: `Batch ${batch.batch_number} holds fewer than ${quantity || batch.quantity} units` });
+        }
+        if (line) batches.push(line);
+      }
+      if (batches.length === 0) {
+        return res.status(409).json({ error: 'No expired stock to write off' });
+      }
+    } else if (batch) {
+      const line = await stock.takeFromBatch(batch._id, quantity, movement);
+      if (!line) {
+        return res.status(409).json({ error: `Batch ${batch.batch_number} holds fewer than ${quantity} units` });
+      }
+      batches.push(line);
+    } else {
+      const taken = await stock.takeStock(existing._id, quantity, movement);
+      if (!taken) {
+        return res.status(409).json({ error: `Only ${existing.stock_quantity} unexpired ${existing.name} on hand` });
+      }
+      batches = taken.batches;
+    }
+
+    const medicine = await stock.syncMedicine(existing._id);
+
+    events.publishStock('medicine.stock_changed', medicine, existing.stock_quantity);
+    stockAlerts.notifyStockChanged(medicine._id);
+
+    res.status(201).json({ medicine, batches });
+  } catch (error) {
+    console.error('Adjust medicine stock error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reconcile a physical count with the system (admin or pharmacist). Body: { counts:
+// [{ batch_id, counted_quantity }], reason, dry_run }. Every counted batch that differs gets a
+// stocktake movement; with dry_run the differences are only reported.
+router.post('/:id/stocktake', requirePermission('medicines', 'manage_stock'), [
+  body('counts').isArray({ min: 1 }).withMessage('Counts must be a non-empty list'),
+  body('counts.*.batch_id').notEmpty().withMessage('Each count needs a batch ID'),
+  body('counts.*.counted_quantity').isInt({ min: 0 }).withMessage('Counted quantity must be a whole number'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Medicine.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    const reason = req.body.reason || 'Stocktake';
+    const counts = req.body.counts;
+
+    const ids = counts.map((count) => String(count.batch_id));
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'Each batch can only be counted once' });
+    }
+
+    const batches = await MedicineBatch.find({ _id: { $in: ids }, medicine_id: existing._id });
+    const byId = new Map(batches.map((batch) => [batch._id.toString(), batch]));
+    const unknown = ids.find((id) => !byId.has(id));
+    if (unknown) {
+      return res.status(404).json({ error: `Batch ${unknown} not found for this medicine` });
+    }
+
+    const lines = [];
+    const conflicts = [];
+    for (const count of counts) {
+      const batch = byId.get(String(count.batch_id));
+      const counted = parseInt(count.counted_quantity);
+      const line = {
+        batch_id: batch._id,
+        batch_number: batch.batch_number,
+        expiry_date: batch.expiry_date,
+        system_quantity: batch.quantity,
+        counted_quantity: counted,
+        difference: counted - batch.quantity
+      };
+
+      if (!dryRun && line.difference !== 0) {
+        const applied = await stock.countBatch(batch, counted, { reason, user: req.user });
+        if (applied === null) {
+          conflicts.push({ ...line, error: 'Stock moved while counting; count this batch again' });
+          continue;
+        }
+      }
+      lines.push(line);
+    }
+
+    // Batches holding stock that the count did not cover
+    const uncounted = await MedicineBatch.find({
+      medicine_id: existing._id,
+      quantity: { $gt: 0 },
+      _id: { $nin: batches.map((batch) => batch._id) }
+    }).select('batch_number expiry_date quantity');
+
+    let medicine = existing;
+    if (!dryRun && lines.some((line) => line.difference !== 0)) {
+      medicine = await stock.syncMedicine(existing._id);
+      events.publishStock('medicine.stock_changed', medicine, existing.stock_quantity);
+      stockAlerts.notifyStockChanged(medicine._id);
+    }
+
+    res.json({
+      dry_run: dryRun,
+      medicine,
+      lines,
+      conflicts,
+      uncounted
+    });
+  } catch (error) {
+    console.error('Stocktake error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stock ledger of a medicine, newest first (?type=&batch_id=&from=&to=&page=&limit=)
+router.get('/:id/movements', requirePermission('medicines', 'manage_stock'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+
+    const { type, batch_id, from, to, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    let query = { medicine_id: medicine._id };
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (batch_id) {
+      query.batch_id = batch_id;
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    if (fromDate || toDate) {
+      query.created_at = {};
+      if (fromDate) query.created_at.$gte = fromDate;
+      if (toDate) query.created_at.$lte = toDate;
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('actor_id', 'username role')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await StockMovement.countDocuments(query);
+
+    // The ledger balance should always match what the batches hold, expired ones included
+    const batches = await MedicineBatch.find({ medicine_id: medicine._id }).select('quantity');
+
+    res.json({
+      medicine_id: medicine._id,
+      stock_quantity: medicine.stock_quantity,
+      ledger_balance: await stock.ledgerBalance(medicine._id),
+      batch_total: batches.reduce((sum, batch) => sum + batch.quantity, 0),
+      movements,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get categories
 router.get('/categories/list', async (req, res) => {
   try {
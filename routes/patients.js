@@ -1,8 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Patient = require('../models/Patient');
-const User = require('../models/User');
+const Doctor = require('../models/Doctor');
+const Referral = require('../models/Referral');
+const Prescription = require('../models/Prescription');
+const permissions = require('../utils/permissions');
+const careAccess = require('../utils/careAccess');
+const audit = require('../utils/audit');
 
 const router = express.Router();
 
@@ -14,32 +19,32 @@ function generatePatientId() {
   return 'PAT' + Date.now().toString().slice(-8);
 }
 
-// Get all patients (admin and doctor only, or customer's own record)
-router.get('/', async (req, res) => {
+// Get all patients (staff, or customer's own record)
+router.get('/', requirePermission('patients', 'read'), async (req, res) => {
   try {
     const { search, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    let query = {};
-
-    // Customers can only see their own record
-    if (req.user.role === 'customer') {
-      const user = await User.findById(req.user.id);
-      if (user && user.patient_id) {
-        query._id = user.patient_id;
-      } else {
-        return res.json({ patients: [], pagination: { page: 1, limit: 10, total: 0, pages: 0 } });
-      }
+    // Customers see their own record; doctors the patients in their care
+    const scope = await permissions.scopeQuery(req, 'patients', 'read', { patient_id: '_id', doctor_id: null });
+    if (!scope) {
+      return res.json({ patients: [], pagination: { page: 1, limit: 10, total: 0, pages: 0 } });
     }
 
-    if (search && req.user.role !== 'customer') {
+    let query = scope;
+
+    if (search && permissions.scopeFor(req.user.role, 'patients', 'read') !== 'own') {
       const regex = new RegExp(search, 'i');
-      query.$or = [
-        { first_name: regex },
-        { last_name: regex },
-        { patient_id: regex }, // The string ID PAT...
-        { phone: regex }
-      ];
+      query = {
+        $and: [scope, {
+          $or: [
+            { first_name: regex },
+            { last_name: regex },
+            { patient_id: regex }, // The string ID PAT...
+            { phone: regex }
+          ]
+        }]
+      };
     }
 
     const patients = await Patient.find(query)
@@ -49,6 +54,8 @@ router.get('/', async (req, res) => {
 
     const total = await Patient.countDocuments(query);
 
+    await audit.recordRead(req, 'Patient', patients, '_id');
+
     res.json({
       patients,
       pagination: {
@@ -65,21 +72,19 @@ router.get('/', async (req, res) => {
 });
 
 // Get patient by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('patients', 'read'), async (req, res) => {
   try {
     const patient = await Patient.findById(req.params.id);
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    // Authorization check for customer
-    if (req.user.role === 'customer') {
-      const user = await User.findById(req.user.id);
-      if (!user.patient_id || user.patient_id.toString() !== req.params.id) {
-        return res.status(403).json({ error: 'Unauthorized access' });
-      }
+    if (!(await permissions.canAccess(req, 'patients', 'read', { patient_id: patient._id }))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
     }
 
+    await audit.recordRead(req, 'Patient', patient, '_id');
+
     res.json(patient);
   } catch (error) {
     console.error('Get patient error:', error);
@@ -87,8 +92,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create patient (admin only)
-router.post('/', authorize('admin'), [
+// Create patient (admin or receptionist)
+router.post('/', requirePermission('patients', 'create'), [
   body('first_name').notEmpty().withMessage('First name is required'),
   body('last_name').notEmpty().withMessage('Last name is required'),
   body('date_of_birth').notEmpty().withMessage('Date of birth is required'),
@@ -121,15 +126,12 @@ router.post('/', authorize('admin'), [
   }
 });
 
-// Update patient (admin, doctor, or customer's own record)
-router.put('/:id', async (req, res) => {
+// Update patient (clinical and front-desk staff, or customer's own record)
+router.put('/:id', requirePermission('patients', 'update'), async (req, res) => {
   try {
-    // Check if customer is trying to update their own record
-    if (req.user.role === 'customer') {
-      const user = await User.findById(req.user.id);
-      if (!user || !user.patient_id || user.patient_id.toString() !== req.params.id) {
-        return res.status(403).json({ error: 'You can only update your own record' });
-      }
+    // Customers can only update their own record
+    if (!(await permissions.canAccess(req, 'patients', 'update', { patient_id: req.params.id }))) {
+      return res.status(403).json({ error: 'You can only update your own record' });
     }
 
     // Sanitize body or just pass it (assuming model validation handles schema)
@@ -154,7 +156,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete patient (admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('patients', 'delete'), async (req, res) => {
   try {
     const patient = await Patient.findByIdAndDelete(req.params.id);
     if (!patient) {
@@ -168,4 +170,143 @@ router.delete('/:id', authorize('admin'), async (req, res) => {
   }
 });
 
+// Emergency access to a patient outside any care relationship ("break the glass").
+// Grants are short-lived and both the grant and every use are audited.
+router.post('/:id/break-glass', requirePermission('patients', 'break_glass'), [
+  body('reason').trim().isLength({ min: 10 }).withMessage('A reason of at least 10 characters is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const patient = await Patient.findById(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    const grant = await careAccess.breakGlass(req, patient._id, req.body.reason);
+
+    res.status(201).json({
+      message: 'Emergency access granted. This access is audited.',
+      grant
+    });
+  } catch (error) {
+    console.error('Break glass error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a patient's prescriptions, newest first (?status= to filter)
+router.get('/:id/prescriptions', requirePermission('prescriptions', 'read'), async (req, res) => {
+  try {
+    if (!(await permissions.canAccess(req, 'prescriptions', 'read', { patient_id: req.params.id }))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const query = { patient_id: req.params.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const prescriptions = await Prescription.find(query)
+      .populate('doctor_id', 'first_name last_name specialization')
+      .populate('items.medicine_id', 'medicine_id name category status stock_quantity')
+      .sort({ created_at: -1 });
+
+    await audit.recordRead(req, 'Prescription', prescriptions);
+
+    res.json(prescriptions);
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a patient's referrals
+router.get('/:id/referrals', requirePermission('referrals', 'read'), async (req, res) => {
+  try {
+    if (!(await permissions.canAccess(req, 'referrals', 'read', { patient_id: req.params.id }))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const referrals = await Referral.find({ patient_id: req.params.id })
+      .populate('from_doctor_id', 'first_name last_name specialization department')
+      .populate('to_doctor_id', 'first_name last_name specialization department')
+      .sort({ created_at: -1 });
+
+    res.json(referrals);
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refer a patient to a doctor or a department (admin, or a doctor caring for the patient)
+router.post('/:id/referrals', requirePermission('referrals', 'create'), async (req, res) => {
+  try {
+    const { to_doctor_id, to_department, reason } = req.body;
+    if (!to_doctor_id && !to_department) {
+      return res.status(400).json({ error: 'A doctor or department to refer to is required' });
+    }
+
+    const patient = await Patient.findById(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'referrals', 'create', { patient_id: patient._id }))) {
+      return res.status(403).json({ error: 'You can only refer patients in your care' });
+    }
+
+    if (to_doctor_id && !(await Doctor.exists({ _id: to_doctor_id }))) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const profile = await permissions.loadProfile(req);
+
+    const referral = await Referral.create({
+      patient_id: patient._id,
+      from_doctor_id: profile && profile.doctor_id ? profile.doctor_id : undefined,
+      to_doctor_id: to_doctor_id || undefined,
+      to_department: to_department || undefined,
+      reason,
+      created_by: req.user.id
+    });
+
+    res.status(201).json(referral);
+  } catch (error) {
+    console.error('Create referral error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Close a referral; it no longer grants care access
+router.patch('/:id/referrals/:referralId/close', requirePermission('referrals', 'close'), async (req, res) => {
+  try {
+    const referral = await Referral.findOne({ _id: req.params.referralId, patient_id: req.params.id });
+    if (!referral) {
+      return res.status(404).json({ error: 'Referral not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'referrals', 'close', referral))) {
+      return res.status(403).json({ error: 'You can only close referrals for patients in your care' });
+    }
+
+    if (referral.status === 'closed') {
+      return res.status(409).json({ error: 'Referral is already closed' });
+    }
+
+    referral.status = 'closed';
+    referral.closed_at = Date.now();
+    await referral.save();
+
+    res.json(referral);
+  } catch (error) {
+    console.error('Close referral error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
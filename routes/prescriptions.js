@@ -0,0 +1,133 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const Prescription = require('../models/Prescription');
+const Dispensation = require('../models/Dispensation');
+const dispensing = require('../utils/dispensing');
+const permissions = require('../utils/permissions');
+const stockAlerts = require('../utils/stockAlerts');
+const events = require('../utils/events');
+const audit = require('../utils/audit');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get prescriptions (filtered by role); the pharmacy works from ?status=active
+router.get('/', requirePermission('prescriptions', 'read'), async (req, res) => {
+  try {
+    const { status, patient_id } = req.query;
+
+    const scope = await permissions.scopeQuery(req, 'prescriptions', 'read');
+    if (!scope) {
+      return res.json([]);
+    }
+
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (patient_id) {
+      query.patient_id = patient_id;
+    }
+
+    Object.assign(query, scope);
+
+    const prescriptions = await Prescription.find(query)
+      .populate('patient_id', 'first_name last_name patient_id')
+      .populate('doctor_id', 'first_name last_name specialization')
+      .sort({ created_at: 1 });
+
+    await audit.recordRead(req, 'Prescription', prescriptions);
+
+    res.json(prescriptions);
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get prescription by ID
+router.get('/:id', requirePermission('prescriptions', 'read'), async (req, res) => {
+  try {
+    const prescription = await Prescription.findById(req.params.id)
+      .populate('patient_id', 'first_name last_name patient_id date_of_birth')
+      .populate('doctor_id', 'first_name last_name specialization')
+      .populate('items.medicine_id', 'medicine_id name category status stock_quantity');
+
+    if (!prescription) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'prescriptions', 'read', prescription))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    await audit.recordRead(req, 'Prescription', prescription);
+
+    res.json(prescription);
+  } catch (error) {
+    console.error('Get prescription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fills of a prescription, oldest first
+router.get('/:id/dispensations', requirePermission('prescriptions', 'read'), async (req, res) => {
+  try {
+    const prescription = await Prescription.findById(req.params.id);
+    if (!prescription) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'prescriptions', 'read', prescription))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const dispensations = await Dispensation.find({ prescription_id: prescription._id })
+      .populate('dispensed_by', 'username role')
+      .sort({ created_at: 1 });
+
+    await audit.recordRead(req, 'Dispensation', dispensations);
+
+    res.json(dispensations);
+  } catch (error) {
+    console.error('Get dispensations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fill a prescription fully or partially (pharmacist). Body: { items: [{ item_id, quantity }],
+// notes }; without items everything still outstanding is dispensed. Stock is taken from
+// batches first expiry first, and the batches used are recorded on the dispensation.
+router.post('/:id/dispense', requirePermission('prescriptions', 'dispense'), async (req, res) => {
+  try {
+    const prescription = await Prescription.findById(req.params.id);
+    if (!prescription) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    const result = await dispensing.dispense(prescription, req.body.items, req.user, req.body.notes);
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({ error: result.rejection.error });
+    }
+
+    for (const change of result.stockChanges) {
+      events.publishStock('medicine.stock_changed', change.medicine, change.previous_quantity);
+      stockAlerts.notifyStockChanged(change.medicine._id);
+    }
+    events.publishPrescription('prescription.dispensed', result.prescription);
+
+    res.status(201).json({
+      prescription: result.prescription,
+      dispensation: result.dispensation
+    });
+  } catch (error) {
+    console.error('Dispense prescription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const purchasing = require('../utils/purchasing');
+const stockAlerts = require('../utils/stockAlerts');
+const events = require('../utils/events');
+const { sendMail } = require('../utils/mailer');
+
+const router = express.Router();
+
+// Generate unique purchase order number
+function generatePurchaseOrderId() {
+  return 'PO' + Date.now().toString().slice(-8);
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// An order's supplier must exist and still be active
+async function activeSupplier(supplierId) {
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    return { rejection: { status: 400, error: 'Supplier not found' } };
+  }
+  if (!supplier.active) {
+    return { rejection: { status: 400, error: 'Supplier is inactive' } };
+  }
+  return { supplier };
+}
+
+function populateOrder(query) {
+  return query
+    .populate('supplier_id', 'supplier_id name contact_name email phone')
+    .populate('created_by', 'username role');
+}
+
+// Email the order to the supplier; a mail failure must not undo sending it
+function emailSupplier(order, supplier) {
+  if (!supplier.email) return;
+
+  sendMail({
+    to: supplier.email,
+    subject: `Purchase order ${order.po_number}`,
+    text: [
+      `Hello ${supplier.contact_name || supplier.name},`,
+      '',
+      `Please supply the following against purchase order ${order.po_number}:`,
+      '',
+      ...order.items.map((item) => `- ${item.medicine_name}: ${item.quantity_ordered} at ${item.unit_cost}`),
+      '',
+      order.expected_date ? `Expected delivery: ${order.expected_date}` : '',
+      order.notes || ''
+    ].join('\n').trim()
+  }).catch((error) => console.error('Purchase order email error:', error));
+}
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get purchase orders, newest first
+router.get('/', requirePermission('purchase_orders', 'read'), async (req, res) => {
+  try {
+    const { status, supplier_id } = req.query;
+
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (supplier_id) {
+      query.supplier_id = supplier_id;
+    }
+
+    const orders = await populateOrder(PurchaseOrder.find(query)).sort({ created_at: -1 });
+    res.json(orders);
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Outstanding deliveries grouped by supplier; ?supplier_id= for one supplier
+router.get('/outstanding', requirePermission('purchase_orders', 'read'), async (req, res) => {
+  try {
+    const suppliers = await purchasing.outstandingBySupplier(req.query.supplier_id);
+    res.json({
+      suppliers,
+      outstanding_value: suppliers.reduce((sum, group) => Math.round((sum + group.outstanding_value) * 100) / 100, 0)
+    });
+  } catch (error) {
+    console.error('Get outstanding purchase orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get purchase order by ID, with received quantities and costs against catalog prices
+router.get('/:id', requirePermission('purchase_orders', 'read'), async (req, res) => {
+  try {
+    const order = await populateOrder(PurchaseOrder.findById(req.params.id))
+      .populate('receipts.received_by', 'username role');
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    res.json({ ...order.toJSON(), summary: await purchasing.summarize(order) });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a draft order. Body: { supplier_id, items: [{ medicine_id, quantity, unit_cost }],
+// expected_date, notes }
+router.post('/', requirePermission('purchase_orders', 'manage'), async (req, res) => {
+  try {
+    const { supplier_id, items, expected_date, notes } = req.body;
+
+    const { rejection } = await activeSupplier(supplier_id);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    if (expected_date && !isDate(expected_date)) {
+      return res.status(400).json({ error: 'Expected date must be YYYY-MM-DD' });
+    }
+
+    const checked = await purchasing.checkItems(items);
+    if (checked.errors.length > 0) {
+      return res.status(400).json({ errors: checked.errors });
+    }
+
+    const order = await PurchaseOrder.create({
+      po_number: generatePurchaseOrderId(),
+      supplier_id,
+      items: checked.items,
+      expected_date,
+      notes,
+      created_by: req.user.id
+    });
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a draft; once sent the order is what the supplier has seen and can only be closed
+router.put('/:id', requirePermission('purchase_orders', 'manage'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(409).json({ error: 'Only draft purchase orders can be edited' });
+    }
+
+    const { supplier_id, items, expected_date, notes } = req.body;
+    const updates = { updated_at: Date.now() };
+
+    if (supplier_id !== undefined) {
+      const { rejection } = await activeSupplier(supplier_id);
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+      }
+      updates.supplier_id = supplier_id;
+    }
+
+    if (expected_date !== undefined) {
+      if (expected_date && !isDate(expected_date)) {
+        return res.status(400).json({ error: 'Expected date must be YYYY-MM-DD' });
+      }
+      updates.expected_date = expected_date || null;
+    }
+
+    if (notes !== undefined) {
+      updates.notes = notes;
+    }
+
+    if (items !== undefined) {
+      const checked = await purchasing.checkItems(items);
+      if (checked.errors.length > 0) {
+        return res.status(400).json({ errors: checked.errors });
+      }
+      updates.items = checked.items;
+    }
+
+    const updated = await PurchaseOrder.findOneAndUpdate(
+      { _id: order._id, status: 'draft' },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: 'Purchase order was changed by someone else, reload and try again' });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a draft to the supplier, emailing it when the supplier has an address
+router.post('/:id/send', requirePermission('purchase_orders', 'manage'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(409).json({ error: `Purchase order is already ${order.status.replace('_', ' ')}` });
+    }
+
+    const { supplier, rejection } = await activeSupplier(order.supplier_id);
+    if (rejection) {
+      return res.status(409).json({ error: rejection.error });
+    }
+
+    const sent = await PurchaseOrder.findOneAndUpdate(
+      { _id: order._id, status: 'draft' },
+      { status: 'sent', sent_at: Date.now(), updated_at: Date.now() },
+      { new: true }
+    );
+    if (!sent) {
+      return res.status(409).json({ error: 'Purchase order was changed by someone else, reload and try again' });
+    }
+
+    emailSupplier(sent, supplier);
+
+    res.json(sent);
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Goods received. Body: { lines: [{ item_id, quantity, batch_number, expiry_date, unit_cost }],
+// notes }; each line becomes a batch of stock. unit_cost defaults to the ordered cost.
+router.post('/:id/receive', requirePermission('purchase_orders', 'receive'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    const result = await purchasing.receive(order, req.body.lines, req.user, req.body.notes);
+
+    // Stock booked before a failure stays booked, so announce it either way
+    for (const change of result.stockChanges || []) {
+      events.publishStock('medicine.stock_changed', change.medicine, change.previous_quantity);
+      stockAlerts.notifyStockChanged(change.medicine._id);
+    }
+
+    if (result.rejection) {
+      return res.status(result.rejection.status).json({ error: result.rejection.error });
+    }
+
+    res.status(201).json({
+      order: result.order,
+      receipt: result.receipt,
+      summary: await purchasing.summarize(result.order)
+    });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Close an order: cancels a draft, or stops waiting for the rest of a partial delivery
+router.post('/:id/close', requirePermission('purchase_orders', 'manage'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (order.status === 'closed') {
+      return res.status(409).json({ error: 'Purchase order is already closed' });
+    }
+    if (order.status !== 'received' && (typeof reason !== 'string' || !reason.trim())) {
+      return res.status(400).json({ error: 'A reason is required to close an order that was not fully received' });
+    }
+
+    const closed = await PurchaseOrder.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      { status: 'closed', closed_at: Date.now(), close_reason: reason ? reason.trim() : undefined, updated_at: Date.now() },
+      { new: true }
+    );
+    if (!closed) {
+      return res.status(409).json({ error: 'Purchase order was changed by someone else, reload and try again' });
+    }
+
+    res.json(closed);
+  } catch (error) {
+    console.error('Close purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const QueueToken = require('../models/QueueToken');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const availability = require('../utils/availability');
+const appointmentStatus = require('../utils/appointmentStatus');
+const queue = require('../utils/queue');
+const permissions = require('../utils/permissions');
+const events = require('../utils/events');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Front-desk and nursing staff run any queue; doctors only their own
+function canManageQueue(req, doctorId) {
+  return permissions.canAccess(req, 'queue', 'manage', { doctor_id: doctorId });
+}
+
+// Keep a booked token's appointment in step with the queue; an appointment that has moved on
+// meanwhile (e.g. cancelled) is left alone
+async function advanceAppointment(token, to, user) {
+  if (!token.appointment_id) return;
+  const appointment = await Appointment.findById(token.appointment_id);
+  if (!appointment) return;
+
+  const rejection = appointmentStatus.applyStatusChange(
+    appointment, to, user, `Queue token ${token.token_number}`, { viaQueue: true }
+  );
+  if (rejection) {
+    console.warn(`Queue token ${token.token_number}: appointment left ${appointment.status}: ${rejection.error}`);
+    return;
+  }
+  await appointment.save();
+  events.publishAppointment('appointment.status_changed', appointment);
+}
+
+// Move a token on only from the status it was read in, so two desks acting at once cannot
+// both apply the change; null if it changed meanwhile
+function moveToken(token, from, changes) {
+  return QueueToken.findOneAndUpdate(
+    { _id: token._id, status: from },
+    { $set: { ...changes, updated_at: Date.now() } },
+    { new: true }
+  );
+}
+
+// Load a token of this doctor's queue for today or send the error response
+async function findTodayToken(req, res) {
+  const token = await QueueToken.findOne({
+    _id: req.params.tokenId,
+    doctor_id: req.params.doctorId,
+    date: availability.today()
+  });
+  if (!token) {
+    res.status(404).json({ error: 'Queue token not found' });
+  }
+  return token;
+}
+
+// Waiting-room view of a doctor's queue for today (staff only; it names patients)
+router.get('/:doctorId/today', requirePermission('queue', 'read'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findById(req.params.doctorId);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    res.json(await queue.buildQueueView(doctor, availability.today()));
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check in a booked patient (appointment_id) or a walk-in (patient_id or walk_in_name)
+router.post('/:doctorId/check-in', requirePermission('queue', 'manage'), async (req, res) => {
+  try {
+    if (!(await canManageQueue(req, req.params.doctorId))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const doctor = await Doctor.findById(req.params.doctorId);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const { appointment_id, patient_id, walk_in_name, reason } = req.body;
+    const date = availability.today();
+    let tokenData;
+
+    if (appointment_id) {
+      const appointment = await Appointment.findById(appointment_id);
+      if (!appointment || appointment.doctor_id.toString() !== req.params.doctorId) {
+        return res.status(404).json({ error: 'Appointment not found for this doctor' });
+      }
+      if (appointment.appointment_date !== date) {
+        return res.status(400).json({ error: 'Only today\'s appointments can be checked in' });
+      }
+
+      const existing = await QueueToken.findOne({ appointment_id: appointment._id, date });
+      if (existing) {
+        return res.status(409).json({ error: 'Appointment is already checked in', token: existing });
+      }
+
+      const rejection = appointmentStatus.applyStatusChange(appointment, 'checked_in', req.user, 'Queue check-in', { viaQueue: true });
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error });
+      }
+      await appointment.save();
+      events.publishAppointment('appointment.status_changed', appointment);
+
+      tokenData = {
+        type: 'booked',
+        patient_id: appointment.patient_id,
+        appointment_id: appointment._id,
+        reason: appointment.reason
+      };
+    } else if (patient_id || walk_in_name) {
+      if (patient_id) {
+        const patient = await Patient.findById(patient_id);
+        if (!patient) {
+          return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // Waiting, being seen or skipped but recallable
+        const existing = await QueueToken.findOne({
+          doctor_id: doctor._id,
+          date,
+          patient_id: patient._id,
+          status: { $in: ['waiting', 'called', 'skipped'] }
+        });
+        if (existing) {
+          return res.status(409).json({ error: 'Patient is already in the queue', token: existing });
+        }
+      }
+      tokenData = { type: 'walk_in', patient_id: patient_id || undefined, walk_in_name, reason };
+    } else {
+      return res.status(400).json({ error: 'Appointment ID, patient ID or walk-in name is required' });
+    }
+
+    const token = await queue.issueToken({
+      ...tokenData,
+      doctor_id: doctor._id,
+      date,
+      issued_by: req.user.id
+    });
+
+    res.status(201).json(token);
+  } catch (error) {
+    console.error('Queue check-in error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish the current patient and call the next waiting token
+router.post('/:doctorId/call-next', requirePermission('queue', 'manage'), async (req, res) => {
+  try {
+    if (!(await canManageQueue(req, req.params.doctorId))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const doctor = await Doctor.findById(req.params.doctorId);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const date = availability.today();
+
+    // Conditional, so two desks calling next at once cannot both complete the same patient
+    const current = await QueueToken.findOneAndUpdate(
+      { doctor_id: doctor._id, date, status: 'called' },
+      { status: 'completed', completed_at: Date.now(), updated_at: Date.now() },
+      { new: true }
+    );
+    if (current) {
+      await advanceAppointment(current, 'completed', req.user);
+    }
+
+    const next = await QueueToken.findOneAndUpdate(
+      { doctor_id: doctor._id, date, status: 'waiting' },
+      { status: 'called', called_at: Date.now(), updated_at: Date.now() },
+      { sort: { token_number: 1 }, new: true }
+    );
+    if (next) {
+      await advanceAppointment(next, 'in_consultation', req.user);
+    }
+
+    res.json({
+      completed: current,
+      called: next,
+      queue: await queue.buildQueueView(doctor, date)
+    });
+  } catch (error) {
+    console.error('Queue call next error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish the current patient without calling the next one
+router.post('/:doctorId/tokens/:tokenId/complete', requirePermission('queue', 'manage'), async (req, res) => {
+  try {
+    if (!(await canManageQueue(req, req.params.doctorId))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const token = await findTodayToken(req, res);
+    if (!token) return;
+
+    if (token.status !== 'called') {
+      return res.status(409).json({ error: 'Only the token being served can be completed' });
+    }
+
+    const completed = await moveToken(token, 'called', { status: 'completed', completed_at: Date.now() });
+    if (!completed) {
+      return res.status(409).json({ error: 'Queue token was changed by someone else, reload and try again' });
+    }
+    await advanceAppointment(completed, 'completed', req.user);
+
+    res.json(completed);
+  } catch (error) {
+    console.error('Queue complete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Skip a patient who did not respond when called
+router.post('/:doctorId/tokens/:tokenId/skip', requirePermission('queue', 'manage'), async (req, res) => {
+  try {
+    if (!(await canManageQueue(req, req.params.doctorId))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const token = await findTodayToken(req, res);
+    if (!token) return;
+
+    if (!['waiting', 'called'].includes(token.status)) {
+      return res.status(409).json({ error: `Cannot skip a ${token.status} token` });
+    }
+
+    // A called patient goes back to waiting on their appointment too
+    const wasCalled = token.status === 'called';
+    const skipped = await moveToken(token, token.status, { status: 'skipped', skipped_at: Date.now() });
+    if (!skipped) {
+      return res.status(409).json({ error: 'Queue token was changed by someone else, reload and try again' });
+    }
+    if (wasCalled) {
+      await advanceAppointment(skipped, 'checked_in', req.user);
+    }
+
+    res.json(skipped);
+  } catch (error) {
+    console.error('Queue skip error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Put a skipped patient back in line at their original token position
+router.post('/:doctorId/tokens/:tokenId/recall', requirePermission('queue', 'manage'), async (req, res) => {
+  try {
+    if (!(await canManageQueue(req, req.params.doctorId))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const token = await findTodayToken(req, res);
+    if (!token) return;
+
+    if (token.status !== 'skipped') {
+      return res.status(409).json({ error: 'Only skipped tokens can be recalled' });
+    }
+
+    const recalled = await moveToken(token, 'skipped', { status: 'waiting', recalled_at: Date.now() });
+    if (!recalled) {
+      return res.status(409).json({ error: 'Queue token was changed by someone else, reload and try again' });
+    }
+
+    res.json(recalled);
+  } catch (error) {
+    console.error('Queue recall error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
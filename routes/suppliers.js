@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const Supplier = require('../models/Supplier');
+const purchasing = require('../utils/purchasing');
+
+const router = express.Router();
+
+// Generate unique supplier ID
+function generateSupplierId() {
+  return 'SUP' + Date.now().toString().slice(-8);
+}
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get suppliers; inactive ones only with ?active=false or ?active=all
+router.get('/', requirePermission('suppliers', 'read'), async (req, res) => {
+  try {
+    const { search, active } = req.query;
+
+    let query = {};
+
+    if (search) {
+      const regex = new RegExp(search, 'i');
+      query.$or = [
+        { name: regex },
+        { supplier_id: regex },
+        { contact_name: regex }
+      ];
+    }
+
+    if (active !== 'all') {
+      query.active = active !== 'false';
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+    res.json(suppliers);
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get supplier by ID
+router.get('/:id', requirePermission('suppliers', 'read'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json(supplier);
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// What the supplier still has to deliver on its open orders
+router.get('/:id/outstanding', requirePermission('purchase_orders', 'read'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const [outstanding] = await purchasing.outstandingBySupplier(supplier._id);
+    res.json(outstanding || { supplier, orders: [], outstanding_units: 0, outstanding_value: 0 });
+  } catch (error) {
+    console.error('Get supplier outstanding orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create supplier (admin or pharmacist)
+router.post('/', requirePermission('suppliers', 'manage'), [
+  body('name').notEmpty().withMessage('Supplier name is required'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Email must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, contact_name, email, phone, address, notes } = req.body;
+
+    const supplier = await Supplier.create({
+      supplier_id: generateSupplierId(),
+      name,
+      contact_name,
+      email,
+      phone,
+      address,
+      notes
+    });
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update supplier (admin or pharmacist)
+router.put('/:id', requirePermission('suppliers', 'manage'), [
+  body('name').optional().notEmpty().withMessage('Supplier name cannot be empty'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Email must be valid'),
+  body('active').optional().isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updates = { ...req.body };
+    updates.updated_at = Date.now();
+    delete updates._id;
+    delete updates.supplier_id;
+
+    const supplier = await Supplier.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json(supplier);
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Deactivate supplier; its orders and batches still point at it, so it is never removed
+router.delete('/:id', requirePermission('suppliers', 'manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      { active: false, updated_at: Date.now() },
+      { new: true }
+    );
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json({ message: 'Supplier deactivated', supplier });
+  } catch (error) {
+    console.error('Deactivate supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
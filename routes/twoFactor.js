@@ -0,0 +1,208 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const User = require('../models/User');
+const sessions = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const loginThrottle = require('../utils/loginThrottle');
+const audit = require('../utils/audit');
+
+const router = express.Router();
+
+// Enrolment also accepts the setup token given at login to users whose role requires 2FA
+async function authenticateOrSetup(req, res, next) {
+  if (!req.body || !req.body.setup_token) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const userId = twoFactor.verifyChallenge(req.body.setup_token, 'setup');
+    const user = userId && await User.findById(userId).select('role');
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired setup token' });
+    }
+    req.user = { id: user._id.toString(), role: user.role };
+    req.setupFlow = true;
+    next();
+  } catch (error) {
+    console.error('Two-factor setup authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Current user's 2FA status
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('two_factor +two_factor.recovery_codes');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      enabled: !!user.two_factor.enabled,
+      enabled_at: user.two_factor.enabled_at,
+      required: twoFactor.isRequiredForRole(user.role),
+      recovery_codes_remaining: user.two_factor.enabled ? (user.two_factor.recovery_codes || []).length : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start enrolment: issue a secret and the otpauth:// URI for authenticator apps
+router.post('/enroll', authenticateOrSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.two_factor.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = twoFactor.generateSecret();
+    user.two_factor.pending_secret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauth_uri: twoFactor.otpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor enroll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm enrolment with a first code; returns one-time recovery codes.
+// In the login setup flow the response also carries the new session tokens.
+router.post('/verify', authenticateOrSetup, [
+  body('code').notEmpty().withMessage('Code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+two_factor.pending_secret');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.two_factor.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.two_factor.pending_secret) {
+      return res.status(400).json({ error: 'Start enrolment first' });
+    }
+
+    const step = twoFactor.verifyCode(user.two_factor.pending_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    user.two_factor.enabled = true;
+    user.two_factor.secret = user.two_factor.pending_secret;
+    user.two_factor.pending_secret = undefined;
+    user.two_factor.last_used_step = step;
+    user.two_factor.recovery_codes = hashes;
+    user.two_factor.enabled_at = Date.now();
+    await user.save();
+
+    await audit.record('auth.2fa_enabled', { req, resource_type: 'user', resource_id: user._id });
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recovery_codes: codes
+    };
+
+    if (req.setupFlow) {
+      await loginThrottle.recordSuccess(user.email);
+      Object.assign(response, await sessions.startLogin(user, req));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace all recovery codes (requires a current TOTP code)
+router.post('/recovery-codes', authenticateToken, [
+  body('code').notEmpty().withMessage('Code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+two_factor.secret +two_factor.last_used_step');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.two_factor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await twoFactor.consumeCode(user, req.body.code))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'two_factor.recovery_codes': hashes } });
+
+    res.json({ recovery_codes: codes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn 2FA off (requires password and a current code; not allowed where the role requires 2FA)
+router.post('/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').notEmpty().withMessage('Code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+two_factor.secret +two_factor.last_used_step');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.two_factor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (twoFactor.isRequiredForRole(user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const validPassword = await bcrypt.compare(req.body.password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    if (!(await twoFactor.consumeCode(user, req.body.code))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    user.two_factor = { enabled: false };
+    await user.save();
+
+    await audit.record('auth.2fa_disabled', { req, resource_type: 'user', resource_id: user._id });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
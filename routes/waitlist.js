@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Appointment = require('../models/Appointment');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const availability = require('../utils/availability');
+const appointmentStatus = require('../utils/appointmentStatus');
+const waitlist = require('../utils/waitlist');
+const permissions = require('../utils/permissions');
+const { generateAppointmentId } = require('../utils/booking');
+const events = require('../utils/events');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get waitlist entries (filtered by role)
+router.get('/', requirePermission('waitlist', 'read'), async (req, res) => {
+  try {
+    const { status, doctor_id, patient_id } = req.query;
+
+    // Doctors see their own queue; customers their own entries
+    const scope = await permissions.scopeQuery(req, 'waitlist', 'read');
+    if (!scope) {
+      return res.json([]);
+    }
+
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (patient_id) {
+      query.patient_id = patient_id;
+    }
+
+    if (doctor_id) {
+      query.doctor_id = doctor_id;
+    }
+
+    Object.assign(query, scope);
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('patient_id', 'first_name last_name phone email patient_id')
+      .populate('doctor_id', 'first_name last_name specialization doctor_id')
+      .sort({ created_at: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get waitlist entry by ID
+router.get('/:id', requirePermission('waitlist', 'read'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id)
+      .populate('patient_id', 'first_name last_name phone email')
+      .populate('doctor_id', 'first_name last_name specialization');
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'waitlist', 'read', entry))) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Get waitlist entry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Join the waitlist for a doctor and date range
+router.post('/', requirePermission('waitlist', 'create'), [
+  body('patient_id').notEmpty().withMessage('Patient ID is required'),
+  body('doctor_id').notEmpty().withMessage('Doctor ID is required'),
+  body('from_date').notEmpty().withMessage('Start date is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { patient_id, doctor_id, from_date, reason } = req.body;
+    const to_date = req.body.to_date || from_date;
+
+    const validationError = waitlist.validateEntry(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Customers can only join for themselves
+    if (!(await permissions.canAccess(req, 'waitlist', 'create', { patient_id, doctor_id }))) {
+      return res.status(403).json({ error: 'You can only join the waitlist for yourself' });
+    }
+
+    const patient = await Patient.findById(patient_id);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    const doctor = await Doctor.findById(doctor_id);
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patient_id,
+      doctor_id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Patient is already on this doctor\'s waitlist' });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patient_id,
+      doctor_id,
+      from_date,
+      to_date,
+      earliest_time: availability.normalizeTime(req.body.earliest_time) || undefined,
+      latest_time: availability.normalizeTime(req.body.latest_time) || undefined,
+      reason,
+      created_by: req.user.id
+    });
+
+    // A slot may already be free by the time the patient joins
+    await waitlist.offerNextSlot(entry, doctor);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Create waitlist entry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept the pending offer, booking the held slot
+router.post('/:id/accept', requirePermission('waitlist', 'respond'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'waitlist', 'respond', entry))) {
+      return res.status(403).json({ error: 'You can only accept your own offers' });
+    }
+
+    const offer = waitlist.pendingOffer(entry);
+    if (!offer || !(await waitlist.claimOffer(entry, offer))) {
+      return res.status(409).json({ error: 'No pending offer to accept' });
+    }
+
+    let appointment;
+    try {
+      const initialStatus = appointmentStatus.initialStatus(req.user.role);
+      appointment = await Appointment.create({
+        appointment_id: generateAppointmentId(),
+        patient_id: entry.patient_id,
+        doctor_id: entry.doctor_id,
+        appointment_date: offer.appointment_date,
+        appointment_time: offer.appointment_time,
+        reason: entry.reason,
+        status: initialStatus,
+        status_timestamps: { [initialStatus]: new Date() },
+        status_history: [{ to: initialStatus, changed_by: req.user.id, role: req.user.role, note: 'Booked from waitlist' }]
+      });
+    } catch (error) {
+      await waitlist.unclaimOffer(entry, offer);
+      throw error;
+    }
+
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { appointment_id: appointment._id } });
+
+    events.publishAppointment('appointment.created', appointment);
+
+    const populatedAppointment = await Appointment.findById(appointment._id)
+      .populate('patient_id', 'first_name last_name')
+      .populate('doctor_id', 'first_name last_name specialization');
+
+    res.status(201).json(populatedAppointment);
+  } catch (error) {
+    if (availability.isSlotConflictError(error)) {
+      return res.status(409).json({ error: 'Time slot already booked' });
+    }
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Decline the pending offer; the patient stays in line for other slots
+router.post('/:id/decline', requirePermission('waitlist', 'respond'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'waitlist', 'respond', entry))) {
+      return res.status(403).json({ error: 'You can only decline your own offers' });
+    }
+
+    if (!waitlist.pendingOffer(entry) || !(await waitlist.releaseOffer(entry, 'declined'))) {
+      return res.status(409).json({ error: 'No pending offer to decline' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Leave the waitlist
+router.delete('/:id', requirePermission('waitlist', 'delete'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (!(await permissions.canAccess(req, 'waitlist', 'delete', entry))) {
+      return res.status(403).json({ error: 'You can only remove your own waitlist entries' });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(409).json({ error: `Waitlist entry is already ${entry.status}` });
+    }
+
+    // Only cancel the entry as it was read, so an offer accepted meanwhile is not undone
+    const cancelled = waitlist.pendingOffer(entry)
+      ? await waitlist.releaseOffer(entry, 'declined', 'cancelled')
+      : await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'cancelled', updated_at: Date.now() } },
+        { new: true }
+      );
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Waitlist entry was changed by someone else, reload and try again' });
+    }
+
+    res.json({ message: 'Removed from waitlist successfully' });
+  } catch (error) {
+    console.error('Delete waitlist entry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,16 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./database/db');
 const seedAdmin = require('./database/seeder');
+const migrateData = require('./database/migrate');
 
 dotenv.config();
 
+// Required after dotenv so module-level settings see .env values
+const { startWaitlistJob } = require('./utils/waitlist');
+const { startStockAlertJob } = require('./utils/stockAlerts');
+const { loadInteractionTable } = require('./utils/drugInteractions');
+const { auditContext } = require('./middleware/audit');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -15,16 +22,27 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 const path = require('path');
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use(auditContext);
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/patients', require('./routes/patients'));
 app.use('/api/doctors', require('./routes/doctors'));
 app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/appointment-series', require('./routes/appointmentSeries'));
 app.use('/api/medical-records', require('./routes/medicalRecords'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/admins', require('./routes/admins'));
 app.use('/api/medicines', require('./routes/medicines'));
+app.use('/api/prescriptions', require('./routes/prescriptions'));
+app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/holidays', require('./routes/holidays'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/queue', require('./routes/queue'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/audit', require('./routes/audit'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -34,8 +52,12 @@ app.get('/api/health', (req, res) => {
 // Initialize database and start server
 const startServer = async () => {
   try {
+    loadInteractionTable();
     await connectDB();
     await seedAdmin();
+    await migrateData();
+    startWaitlistJob();
+    startStockAlertJob();
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
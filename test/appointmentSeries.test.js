@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const ScheduleException = require('../models/ScheduleException');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const permissions = require('../utils/permissions');
+const recurrence = require('../utils/recurrence');
+const waitlist = require('../utils/waitlist');
+const router = require('../routes/appointmentSeries');
+const { memoryModel } = require('./helpers/memoryModel');
+const { call } = require('./helpers/routes');
+
+const doctorId = new mongoose.Types.ObjectId();
+const patientId = new mongoose.Types.ObjectId();
+
+let appointments;
+let series;
+
+function createSeries(body = {}) {
+  return call(router, 'post', '/', {
+    role: 'receptionist',
+    body: {
+      patient_id: String(patientId),
+      doctor_id: String(doctorId),
+      frequency: 'weekly',
+      start_date: '2030-03-04',
+      count: 3,
+      appointment_time: '10:00',
+      ...body
+    }
+  });
+}
+
+function times() {
+  return appointments.docs
+    .filter((a) => a.series_id)
+    .sort((a, b) => a.series_index - b.series_index)
+    .map((a) => [a.appointment_date, a.appointment_time, a.status]);
+}
+
+beforeEach(() => {
+  memoryModel(Doctor, [{
+    _id: doctorId,
+    doctor_id: 'DOC001',
+    first_name: 'Ada',
+    last_name: 'Okafor',
+    specialization: 'General practice',
+    available_time_start: '09:00',
+    available_time_end: '17:00'
+  }]);
+  memoryModel(Patient, [{ _id: patientId, patient_id: 'PAT001', first_name: 'Sam', last_name: 'Reyes' }]);
+  memoryModel(ScheduleException);
+  memoryModel(WaitlistEntry);
+  appointments = memoryModel(Appointment);
+  series = memoryModel(AppointmentSeries);
+  mock.method(permissions, 'canAccess', async () => true);
+  mock.method(waitlist, 'notifySlotFreed', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('recurrence', () => {
+  it('skips months without the start day', () => {
+    const dates = recurrence.generateOccurrences({ frequency: 'monthly', start_date: '2030-01-31', count: 3 });
+
+    assert.deepEqual(dates, ['2030-01-31', '2030-03-31', '2030-05-31']);
+  });
+
+  it('stops at the until date', () => {
+    const dates = recurrence.generateOccurrences({ frequency: 'weekly', interval: 2, start_date: '2030-03-04', until: '2030-04-01' });
+
+    assert.deepEqual(dates, ['2030-03-04', '2030-03-18', '2030-04-01']);
+  });
+});
+
+describe('creating a series', () => {
+  it('books every free occurrence and reports the taken ones', async () => {
+    appointments.docs.push(new Appointment({
+      appointment_id: 'APT00000001',
+      patient_id: new mongoose.Types.ObjectId(),
+      doctor_id: doctorId,
+      appointment_date: '2030-03-11',
+      appointment_time: '10:00',
+      status: 'confirmed'
+    }).toObject());
+
+    const res = await createSeries();
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body.conflicts.map((c) => [c.series_index, c.reason]), [[1, 'Time slot already booked']]);
+    assert.deepEqual(times(), [['2030-03-04', '10:00', 'confirmed'], ['2030-03-18', '10:00', 'confirmed']]);
+  });
+
+  it('refuses a series starting in the past', async () => {
+    const res = await createSeries({ start_date: '2020-03-02' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(appointments.docs.length, 0);
+  });
+});
+
+describe('scoped changes', () => {
+  async function created() {
+    await createSeries();
+    const [stored] = series.docs;
+    const occurrences = appointments.docs.slice().sort((a, b) => a.series_index - b.series_index);
+    return { id: String(stored._id), occurrences };
+  }
+
+  it('moves this and following occurrences and the series template', async () => {
+    const { id, occurrences } = await created();
+
+    const res = await call(router, 'put', '/:id', {
+      role: 'receptionist',
+      params: { id },
+      body: { scope: 'following', appointment_id: String(occurrences[1]._id), appointment_time: '11:30' }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(times(), [['2030-03-04', '10:00', 'confirmed'], ['2030-03-11', '11:30', 'confirmed'], ['2030-03-18', '11:30', 'confirmed']]);
+    assert.equal(series.docs[0].appointment_time, '11:30');
+  });
+
+  it('cancels this and following occurrences and ends the series before them', async () => {
+    const { id, occurrences } = await created();
+
+    const res = await call(router, 'post', '/:id/cancel', {
+      role: 'receptionist',
+      params: { id },
+      body: { scope: 'following', appointment_id: String(occurrences[1]._id), reason: 'Course finished early' }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(times().map((t) => t[2]), ['confirmed', 'cancelled', 'cancelled']);
+    assert.equal(series.docs[0].until, '2030-03-10');
+    assert.equal(series.docs[0].status, 'active');
+  });
+
+  it('asks which occurrence a narrow scope starts from', async () => {
+    const { id } = await created();
+
+    const res = await call(router, 'post', '/:id/cancel', { role: 'receptionist', params: { id }, body: { scope: 'this' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(times().map((t) => t[2]), ['confirmed', 'confirmed', 'confirmed']);
+  });
+});
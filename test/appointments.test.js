@@ -0,0 +1,230 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const ScheduleException = require('../models/ScheduleException');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const availability = require('../utils/availability');
+const appointmentStatus = require('../utils/appointmentStatus');
+const permissions = require('../utils/permissions');
+const waitlist = require('../utils/waitlist');
+const router = require('../routes/appointments');
+const { memoryModel } = require('./helpers/memoryModel');
+const { call } = require('./helpers/routes');
+
+const doctorId = new mongoose.Types.ObjectId();
+const patientId = new mongoose.Types.ObjectId();
+const date = '2030-03-04';
+
+let appointments;
+
+function book(time, overrides = {}) {
+  return call(router, 'post', '/', {
+    body: { patient_id: String(patientId), doctor_id: String(doctorId), appointment_date: date, appointment_time: time },
+    ...overrides
+  });
+}
+
+function existing(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    appointment_id: `APT${Math.random().toString().slice(2, 10)}`,
+    patient_id: patientId,
+    doctor_id: doctorId,
+    appointment_date: date,
+    appointment_time: '10:00',
+    status: 'confirmed',
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  memoryModel(Doctor, [{
+    _id: doctorId,
+    doctor_id: 'DOC001',
+    first_name: 'Ada',
+    last_name: 'Okafor',
+    specialization: 'General practice',
+    available_time_start: '09:00',
+    available_time_end: '17:00'
+  }]);
+  memoryModel(Patient, [{ _id: patientId, patient_id: 'PAT001', first_name: 'Sam', last_name: 'Reyes' }]);
+  memoryModel(ScheduleException);
+  memoryModel(WaitlistEntry);
+  appointments = memoryModel(Appointment);
+  mock.method(permissions, 'canAccess', async () => true);
+  // Offering freed slots runs after the response; it has its own tests
+  mock.method(waitlist, 'notifySlotFreed', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('booking', () => {
+  it('books a slot once when two requests race for it', async () => {
+    const [first, second] = await Promise.all([book('10:00'), book('10:00')]);
+
+    assert.deepEqual([first.statusCode, second.statusCode].sort(), [201, 409]);
+    assert.equal(appointments.docs.length, 1);
+  });
+
+  it('refuses a slot in the past', async () => {
+    const res = await book('10:00', {
+      body: { patient_id: String(patientId), doctor_id: String(doctorId), appointment_date: '2020-03-02', appointment_time: '10:00' }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Appointment cannot be in the past');
+  });
+
+  it('refuses a time off the doctor\'s schedule', async () => {
+    assert.equal((await book('18:00')).statusCode, 400);
+  });
+});
+
+describe('editing an appointment', () => {
+  it('changes only the free-text details', async () => {
+    const stored = existing();
+    appointments.docs.push(new Appointment(stored).toObject());
+
+    const res = await call(router, 'put', '/:id', {
+      params: { id: String(stored._id) },
+      body: {
+        notes: 'Bring previous scans',
+        patient_id: String(new mongoose.Types.ObjectId()),
+        holds_slot: false,
+        needs_reschedule: true,
+        series_index: 7,
+        status_history: []
+      }
+    });
+
+    const [saved] = appointments.docs;
+    assert.equal(res.statusCode, 200);
+    assert.equal(saved.notes, 'Bring previous scans');
+    assert.equal(String(saved.patient_id), String(patientId));
+    assert.equal(saved.holds_slot, true);
+    assert.equal(saved.needs_reschedule, false);
+    assert.equal(saved.series_index, undefined);
+  });
+
+  it('sends status changes to the lifecycle endpoint', async () => {
+    const stored = existing();
+    appointments.docs.push(new Appointment(stored).toObject());
+
+    const res = await call(router, 'put', '/:id', { params: { id: String(stored._id) }, body: { status: 'completed' } });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(appointments.docs[0].status, 'confirmed');
+  });
+});
+
+describe('rescheduling', () => {
+  function reschedule(id, time, role = 'receptionist') {
+    return call(router, 'post', '/:id/reschedule', {
+      role,
+      params: { id: String(id) },
+      body: { appointment_date: date, appointment_time: time, reason: 'Clash' }
+    });
+  }
+
+  it('moves the booking, records the move and frees the old slot', async () => {
+    const stored = existing();
+    appointments.docs.push(new Appointment(stored).toObject());
+
+    const res = await reschedule(stored._id, '11:30');
+
+    assert.equal(res.statusCode, 200);
+    const [moved] = appointments.docs;
+    assert.equal(moved.appointment_time, '11:30');
+    assert.deepEqual(
+      moved.reschedule_history.map((entry) => [entry.from_time, entry.to_time, entry.role, entry.reason]),
+      [['10:00', '11:30', 'receptionist', 'Clash']]
+    );
+    assert.equal((await book('10:00')).statusCode, 201);
+  });
+
+  it('refuses a slot someone else holds', async () => {
+    const stored = existing();
+    appointments.docs.push(new Appointment(stored).toObject(), new Appointment(existing({ appointment_time: '11:00' })).toObject());
+
+    const res = await reschedule(stored._id, '11:00');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(appointments.docs[0].appointment_time, '10:00');
+  });
+
+  it('caps how often a customer can move a booking', async () => {
+    const stored = existing();
+    appointments.docs.push(new Appointment(stored).toObject());
+
+    assert.equal((await reschedule(stored._id, '11:00', 'customer')).statusCode, 200);
+    assert.equal((await reschedule(stored._id, '12:00', 'customer')).statusCode, 200);
+    assert.equal((await reschedule(stored._id, '13:00', 'customer')).statusCode, 403);
+    assert.equal(appointments.docs[0].appointment_time, '12:00');
+  });
+});
+
+describe('lifecycle', () => {
+  function appointment(status) {
+    return new Appointment(existing({ status }));
+  }
+
+  it('stamps and records each allowed change', () => {
+    const visit = appointment('confirmed');
+    const nurse = { id: String(new mongoose.Types.ObjectId()), role: 'nurse' };
+
+    assert.equal(appointmentStatus.applyStatusChange(visit, 'checked_in', nurse, 'Arrived'), null);
+
+    assert.equal(visit.status, 'checked_in');
+    assert.ok(visit.status_timestamps.checked_in instanceof Date);
+    assert.deepEqual(
+      visit.status_history.map((entry) => [entry.from, entry.to, entry.role, entry.note]),
+      [['confirmed', 'checked_in', 'nurse', 'Arrived']]
+    );
+  });
+
+  it('refuses changes the role may not make or the status does not allow', () => {
+    const nurse = { role: 'nurse' };
+    const doctor = { role: 'doctor' };
+
+    assert.equal(appointmentStatus.applyStatusChange(appointment('in_consultation'), 'completed', nurse).status, 403);
+    assert.equal(appointmentStatus.applyStatusChange(appointment('completed'), 'confirmed', doctor).status, 409);
+    assert.equal(appointmentStatus.applyStatusChange(appointment('confirmed'), 'lost', doctor).status, 400);
+  });
+});
+
+describe('cancelling', () => {
+  it('keeps the appointment with who cancelled it and frees the slot', async () => {
+    const stored = existing();
+    appointments.docs.push(new Appointment(stored).toObject());
+    const userId = new mongoose.Types.ObjectId();
+
+    const res = await call(router, 'delete', '/:id', {
+      role: 'receptionist',
+      userId,
+      params: { id: String(stored._id) },
+      body: { reason: 'Patient unwell' }
+    });
+
+    assert.equal(res.statusCode, 200);
+    const [cancelled] = appointments.docs;
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.holds_slot, false);
+    assert.equal(cancelled.cancellation.reason, 'Patient unwell');
+    assert.equal(String(cancelled.cancellation.cancelled_by), String(userId));
+    assert.equal((await book('10:00')).statusCode, 201);
+  });
+
+  it('holds customers to the doctor\'s cancellation cut-off', async () => {
+    await Doctor.updateOne({ _id: doctorId }, { $set: { cancellation_cutoff_hours: 48 } });
+    const stored = existing({ appointment_date: availability.addDays(availability.today(), 1) });
+    appointments.docs.push(new Appointment(stored).toObject());
+
+    const res = await call(router, 'delete', '/:id', { role: 'customer', params: { id: String(stored._id) } });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(appointments.docs[0].status, 'confirmed');
+  });
+});
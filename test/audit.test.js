@@ -0,0 +1,136 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const audit = require('../utils/audit');
+const router = require('../routes/audit');
+const { call } = require('./helpers/routes');
+
+const patientId = new mongoose.Types.ObjectId();
+const otherPatientId = new mongoose.Types.ObjectId();
+const req = {
+  user: { id: new mongoose.Types.ObjectId().toString(), role: 'doctor' },
+  ip: '203.0.113.7',
+  method: 'GET',
+  originalUrl: '/api/patients?search=smith'
+};
+
+// In-memory audit collection with its unique sequence index. audit.js caches the chain head,
+// so the tests share one log and build on each other's entries.
+const log = [];
+
+function head() {
+  return log.reduce((last, entry) => (!last || entry.sequence > last.sequence ? entry : last), null);
+}
+
+// Tamper with the log for the length of a check, then put it back
+async function withTampering(change, check) {
+  const saved = log.map((entry) => ({ ...entry }));
+  change();
+  try {
+    await check();
+  } finally {
+    log.splice(0, log.length, ...saved);
+  }
+}
+
+before(() => {
+  mock.method(AuditLog, 'findOne', () => ({ sort: () => ({ select: () => ({ lean: async () => head() }) }) }));
+  mock.method(AuditLog, 'create', async (entry) => {
+    if (log.some((existing) => existing.sequence === entry.sequence)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    log.push({ ...entry });
+    return entry;
+  });
+  mock.method(AuditLog, 'find', () => ({
+    sort: () => ({
+      lean: () => ({
+        async *cursor() {
+          yield* [...log].sort((a, b) => a.sequence - b.sequence);
+        }
+      })
+    })
+  }));
+});
+
+after(() => mock.restoreAll());
+
+describe('audit chain', () => {
+  it('links each entry to the one before', async () => {
+    await audit.record('patient.update', { req, resource_type: 'Patient', resource_id: patientId, patient_id: patientId });
+    await audit.record('auth.lockout', { resource_type: 'login', details: { failures: 5 } });
+
+    const [first, second] = log;
+    assert.deepEqual([first.sequence, second.sequence], [1, 2]);
+    assert.equal(first.prev_hash, '0'.repeat(64));
+    assert.equal(second.prev_hash, first.hash);
+    assert.deepEqual([first.actor_role, first.path, first.patient_id], ['doctor', '/api/patients', patientId.toString()]);
+  });
+
+  it('records reads once per patient', async () => {
+    const records = [
+      { _id: new mongoose.Types.ObjectId(), patient_id: patientId },
+      { _id: new mongoose.Types.ObjectId(), patient_id: patientId },
+      { _id: new mongoose.Types.ObjectId(), patient_id: otherPatientId }
+    ];
+    const start = log.length;
+
+    await audit.recordRead(req, 'MedicalRecord', records);
+
+    const [both, single] = log.slice(start);
+    assert.equal(log.length - start, 2);
+    assert.equal(both.action, 'medical_record.read');
+    assert.deepEqual(both.details.resource_ids, [records[0]._id.toString(), records[1]._id.toString()]);
+    assert.deepEqual([single.patient_id, single.resource_id], [otherPatientId.toString(), records[2]._id.toString()]);
+  });
+
+  it('verifies an untouched chain', async () => {
+    const result = await audit.verifyChain();
+    assert.deepEqual(result, { valid: true, checked: log.length, head_hash: head().hash });
+  });
+
+  it('finds an entry whose contents were edited', async () => {
+    await withTampering(() => { log[1].details = { failures: 1 }; }, async () => {
+      const result = await audit.verifyChain();
+      assert.deepEqual(result, { valid: false, checked: 1, broken_at: 2, reason: 'Entry contents do not match its hash' });
+    });
+  });
+
+  it('finds an entry that was removed', async () => {
+    await withTampering(() => log.splice(1, 1), async () => {
+      const result = await audit.verifyChain();
+      assert.deepEqual(result, { valid: false, checked: 1, broken_at: 3, reason: 'Entry 2 is missing' });
+    });
+  });
+
+  it('finds an entry whose hash was replaced', async () => {
+    await withTampering(() => { log[0].hash = 'f'.repeat(64); }, async () => {
+      const result = await audit.verifyChain();
+      assert.equal(result.broken_at, 1);
+      assert.equal(result.reason, 'Entry contents do not match its hash');
+    });
+  });
+
+  it('appends after an entry another process wrote first', async () => {
+    const current = head();
+    // Written by another server behind this one's cached chain head
+    const foreign = { ...current, sequence: current.sequence + 1, prev_hash: current.hash, hash: 'a'.repeat(64) };
+    log.push(foreign);
+
+    const entry = await audit.record('patient.read', { req, resource_type: 'Patient' });
+
+    assert.equal(entry.sequence, foreign.sequence + 1);
+    assert.equal(entry.prev_hash, foreign.hash);
+  });
+});
+
+describe('audit search', () => {
+  it('refuses patient and user filters that are not IDs', async () => {
+    const byPatient = await call(router, 'get', '/', { query: { patient_id: 'smith' } });
+    const byUser = await call(router, 'get', '/', { query: { user_id: ['a', 'b'] } });
+
+    assert.deepEqual([byPatient.statusCode, byPatient.body.error], [400, 'patient_id must be a valid ID']);
+    assert.deepEqual([byUser.statusCode, byUser.body.error], [400, 'user_id must be a valid ID']);
+  });
+});
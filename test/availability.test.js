@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const ScheduleException = require('../models/ScheduleException');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const availability = require('../utils/availability');
+const { memoryModel } = require('./helpers/memoryModel');
+
+// 2030-03-04 is a Monday
+const monday = '2030-03-04';
+
+const doctor = {
+  _id: new mongoose.Types.ObjectId(),
+  status: 'active',
+  schedule: {
+    weekly: [{ day: 1, start: '09:00', end: '11:00' }],
+    slot_duration: 30,
+    breaks: [{ start: '10:00', end: '10:30' }]
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('validateSchedule', () => {
+  it('accepts weekly hours with breaks', () => {
+    assert.equal(availability.validateSchedule(doctor.schedule), null);
+  });
+
+  it('rejects entries that are not objects', () => {
+    assert.equal(availability.validateSchedule({ weekly: [null] }), 'Weekly schedule entries must be objects');
+    assert.equal(availability.validateSchedule({ breaks: ['12:00-13:00'] }), 'Breaks entries must be objects');
+    assert.equal(availability.validateSchedule({ weekly: [[1, '09:00', '17:00']] }), 'Weekly schedule entries must be objects');
+  });
+
+  it('rejects ranges that end before they start or have no day', () => {
+    assert.equal(availability.validateSchedule({ weekly: [{ day: 'Mon', start: '17:00', end: '09:00' }] }), 'Weekly schedule entries must end after they start');
+    assert.equal(availability.validateSchedule({ weekly: [{ start: '09:00', end: '17:00' }] }), 'Weekly schedule entries need a valid day');
+  });
+});
+
+describe('slots', () => {
+  beforeEach(() => {
+    memoryModel(ScheduleException);
+    memoryModel(WaitlistEntry);
+  });
+
+  it('splits working hours into slots around breaks', () => {
+    assert.deepEqual(availability.getDaySlots(doctor, monday), ['09:00', '09:30', '10:30']);
+    assert.deepEqual(availability.getDaySlots(doctor, availability.addDays(monday, 1)), []);
+  });
+
+  it('leaves out booked slots but not cancelled ones', async () => {
+    memoryModel(Appointment, [
+      { doctor_id: doctor._id, patient_id: new mongoose.Types.ObjectId(), appointment_date: monday, appointment_time: '9:00', status: 'confirmed' },
+      { doctor_id: doctor._id, patient_id: new mongoose.Types.ObjectId(), appointment_date: monday, appointment_time: '09:30', status: 'cancelled' }
+    ]);
+
+    const [day] = await availability.getAvailableSlots(doctor, monday, monday);
+
+    assert.deepEqual(day.slots, ['09:30', '10:30']);
+    assert.equal(await availability.isSlotAvailable(doctor, monday, '09:00'), false);
+  });
+
+  it('tells a taken slot apart from other duplicate keys', () => {
+    assert.equal(availability.isSlotConflictError({ code: 11000, keyPattern: { doctor_id: 1, appointment_date: 1, appointment_time: 1 } }), true);
+    assert.equal(availability.isSlotConflictError({ code: 11000, keyPattern: { appointment_id: 1 } }), false);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Referral = require('../models/Referral');
+const BreakGlassAccess = require('../models/BreakGlassAccess');
+const audit = require('../utils/audit');
+const careAccess = require('../utils/careAccess');
+
+const doctorId = new mongoose.Types.ObjectId();
+const colleagueId = new mongoose.Types.ObjectId();
+const patientId = new mongoose.Types.ObjectId();
+
+function stubDoctor(department) {
+  mock.method(Doctor, 'findById', () => ({ select: async () => ({ _id: doctorId, department }) }));
+  mock.method(Doctor, 'distinct', async () => [doctorId, colleagueId]);
+}
+
+// Just enough of Mongo's matching for the care filters: $in, $ne and $or on dotted paths
+function matches(filter, doc) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some((clause) => matches(clause, doc));
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), doc);
+    if (condition && condition.$in) return condition.$in.some((id) => String(id) === String(value));
+    if (condition && '$ne' in condition) return value !== condition.$ne;
+    return String(value) === String(condition);
+  });
+}
+
+function stubAppointment(appointment) {
+  mock.method(Appointment, 'exists', async (filter) => matches(filter, { ...appointment, patient_id: patientId }));
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('hasCareRelationship', () => {
+  it('follows appointments with anyone in the doctor\'s department', async () => {
+    stubDoctor('Cardiology');
+    const appointment = { doctor_id: colleagueId, status: 'scheduled', status_history: [{ role: 'receptionist' }] };
+    stubAppointment(appointment);
+    mock.method(Referral, 'exists', async () => null);
+
+    assert.equal(await careAccess.hasCareRelationship(doctorId, patientId), true);
+  });
+
+  it('ignores appointments a doctor booked, even once the patient is checked in', async () => {
+    stubDoctor();
+    const appointment = { doctor_id: doctorId, status: 'scheduled', status_history: [{ role: 'doctor' }] };
+    stubAppointment(appointment);
+    mock.method(Referral, 'exists', async () => null);
+
+    assert.equal(await careAccess.hasCareRelationship(doctorId, patientId), false);
+
+    appointment.status_timestamps = { checked_in: new Date() };
+    assert.equal(await careAccess.hasCareRelationship(doctorId, patientId), false);
+  });
+
+  it('ignores cancelled appointments', async () => {
+    stubDoctor();
+    const appointment = { doctor_id: doctorId, status: 'cancelled', status_history: [{ role: 'customer' }] };
+    stubAppointment(appointment);
+    mock.method(Referral, 'exists', async () => null);
+
+    assert.equal(await careAccess.hasCareRelationship(doctorId, patientId), false);
+  });
+
+  it('follows open referrals to the doctor or their department', async () => {
+    stubDoctor('Cardiology');
+    mock.method(Appointment, 'exists', async () => null);
+    const referral = mock.method(Referral, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+    assert.equal(await careAccess.hasCareRelationship(doctorId, patientId), true);
+    assert.deepEqual(referral.mock.calls[0].arguments[0], {
+      status: 'open',
+      $or: [{ to_doctor_id: doctorId }, { to_department: 'Cardiology' }],
+      patient_id: patientId
+    });
+  });
+
+  it('gives an unknown doctor no patients', async () => {
+    mock.method(Doctor, 'findById', () => ({ select: async () => null }));
+    assert.equal(await careAccess.hasCareRelationship(doctorId, patientId), false);
+  });
+});
+
+describe('break the glass', () => {
+  const req = { user: { id: new mongoose.Types.ObjectId().toString(), role: 'doctor' }, method: 'GET', originalUrl: '/api/patients' };
+
+  it('audits every use of a live grant', async () => {
+    const grant = { _id: new mongoose.Types.ObjectId() };
+    const findOne = mock.method(BreakGlassAccess, 'findOne', async () => grant);
+    const record = mock.method(audit, 'record', async () => {});
+
+    assert.equal(await careAccess.useBreakGlass(req, patientId, 'patients'), true);
+    assert.ok(findOne.mock.calls[0].arguments[0].expires_at.$gt instanceof Date);
+    assert.equal(record.mock.calls[0].arguments[0], 'care.break_glass_access');
+    assert.equal(record.mock.calls[0].arguments[1].details.grant_id, grant._id);
+  });
+
+  it('refuses without a live grant and audits nothing', async () => {
+    mock.method(BreakGlassAccess, 'findOne', async () => null);
+    const record = mock.method(audit, 'record', async () => {});
+
+    assert.equal(await careAccess.useBreakGlass(req, patientId, 'patients'), false);
+    assert.equal(record.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const MedicalRecord = require('../models/MedicalRecord');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const Patient = require('../models/Patient');
+const Prescription = require('../models/Prescription');
+const User = require('../models/User');
+const availability = require('../utils/availability');
+const careAccess = require('../utils/careAccess');
+const router = require('../routes/dashboard');
+const { memoryModel } = require('./helpers/memoryModel');
+const { call } = require('./helpers/routes');
+
+const doctorId = new mongoose.Types.ObjectId();
+const otherDoctorId = new mongoose.Types.ObjectId();
+const patientId = new mongoose.Types.ObjectId();
+const otherPatientId = new mongoose.Types.ObjectId();
+const doctorUserId = new mongoose.Types.ObjectId();
+const customerUserId = new mongoose.Types.ObjectId();
+const today = availability.today();
+
+function appointment(doctor, patient, status = 'confirmed') {
+  return { appointment_id: `APT${Math.random().toString().slice(2, 10)}`, patient_id: patient, doctor_id: doctor, appointment_date: today, appointment_time: '10:00', status };
+}
+
+function prescription(doctor, patient, status) {
+  return {
+    prescription_id: `RX${Math.random().toString().slice(2, 8)}`,
+    record_id: new mongoose.Types.ObjectId(),
+    patient_id: patient,
+    doctor_id: doctor,
+    items: [{ medicine_id: new mongoose.Types.ObjectId(), medicine_name: 'Amoxicillin 500mg', dose: '1 tablet', route: 'oral', frequency: 'three times a day', duration: '5 days', quantity: 15 }],
+    status
+  };
+}
+
+function stats(role, userId) {
+  return call(router, 'get', '/stats', { role, userId });
+}
+
+beforeEach(() => {
+  memoryModel(Doctor, [
+    { _id: doctorId, doctor_id: 'DOC001', first_name: 'Ada', last_name: 'Okafor', specialization: 'General practice' },
+    { _id: otherDoctorId, doctor_id: 'DOC002', first_name: 'Lee', last_name: 'Chen', specialization: 'Cardiology' }
+  ]);
+  memoryModel(Patient, [
+    { _id: patientId, patient_id: 'PAT001', first_name: 'Sam', last_name: 'Reyes' },
+    { _id: otherPatientId, patient_id: 'PAT002', first_name: 'Kim', last_name: 'Novak' }
+  ]);
+  memoryModel(User, [
+    { _id: doctorUserId, username: 'okafor', email: 'okafor@example.com', password: 'secret-password', role: 'doctor', doctor_id: doctorId },
+    { _id: customerUserId, username: 'reyes', email: 'reyes@example.com', password: 'secret-password', role: 'customer', patient_id: patientId }
+  ]);
+  memoryModel(Appointment, [
+    appointment(doctorId, patientId),
+    appointment(otherDoctorId, otherPatientId),
+    appointment(otherDoctorId, otherPatientId, 'cancelled')
+  ]);
+  memoryModel(Prescription, [
+    prescription(doctorId, patientId, 'active'),
+    prescription(otherDoctorId, otherPatientId, 'partially_dispensed'),
+    prescription(otherDoctorId, otherPatientId, 'dispensed')
+  ]);
+  memoryModel(MedicalRecord);
+  memoryModel(Medicine, [
+    { medicine_id: 'MED001', name: 'Amoxicillin 500mg', stock_quantity: 0 },
+    { medicine_id: 'MED002', name: 'Ibuprofen 400mg', stock_quantity: 5, reorder_level: 10 }
+  ]);
+  memoryModel(MedicineBatch);
+  // The memory models have no aggregation pipeline
+  mock.method(Appointment, 'aggregate', async () => []);
+  mock.method(Patient, 'aggregate', async () => []);
+  mock.method(careAccess, 'carePatientIds', async () => [patientId]);
+  mock.method(careAccess, 'breakGlassPatientIds', async () => []);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('dashboard stats', () => {
+  it('gives hospital-wide roles the whole hospital', async () => {
+    const { body } = await stats('receptionist');
+
+    assert.equal(body.totalPatients, 2);
+    assert.equal(body.totalDoctors, 2);
+    assert.equal(body.appointmentsToday, 2);
+    assert.equal(body.recentAppointments.length, 3);
+  });
+
+  it('gives pharmacists the prescriptions to fill and the stock to watch', async () => {
+    const { body } = await stats('pharmacist');
+
+    assert.equal(body.prescriptionsToDispense, 2);
+    assert.deepEqual(body.stockAlerts, { out_of_stock: 1, low_stock: 1, expiring: 0, expired: 0 });
+    assert.equal(body.totalPatients, 2);
+    assert.equal(body.appointmentsToday, undefined);
+  });
+
+  it('gives lab technicians and nurses the sections their roles can read', async () => {
+    const lab = (await stats('lab_technician')).body;
+    const nurse = (await stats('nurse')).body;
+
+    assert.equal(lab.recordsToday, 0);
+    assert.equal(lab.prescriptionsToDispense, undefined);
+    assert.equal(nurse.appointmentsToday, 2);
+    assert.equal(nurse.prescriptionsToDispense, 2);
+    assert.equal(nurse.stockAlerts, undefined);
+  });
+
+  it('limits a doctor to their own bookings and patients in care', async () => {
+    const { body } = await stats('doctor', doctorUserId);
+
+    assert.equal(body.appointmentsToday, 1);
+    assert.equal(body.prescriptionsToDispense, 1);
+    assert.equal(body.totalPatients, 1);
+    assert.equal(body.totalDoctors, undefined);
+    assert.deepEqual(body.recentAppointments.map((a) => String(a.doctor_id)), [String(doctorId)]);
+  });
+
+  it('limits a customer to their own bookings', async () => {
+    const { body } = await stats('customer', customerUserId);
+
+    assert.equal(body.upcomingAppointments, 1);
+    assert.equal(body.prescriptionsToDispense, 1);
+    assert.equal(body.totalPatients, undefined);
+  });
+
+  it('shows nothing to a user without a profile', async () => {
+    const { body } = await stats('doctor');
+
+    assert.deepEqual(body, { error: 'Profile not found' });
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Prescription = require('../models/Prescription');
+const Dispensation = require('../models/Dispensation');
+const Medicine = require('../models/Medicine');
+const stock = require('../utils/stock');
+const dispensing = require('../utils/dispensing');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const amoxicillinId = new mongoose.Types.ObjectId();
+const ibuprofenId = new mongoose.Types.ObjectId();
+const pharmacist = { id: String(new mongoose.Types.ObjectId()), role: 'pharmacist' };
+
+let prescriptions;
+let dispensations;
+
+function item(medicineId, name, quantity, dispensed = 0) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    medicine_id: medicineId,
+    medicine_name: name,
+    dose: '1 tablet',
+    route: 'oral',
+    frequency: 'three times a day',
+    duration: '5 days',
+    quantity,
+    dispensed_quantity: dispensed
+  };
+}
+
+function prescription(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    prescription_id: 'RX0001',
+    record_id: new mongoose.Types.ObjectId(),
+    patient_id: new mongoose.Types.ObjectId(),
+    doctor_id: new mongoose.Types.ObjectId(),
+    items: [item(amoxicillinId, 'Amoxicillin 500mg', 15), item(ibuprofenId, 'Ibuprofen 400mg', 10)],
+    ...overrides
+  };
+}
+
+// Stock that always has enough unless a test says otherwise
+function stockOnHand(take = async () => true) {
+  mock.method(stock, 'takeStock', async (medicineId, quantity) => {
+    if (!(await take(medicineId))) return null;
+    return {
+      medicine: { _id: medicineId, stock_quantity: 100 - quantity },
+      batches: [{ batch_id: new mongoose.Types.ObjectId(), batch_number: 'LOT-1', quantity }]
+    };
+  });
+  mock.method(stock, 'syncMedicine', async (medicineId) => ({ _id: medicineId, stock_quantity: 0 }));
+  return mock.method(stock, 'returnStock', async () => null);
+}
+
+async function load(stored) {
+  prescriptions.docs.push(new Prescription(stored).toObject());
+  return Prescription.findById(stored._id);
+}
+
+beforeEach(() => {
+  memoryModel(Medicine, [
+    { _id: amoxicillinId, name: 'Amoxicillin 500mg' },
+    { _id: ibuprofenId, name: 'Ibuprofen 400mg' }
+  ]);
+  prescriptions = memoryModel(Prescription);
+  dispensations = memoryModel(Dispensation);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('dispense', () => {
+  it('fills everything outstanding and records the batches used', async () => {
+    stockOnHand();
+    const loaded = await load(prescription());
+
+    const result = await dispensing.dispense(loaded, undefined, pharmacist);
+
+    assert.equal(result.prescription.status, 'dispensed');
+    assert.deepEqual(prescriptions.docs[0].items.map((line) => line.dispensed_quantity), [15, 10]);
+    assert.deepEqual(dispensations.docs[0].items.map((line) => [line.quantity, line.batches[0].batch_number]), [[15, 'LOT-1'], [10, 'LOT-1']]);
+  });
+
+  it('leaves a part-filled prescription partially dispensed', async () => {
+    stockOnHand();
+    const loaded = await load(prescription());
+
+    const result = await dispensing.dispense(loaded, [{ item_id: loaded.items[0]._id, quantity: 5 }], pharmacist);
+
+    assert.equal(result.prescription.status, 'partially_dispensed');
+    assert.equal(dispensing.remainingOf(result.prescription.items[0]), 10);
+  });
+
+  it('never fills the same quantity twice', async () => {
+    stockOnHand();
+    const stored = prescription();
+    await load(stored);
+    const [first, second] = await Promise.all([Prescription.findById(stored._id), Prescription.findById(stored._id)]);
+    const line = [{ item_id: stored.items[0]._id }];
+
+    const results = await Promise.all([
+      dispensing.dispense(first, line, pharmacist),
+      dispensing.dispense(second, line, pharmacist)
+    ]);
+
+    assert.deepEqual(results.map((result) => (result.rejection ? result.rejection.status : 201)).sort(), [201, 409]);
+    assert.equal(prescriptions.docs[0].items[0].dispensed_quantity, 15);
+  });
+
+  it('ends dispensed when two pharmacists fill different lines at once', async () => {
+    stockOnHand();
+    const stored = prescription();
+    await load(stored);
+    const [first, second] = await Promise.all([Prescription.findById(stored._id), Prescription.findById(stored._id)]);
+
+    await Promise.all([
+      dispensing.dispense(first, [{ item_id: first.items[0]._id }], pharmacist),
+      dispensing.dispense(second, [{ item_id: second.items[1]._id }], pharmacist)
+    ]);
+
+    assert.equal(prescriptions.docs[0].status, 'dispensed');
+  });
+});
+
+describe('rolling back a fill', () => {
+  it('puts back stock and quantities when a medicine runs short', async () => {
+    const returned = stockOnHand(async (medicineId) => medicineId.equals(amoxicillinId));
+    const loaded = await load(prescription());
+
+    const result = await dispensing.dispense(loaded, undefined, pharmacist);
+
+    assert.equal(result.rejection.status, 409);
+    assert.equal(result.rejection.error, 'Only 0 unexpired Ibuprofen 400mg on hand');
+    assert.equal(returned.mock.callCount(), 1);
+    assert.deepEqual(prescriptions.docs[0].items.map((line) => line.dispensed_quantity), [0, 0]);
+    assert.equal(prescriptions.docs[0].status, 'active');
+    assert.equal(dispensations.docs.length, 0);
+  });
+
+  it('puts back stock and quantities when taking stock fails', async () => {
+    const returned = stockOnHand(async (medicineId) => {
+      if (medicineId.equals(ibuprofenId)) throw new Error('connection reset');
+      return true;
+    });
+    const loaded = await load(prescription());
+
+    await assert.rejects(dispensing.dispense(loaded, undefined, pharmacist), /connection reset/);
+
+    assert.equal(returned.mock.callCount(), 1);
+    assert.deepEqual(prescriptions.docs[0].items.map((line) => line.dispensed_quantity), [0, 0]);
+    assert.equal(prescriptions.docs[0].status, 'active');
+  });
+
+  it('keeps the status a fill made meanwhile', async () => {
+    stockOnHand(async () => false);
+    const stored = prescription();
+    const stale = await load(stored);
+    // Another pharmacist fills the second line after this one loaded the prescription
+    await Prescription.updateOne(
+      { _id: stored._id, 'items._id': stored.items[1]._id },
+      { $set: { 'items.$.dispensed_quantity': 10, status: 'partially_dispensed' } }
+    );
+
+    const result = await dispensing.dispense(stale, [{ item_id: stale.items[0]._id }], pharmacist);
+
+    assert.equal(result.rejection.status, 409);
+    assert.equal(prescriptions.docs[0].status, 'partially_dispensed');
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const drugInteractions = require('../utils/drugInteractions');
+
+function medicine(name, activeIngredients) {
+  return { _id: name.toLowerCase().replace(/\W+/g, '-'), name, active_ingredients: activeIngredients };
+}
+
+describe('allergyWarnings', () => {
+  it('matches an allergy to a drug group through its members', () => {
+    const [warning] = drugInteractions.allergyWarnings('Penicillins', medicine('Amoxil', ['Amoxicillin']));
+    assert.equal(warning.type, 'allergy');
+    assert.equal(warning.severity, 'contraindicated');
+    assert.deepEqual(warning.ingredients, ['amoxicillin']);
+  });
+
+  it('reads ingredients from the name when none are listed', () => {
+    const warnings = drugInteractions.allergyWarnings('penicillin', medicine('Amoxicillin 250mg Capsules'));
+    assert.deepEqual(warnings.map((warning) => warning.ingredients), [['amoxicillin']]);
+  });
+
+  it('matches an allergy the table does not know when the name spells it out', () => {
+    const warnings = drugInteractions.allergyWarnings('latex; codeine', medicine('Codeine Phosphate 30mg'));
+    assert.deepEqual(warnings.map((warning) => warning.ingredients), [['codeine']]);
+  });
+
+  it('only matches whole words in the name', () => {
+    assert.deepEqual(drugInteractions.allergyWarnings('aspirin', medicine('Aspirinex')), []);
+  });
+
+  it('ignores entries that mean no allergies', () => {
+    assert.deepEqual(drugInteractions.allergyWarnings('NKDA', medicine('Aspirin 75mg', ['aspirin'])), []);
+  });
+});
+
+describe('interactionWarnings', () => {
+  it('warns about a listed pair in either order', () => {
+    const warfarin = medicine('Warfarin 5mg', ['warfarin']);
+    const aspirin = medicine('Aspirin 75mg', ['aspirin']);
+
+    for (const [a, b] of [[warfarin, aspirin], [aspirin, warfarin]]) {
+      const [warning] = drugInteractions.interactionWarnings(a, b);
+      assert.equal(warning.severity, 'major');
+      assert.equal(warning.interacting_medicine_id, b._id);
+    }
+  });
+
+  it('finds interactions for medicines known only by name', () => {
+    const warnings = drugInteractions.interactionWarnings(medicine('Simvastatin 40mg'), medicine('Clarithromycin 500mg'));
+    assert.deepEqual(warnings.map((warning) => warning.severity), ['contraindicated']);
+  });
+
+  it('says nothing about medicines that do not interact', () => {
+    assert.deepEqual(drugInteractions.interactionWarnings(medicine('Paracetamol', ['paracetamol']), medicine('Aspirin', ['aspirin'])), []);
+  });
+});
+
+describe('unknownIngredientsWarning', () => {
+  it('flags a medicine whose ingredients cannot be told', () => {
+    const warning = drugInteractions.unknownIngredientsWarning(medicine('Mystery Tonic'));
+    assert.equal(warning.type, 'ingredients_unknown');
+    assert.equal(warning.severity, 'major');
+  });
+
+  it('stays quiet when ingredients are listed or named', () => {
+    assert.equal(drugInteractions.unknownIngredientsWarning(medicine('Tonic', 'paracetamol, caffeine')), null);
+    assert.equal(drugInteractions.unknownIngredientsWarning(medicine('Ibuprofen 400mg')), null);
+  });
+});
+
+describe('bySeverity', () => {
+  it('puts the most severe warnings first', () => {
+    const order = ['minor', 'contraindicated', 'moderate', 'major']
+      .map((severity) => ({ severity }))
+      .sort(drugInteractions.bySeverity)
+      .map((warning) => warning.severity);
+    assert.deepEqual(order, ['contraindicated', 'major', 'moderate', 'minor']);
+  });
+});
+
+describe('loadInteractionTable', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interactions-'));
+  let files = 0;
+
+  function tableFile(contents) {
+    const file = path.join(dir, `table${++files}.json`);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('names the file and the problem when the JSON is broken', () => {
+    const file = tableFile('{ "interactions": [');
+    assert.throws(() => drugInteractions.loadInteractionTable(file), /Drug interaction table .*table1\.json is not valid JSON/);
+  });
+
+  it('rejects a table of the wrong shape', () => {
+    assert.throws(() => drugInteractions.loadInteractionTable(tableFile('[]')), /must be an object/);
+    assert.throws(() => drugInteractions.loadInteractionTable(tableFile('{ "interactions": {} }')), /Interactions in .* must be a list/);
+    assert.throws(() => drugInteractions.loadInteractionTable(tableFile('{ "interactions": [null] }')), /Drug interaction 1 in .* needs two ingredients/);
+    assert.throws(() => drugInteractions.loadInteractionTable(tableFile('{ "allergy_groups": { "penicillin": 3 } }')), /Allergy group penicillin .* must list its ingredients/);
+  });
+
+  it('keeps checking against the table already loaded after a failed load', () => {
+    assert.throws(() => drugInteractions.loadInteractionTable(tableFile('nope')));
+    assert.equal(drugInteractions.interactionWarnings(medicine('Warfarin', ['warfarin']), medicine('Aspirin', ['aspirin'])).length, 1);
+  });
+});
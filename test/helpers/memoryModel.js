@@ -0,0 +1,377 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+// In-memory stand-in for a Mongoose model's collection, so route and util logic can be tested
+// without a database. Covers the query and update operators this app uses; anything else
+// throws so a test cannot silently pass on an unsupported query. Mocks are undone by
+// mock.restoreAll().
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !(value instanceof RegExp) &&
+    !Buffer.isBuffer(value);
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+// Values at a dotted path; arrays along the way are expanded like Mongo does
+function valuesAt(doc, path) {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values.flatMap((value) => {
+      if (value === null || value === undefined) return [undefined];
+      if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map((item) => (item == null ? undefined : item[key]));
+      return [value[key]];
+    });
+  }
+  return values.flatMap((value) => (Array.isArray(value) ? [value, ...value] : [value]));
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+}
+
+function equals(value, expected) {
+  if (expected === null) return value === null || value === undefined;
+  if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+  if (Array.isArray(expected)) return Array.isArray(value) && JSON.stringify(value.map(comparable)) === JSON.stringify(expected.map(comparable));
+  return value !== undefined && value !== null && String(comparable(value)) === String(comparable(expected));
+}
+
+function testOperator(values, operator, operand) {
+  const present = values.filter((value) => value !== undefined);
+  switch (operator) {
+    case '$eq': return values.some((value) => equals(value, operand));
+    case '$ne': return !values.some((value) => equals(value, operand));
+    case '$in': return operand.some((option) => values.some((value) => equals(value, option)));
+    case '$nin': return !operand.some((option) => values.some((value) => equals(value, option)));
+    case '$gt': return present.some((value) => value !== null && comparable(value) > comparable(operand));
+    case '$gte': return present.some((value) => value !== null && comparable(value) >= comparable(operand));
+    case '$lt': return present.some((value) => value !== null && comparable(value) < comparable(operand));
+    case '$lte': return present.some((value) => value !== null && comparable(value) <= comparable(operand));
+    case '$exists': return (present.length > 0) === !!operand;
+    case '$regex': return present.some((value) => new RegExp(operand).test(value));
+    case '$elemMatch': return present.some((value) => Array.isArray(value) && value.some((item) => matches(item, operand)));
+    case '$not': return !testCondition(values, operand);
+    case '$all': return present.some((value) => Array.isArray(value) && operand.every((wanted) => (isPlainObject(wanted) && wanted.$elemMatch
+      ? value.some((item) => matches(item, wanted.$elemMatch))
+      : value.some((item) => equals(item, wanted)))));
+    case '$size': return present.some((value) => Array.isArray(value) && value.length === operand);
+    default: throw new Error(`memoryModel does not support ${operator}`);
+  }
+}
+
+function testCondition(values, condition) {
+  if (isPlainObject(condition) && Object.keys(condition).some((key) => key.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, operand]) => testOperator(values, operator, operand));
+  }
+  return values.some((value) => equals(value, condition));
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some((clause) => matches(doc, clause));
+    if (path === '$and') return condition.every((clause) => matches(doc, clause));
+    if (path === '$nor') return !condition.some((clause) => matches(doc, clause));
+    if (path.startsWith('$')) throw new Error(`memoryModel does not support ${path}`);
+    return testCondition(valuesAt(doc, path), condition);
+  });
+}
+
+// Index of the array element a filter matched, for positional '$' updates
+function positionalIndex(doc, filter) {
+  for (const [path, condition] of Object.entries(filter)) {
+    const [field, ...rest] = path.split('.');
+    const array = doc[field];
+    if (!Array.isArray(array)) continue;
+    if (rest.length === 0 && isPlainObject(condition) && condition.$elemMatch) {
+      return array.findIndex((item) => matches(item, condition.$elemMatch));
+    }
+    if (rest.length > 0) {
+      const index = array.findIndex((item) => matches(item, { [rest.join('.')]: condition }));
+      if (index !== -1) return index;
+    }
+  }
+  return -1;
+}
+
+// Concrete key paths an update path stands for: '$' is the element the filter matched and
+// '$[name]' every element its array filter matches
+function resolvePaths(doc, path, position, arrayFilters) {
+  let paths = [[]];
+  for (const key of path.split('.')) {
+    const named = /^\$\[(\w+)\]$/.exec(key);
+    if (key === '$') {
+      if (position === -1) throw new Error(`memoryModel found no element for positional update ${path}`);
+      paths = paths.map((keys) => [...keys, String(position)]);
+    } else if (named) {
+      const prefix = `${named[1]}.`;
+      const arrayFilter = arrayFilters.find((candidate) => Object.keys(candidate).every((field) => field.startsWith(prefix)));
+      if (!arrayFilter) throw new Error(`memoryModel has no array filter for ${key}`);
+      const condition = Object.fromEntries(Object.entries(arrayFilter).map(([field, value]) => [field.slice(prefix.length), value]));
+      paths = paths.flatMap((keys) => (getPath(doc, keys) || [])
+        .map((item, index) => (matches(item, condition) ? [...keys, String(index)] : null))
+        .filter(Boolean));
+    } else {
+      paths = paths.map((keys) => [...keys, key]);
+    }
+  }
+  return paths;
+}
+
+function setPath(doc, keys, value) {
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function getPath(doc, keys) {
+  return keys.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+}
+
+function unsetPath(doc, keys) {
+  const parent = getPath(doc, keys.slice(0, -1));
+  if (parent) delete parent[keys[keys.length - 1]];
+}
+
+function applyUpdate(Model, doc, update, filter, inserting, arrayFilters = []) {
+  const operators = Object.keys(update).some((key) => key.startsWith('$')) ? update : { $set: update };
+  // Found before any change, as the update may alter the fields the filter matched on
+  const position = positionalIndex(doc, filter);
+  for (const [operator, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields)) {
+      for (const keys of resolvePaths(doc, path, position, arrayFilters)) {
+        applyOperator(Model, doc, operator, path, keys, value, inserting);
+      }
+    }
+  }
+  return doc;
+}
+
+function applyOperator(Model, doc, operator, path, keys, value, inserting) {
+  const current = getPath(doc, keys);
+  switch (operator) {
+    case '$set':
+      setPath(doc, keys, clone(value));
+      break;
+    case '$setOnInsert':
+      if (inserting) setPath(doc, keys, clone(value));
+      break;
+    case '$unset':
+      unsetPath(doc, keys);
+      break;
+    case '$inc':
+      setPath(doc, keys, (current || 0) + value);
+      break;
+    case '$max':
+      if (current === undefined || current === null || comparable(value) > comparable(current)) setPath(doc, keys, clone(value));
+      break;
+    case '$min':
+      if (current === undefined || current === null || comparable(value) < comparable(current)) setPath(doc, keys, clone(value));
+      break;
+    case '$push': {
+      const items = isPlainObject(value) && value.$each ? value.$each : [value];
+      setPath(doc, keys, [...(current || []), ...items.map((item) => castSubdocument(Model, path, item))]);
+      break;
+    }
+    case '$addToSet':
+      if (!(current || []).some((item) => equals(item, value))) setPath(doc, keys, [...(current || []), clone(value)]);
+      break;
+    case '$pull':
+      setPath(doc, keys, (current || []).filter((item) => !(isPlainObject(value) && !Object.keys(value).some((key) => key.startsWith('$'))
+        ? matches(item, value)
+        : testCondition([item], value))));
+      break;
+    default:
+      throw new Error(`memoryModel does not support ${operator}`);
+  }
+}
+
+// A pushed subdocument gets its _id and defaults like Mongoose would give it
+function castSubdocument(Model, path, item) {
+  const schemaPath = Model.schema.path(path);
+  if (schemaPath && schemaPath.schema && isPlainObject(item)) {
+    const cast = new Model({ [path]: [item] }).toObject()[path][0];
+    return cast;
+  }
+  return clone(item);
+}
+
+function sortDocs(docs, spec) {
+  if (!spec) return docs;
+  const entries = typeof spec === 'string'
+    ? spec.split(/\s+/).filter(Boolean).map((field) => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]))
+    : Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of entries) {
+      const left = comparable(valuesAt(a, field)[0]);
+      const right = comparable(valuesAt(b, field)[0]);
+      if (left === right) continue;
+      if (left === undefined || left === null) return -direction;
+      if (right === undefined || right === null) return direction;
+      return (left < right ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+}
+
+// Chainable, awaitable query over a result computed when it is awaited
+function query(run, { single = false } = {}) {
+  const state = { sort: null, limit: null, skip: 0, lean: false };
+  const chain = {
+    sort(spec) { state.sort = spec; return chain; },
+    limit(count) { state.limit = count; return chain; },
+    skip(count) { state.skip = count; return chain; },
+    select() { return chain; },
+    populate() { return chain; },
+    session() { return chain; },
+    collation() { return chain; },
+    lean() { state.lean = true; return chain; },
+    exec() { return Promise.resolve().then(() => run(state)); },
+    then(resolve, reject) { return chain.exec().then(resolve, reject); },
+    catch(reject) { return chain.exec().catch(reject); }
+  };
+  chain.single = single;
+  return chain;
+}
+
+function memoryModel(Model, initialDocs = []) {
+  const docs = initialDocs.map((doc) => new Model(doc).toObject());
+
+  const hydrate = (doc, lean) => (doc ? (lean ? clone(doc) : Model.hydrate(clone(doc))) : null);
+  const find = (filter) => docs.filter((doc) => matches(doc, filter));
+  const byId = (id) => docs.find((doc) => equals(doc._id, id));
+
+  const select = (filter, state) => {
+    let found = sortDocs(find(filter), state.sort).slice(state.skip);
+    if (state.limit) found = found.slice(0, state.limit);
+    return found;
+  };
+
+  mock.method(Model, 'find', (filter = {}) => query((state) => select(filter, state).map((doc) => hydrate(doc, state.lean))));
+  mock.method(Model, 'findOne', (filter = {}) => query((state) => hydrate(select(filter, state)[0], state.lean), { single: true }));
+  mock.method(Model, 'findById', (id) => query((state) => hydrate(byId(id), state.lean), { single: true }));
+  mock.method(Model, 'exists', async (filter) => {
+    const found = find(filter)[0];
+    return found ? { _id: found._id } : null;
+  });
+  mock.method(Model, 'countDocuments', async (filter = {}) => find(filter).length);
+  mock.method(Model, 'distinct', async (field, filter = {}) => {
+    const values = find(filter).flatMap((doc) => valuesAt(doc, field).filter((value) => value !== undefined && !Array.isArray(value)));
+    return values.filter((value, index) => values.findIndex((other) => equals(other, value)) === index);
+  });
+
+  // The schema's unique indexes, partial ones included, fail a write like MongoDB would
+  const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options.unique);
+  const checkUnique = (doc) => {
+    for (const [fields, options] of uniqueIndexes) {
+      const partial = options.partialFilterExpression || {};
+      if (!matches(doc, partial)) continue;
+      const key = Object.fromEntries(Object.keys(fields).map((field) => [field, valuesAt(doc, field)[0]]));
+      const clash = docs.some((other) => !equals(other._id, doc._id) && matches(other, partial) &&
+        Object.entries(key).every(([field, value]) => equals(valuesAt(other, field)[0], value === undefined ? null : value)));
+      if (clash) {
+        throw Object.assign(new Error(`E11000 duplicate key error index: ${options.name || Object.keys(fields).join('_')}`), {
+          code: 11000,
+          keyPattern: fields
+        });
+      }
+    }
+  };
+
+  const create = async (data) => {
+    const created = new Model(data);
+    await created.save();
+    return created;
+  };
+  mock.method(Model, 'create', async (data) => (Array.isArray(data) ? Promise.all(data.map(create)) : create(data)));
+  mock.method(Model, 'insertMany', async (data) => Promise.all(data.map(create)));
+
+  const findOneAndUpdate = (filter, update, options = {}) => query((state) => {
+    const after = options.new || options.returnDocument === 'after';
+    let doc = sortDocs(find(filter), options.sort)[0];
+    if (!doc) {
+      if (!options.upsert) return null;
+      const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isPlainObject(value)));
+      doc = new Model(seed).toObject();
+      applyUpdate(Model, doc, update, filter, true, options.arrayFilters);
+      docs.push(doc);
+      return after ? hydrate(doc, state.lean) : null;
+    }
+    const before = clone(doc);
+    applyUpdate(Model, doc, update, filter, false, options.arrayFilters);
+    return hydrate(after ? doc : before, state.lean);
+  }, { single: true });
+  mock.method(Model, 'findOneAndUpdate', findOneAndUpdate);
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) => findOneAndUpdate({ _id: id }, update, options));
+
+  mock.method(Model, 'updateOne', async (filter, update, options = {}) => {
+    const doc = find(filter)[0];
+    if (!doc) {
+      if (options.upsert) {
+        await findOneAndUpdate(filter, update, options);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+    applyUpdate(Model, doc, update, filter, false, options.arrayFilters);
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+  mock.method(Model, 'updateMany', async (filter, update, options = {}) => {
+    const found = find(filter);
+    found.forEach((doc) => applyUpdate(Model, doc, update, filter, false, options.arrayFilters));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  });
+
+  const remove = (filter, many) => {
+    const found = many ? find(filter) : find(filter).slice(0, 1);
+    found.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: found.length };
+  };
+  mock.method(Model, 'deleteOne', async (filter) => remove(filter, false));
+  mock.method(Model, 'deleteMany', async (filter) => remove(filter, true));
+  mock.method(Model, 'findByIdAndDelete', async (id) => {
+    const doc = byId(id);
+    if (doc) docs.splice(docs.indexOf(doc), 1);
+    return hydrate(doc, false);
+  });
+
+  // Read-modify-save code paths write the whole document back, after the schema's pre-save
+  // hooks and validation
+  mock.method(Model.prototype, 'save', async function save() {
+    await Model.schema.s.hooks.execPre('save', this, [{}]);
+    const doc = this.toObject();
+    checkUnique(doc);
+    const existing = byId(doc._id);
+    if (existing) {
+      Object.keys(existing).forEach((key) => delete existing[key]);
+      Object.assign(existing, doc);
+    } else {
+      docs.push(doc);
+    }
+    this.isNew = false;
+    return this;
+  });
+
+  return {
+    docs,
+    get(id) {
+      return byId(id);
+    },
+    find
+  };
+}
+
+module.exports = { memoryModel, matches };
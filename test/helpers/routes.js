@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Call a route's own handler directly, past router-level authentication and the permission
+// middleware, with a signed-in user of the given role.
+
+function handler(router, method, path) {
+  const layer = router.stack.find((entry) => entry.route && entry.route.path === path && entry.route.methods[method]);
+  if (!layer) throw new Error(`No ${method.toUpperCase()} ${path} route`);
+  const stack = layer.route.stack;
+  return stack[stack.length - 1].handle;
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function call(router, method, path, { role = 'admin', userId, params = {}, body = {}, query = {} } = {}) {
+  const req = {
+    user: { id: String(userId || new mongoose.Types.ObjectId()), role },
+    params,
+    body,
+    query,
+    method: method.toUpperCase(),
+    originalUrl: path,
+    ip: '127.0.0.1'
+  };
+  const res = response();
+  await handler(router, method, path)(req, res);
+  return res;
+}
+
+module.exports = { call, handler, response };
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../utils/audit');
+const loginThrottle = require('../utils/loginThrottle');
+
+const req = { ip: '203.0.113.7' };
+
+// Run the steps of one failed login: the check, then the failure
+async function failLogin(email) {
+  const refused = await loginThrottle.checkLogin(email, req.ip);
+  if (!refused) await loginThrottle.recordFailure(email, req);
+  return refused;
+}
+
+beforeEach(() => {
+  loginThrottle.setStore(loginThrottle.createMemoryStore());
+  mock.method(audit, 'record', async () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+describe('login throttling', () => {
+  it('lets a first attempt through', async () => {
+    assert.equal(await loginThrottle.checkLogin('someone@example.com', req.ip), null);
+  });
+
+  it('makes the user wait between repeated failures', async () => {
+    await failLogin('someone@example.com');
+    await failLogin('someone@example.com');
+
+    const refused = await loginThrottle.checkLogin('someone@example.com', req.ip);
+    assert.equal(refused.status, 429);
+    assert.equal(refused.error, 'Please wait before trying to log in again');
+    assert.ok(refused.retry_after >= 1);
+  });
+
+  it('counts parallel guesses before any of them is checked', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 20 }, () => loginThrottle.checkLogin('someone@example.com', req.ip))
+    );
+    // As when they come one after another, only two get in before the first delay
+    assert.equal(results.filter((result) => result === null).length, 2);
+    assert.ok(results.filter(Boolean).every((result) => result.status === 429));
+  });
+
+  it('locks the account after too many failures, whatever the case of the email', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-05T09:00:00Z') });
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal(await failLogin(attempt % 2 ? 'Someone@Example.com' : ' someone@example.com'), null);
+      mock.timers.tick(60 * 1000);
+    }
+
+    const refused = await loginThrottle.checkLogin('SOMEONE@example.com', '198.51.100.1');
+    assert.equal(refused.error, 'Too many failed login attempts. Please try again later.');
+    assert.equal(audit.record.mock.calls.at(-2).arguments[0], 'auth.lockout');
+
+    const [lockout] = (await loginThrottle.listLockouts()).filter((entry) => entry.type === 'account');
+    assert.deepEqual([lockout.value, lockout.failures, lockout.locked], ['someone@example.com', 5, true]);
+  });
+
+  it('does not count refused attempts', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-05T09:00:00Z') });
+    await failLogin('someone@example.com');
+    await failLogin('someone@example.com');
+    assert.ok(await loginThrottle.checkLogin('someone@example.com', req.ip));
+    assert.ok(await loginThrottle.checkLogin('someone@example.com', req.ip));
+
+    const [account] = (await loginThrottle.listLockouts()).filter((entry) => entry.type === 'account');
+    assert.equal(account.failures, 2);
+  });
+
+  it('starts over once the lockout has been served', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-05T09:00:00Z') });
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await failLogin('someone@example.com');
+      mock.timers.tick(60 * 1000);
+    }
+    mock.timers.tick(15 * 60 * 1000);
+
+    assert.equal(await loginThrottle.checkLogin('someone@example.com', '198.51.100.1'), null);
+  });
+
+  it('clears the account on success and releases attempts that were not failures', async () => {
+    assert.equal(await loginThrottle.checkLogin('someone@example.com', req.ip), null);
+    await loginThrottle.releaseAttempt('someone@example.com', req.ip);
+    await loginThrottle.recordSuccess('someone@example.com');
+
+    assert.deepEqual(await loginThrottle.listLockouts(), []);
+    assert.equal(await loginThrottle.clearLockout('account', 'someone@example.com'), false);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const MedicalRecord = require('../models/MedicalRecord');
+const MedicalRecordVersion = require('../models/MedicalRecordVersion');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const StockMovement = require('../models/StockMovement');
+const User = require('../models/User');
+const migrateData = require('../database/migrate');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const doctorId = new mongoose.Types.ObjectId();
+
+let appointments;
+
+function appointment(time, createdAt, overrides = {}) {
+  return {
+    appointment_id: `APT${Math.random().toString().slice(2, 10)}`,
+    patient_id: new mongoose.Types.ObjectId(),
+    doctor_id: doctorId,
+    appointment_date: '2030-03-04',
+    appointment_time: time,
+    status: 'confirmed',
+    holds_slot: true,
+    created_at: new Date(createdAt),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  appointments = memoryModel(Appointment);
+  for (const Model of [MedicalRecord, MedicalRecordVersion, Medicine, MedicineBatch, StockMovement, User]) {
+    memoryModel(Model);
+  }
+  // The memory model has no aggregation pipeline: group slot holders the way findDoubleBookings does
+  mock.method(Appointment, 'aggregate', async () => {
+    const groups = new Map();
+    const holders = appointments.docs
+      .filter((a) => a.status !== 'cancelled' && a.holds_slot !== false)
+      .sort((a, b) => a.created_at - b.created_at);
+    for (const a of holders) {
+      const key = [a.doctor_id, a.appointment_date, a.appointment_time].join('|');
+      groups.set(key, [...(groups.get(key) || []), a._id]);
+    }
+    return [...groups.values()].filter((ids) => ids.length > 1).map((ids) => ({ ids }));
+  });
+  mock.method(Appointment, 'createIndexes', async () => {});
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('migrateData', () => {
+  it('stores times as HH:MM and finds double bookings written differently', async () => {
+    appointments.docs.push(...[
+      appointment('09:00', '2030-01-02'),
+      appointment('9:00', '2030-01-01'),
+      appointment('10:30:00', '2030-01-03')
+    ].map((a) => new Appointment(a).toObject()));
+
+    await migrateData();
+
+    assert.deepEqual(appointments.docs.map((a) => a.appointment_time), ['09:00', '09:00', '10:30']);
+    // The older booking keeps the slot
+    assert.deepEqual(appointments.docs.map((a) => a.needs_reschedule), [true, false, false]);
+  });
+
+  it('flags a booking whose normalized slot is already held under the slot index', async () => {
+    appointments.docs.push(...[appointment('09:00', '2030-01-02'), appointment('9:00', '2030-01-01')].map((a) => new Appointment(a).toObject()));
+    const updateOne = Appointment.updateOne;
+    mock.method(Appointment, 'updateOne', async (filter, update) => {
+      const set = update.$set || {};
+      if (set.appointment_time === '09:00' && set.holds_slot !== false) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { doctor_id: 1, appointment_date: 1, appointment_time: 1 } });
+      }
+      return updateOne.call(Appointment, filter, update);
+    });
+
+    await migrateData();
+
+    const [held, moved] = appointments.docs;
+    assert.equal(held.holds_slot, true);
+    assert.deepEqual([moved.appointment_time, moved.holds_slot, moved.needs_reschedule], ['09:00', false, true]);
+  });
+});
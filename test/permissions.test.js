@@ -0,0 +1,154 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const careAccess = require('../utils/careAccess');
+const permissions = require('../utils/permissions');
+const { requirePermission } = require('../middleware/auth');
+
+const patientId = new mongoose.Types.ObjectId();
+const otherPatientId = new mongoose.Types.ObjectId();
+const doctorId = new mongoose.Types.ObjectId();
+
+function request(role, profile) {
+  mock.method(User, 'findById', () => ({ select: async () => profile }));
+  return { user: { id: new mongoose.Types.ObjectId().toString(), role }, method: 'GET', originalUrl: '/test' };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('requirePermission', () => {
+  it('requires an authenticated user', () => {
+    const res = response();
+    let called = false;
+    requirePermission('patients', 'read')({}, res, () => { called = true; });
+    assert.equal(res.statusCode, 401);
+    assert.equal(called, false);
+  });
+
+  it('refuses roles the table does not grant', () => {
+    const res = response();
+    let called = false;
+    requirePermission('medicines', 'manage_stock')({ user: { role: 'nurse' } }, res, () => { called = true; });
+    assert.equal(res.statusCode, 403);
+    assert.equal(called, false);
+  });
+
+  it('lets granted roles through', () => {
+    const res = response();
+    let called = false;
+    requirePermission('medicines', 'manage_stock')({ user: { role: 'pharmacist' } }, res, () => { called = true; });
+    assert.equal(called, true);
+  });
+});
+
+describe('canAccess', () => {
+  it('allows any record for an "all" scope', async () => {
+    const req = request('nurse', {});
+    assert.equal(await permissions.canAccess(req, 'patients', 'read', { patient_id: otherPatientId }), true);
+  });
+
+  it('limits an "own" scope to records linked to the user', async () => {
+    const req = request('customer', { patient_id: patientId });
+    assert.equal(await permissions.canAccess(req, 'appointments', 'read', { patient_id: patientId }), true);
+    assert.equal(await permissions.canAccess(req, 'appointments', 'read', { patient_id: otherPatientId }), false);
+  });
+
+  it('refuses a role with no grant at all', async () => {
+    const req = request('lab_technician', {});
+    assert.equal(await permissions.canAccess(req, 'prescriptions', 'read', { patient_id: patientId }), false);
+  });
+
+  it('gives a "care" scope patients the doctor cares for', async () => {
+    const req = request('doctor', { doctor_id: doctorId });
+    mock.method(careAccess, 'hasCareRelationship', async (doctor, patient) => patient === patientId.toString());
+    mock.method(careAccess, 'useBreakGlass', async () => false);
+
+    assert.equal(await permissions.canAccess(req, 'medical_records', 'read', { patient_id: patientId }), true);
+    assert.equal(await permissions.canAccess(req, 'medical_records', 'read', { patient_id: otherPatientId }), false);
+  });
+
+  it('falls back to a break-the-glass grant without a care relationship', async () => {
+    const req = request('doctor', { doctor_id: doctorId });
+    mock.method(careAccess, 'hasCareRelationship', async () => false);
+    const breakGlass = mock.method(careAccess, 'useBreakGlass', async () => true);
+
+    assert.equal(await permissions.canAccess(req, 'patients', 'read', { patient_id: otherPatientId }), true);
+    assert.deepEqual(breakGlass.mock.calls[0].arguments.slice(1), [otherPatientId.toString(), 'patients']);
+  });
+
+  it('lets a doctor create records only as themselves for patients in their care', async () => {
+    const req = request('doctor', { doctor_id: doctorId });
+    mock.method(careAccess, 'hasCareRelationship', async (doctor, patient) => patient === patientId.toString());
+    mock.method(careAccess, 'useBreakGlass', async () => false);
+
+    assert.equal(await permissions.canAccess(req, 'medical_records', 'create', { patient_id: patientId, doctor_id: doctorId }), true);
+    assert.equal(await permissions.canAccess(req, 'prescriptions', 'create', { patient_id: otherPatientId, doctor_id: doctorId }), false);
+    assert.equal(
+      await permissions.canAccess(req, 'medical_records', 'create', { patient_id: patientId, doctor_id: new mongoose.Types.ObjectId() }),
+      false
+    );
+  });
+
+  it('does not treat a record without a patient as cared for', async () => {
+    const req = request('doctor', { doctor_id: doctorId });
+    const relationship = mock.method(careAccess, 'hasCareRelationship', async () => true);
+
+    assert.equal(await permissions.canAccess(req, 'patients', 'read', {}), false);
+    assert.equal(relationship.mock.callCount(), 0);
+  });
+});
+
+describe('scopeQuery', () => {
+  it('puts no conditions on an "all" scope', async () => {
+    const req = request('admin', {});
+    assert.deepEqual(await permissions.scopeQuery(req, 'appointments', 'read'), {});
+  });
+
+  it('returns null for a role that sees nothing', async () => {
+    const req = request('pharmacist', {});
+    assert.equal(await permissions.scopeQuery(req, 'appointments', 'read'), null);
+  });
+
+  it('limits an "own" scope to the user\'s profile, renaming the field if asked', async () => {
+    const req = request('customer', { patient_id: patientId });
+    assert.deepEqual(await permissions.scopeQuery(req, 'appointments', 'read'), { patient_id: patientId });
+    assert.deepEqual(
+      await permissions.scopeQuery(req, 'patients', 'read', { patient_id: '_id' }),
+      { _id: patientId }
+    );
+  });
+
+  it('returns null for an "own" scope without a linked profile', async () => {
+    const req = request('customer', {});
+    assert.equal(await permissions.scopeQuery(req, 'appointments', 'read'), null);
+  });
+
+  it('combines the doctor\'s own records with cared-for and break-the-glass patients', async () => {
+    const req = request('doctor', { doctor_id: doctorId });
+    mock.method(careAccess, 'carePatientIds', async () => [patientId]);
+    mock.method(careAccess, 'breakGlassPatientIds', async () => [otherPatientId]);
+
+    assert.deepEqual(await permissions.scopeQuery(req, 'appointments', 'read'), {
+      $or: [
+        { doctor_id: doctorId },
+        { patient_id: { $in: [patientId, otherPatientId] } }
+      ]
+    });
+  });
+});
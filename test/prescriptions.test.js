@@ -0,0 +1,49 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const Patient = require('../models/Patient');
+const Prescription = require('../models/Prescription');
+const prescriptions = require('../utils/prescriptions');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const patientId = new mongoose.Types.ObjectId();
+const tonicId = new mongoose.Types.ObjectId();
+const ibuprofenId = new mongoose.Types.ObjectId();
+const warfarinId = new mongoose.Types.ObjectId();
+
+function current(medicineId, name) {
+  return {
+    prescription_id: 'RX0001',
+    record_id: new mongoose.Types.ObjectId(),
+    patient_id: patientId,
+    doctor_id: new mongoose.Types.ObjectId(),
+    items: [{ medicine_id: medicineId, medicine_name: name, dose: '1 tablet', route: 'oral', frequency: 'daily', duration: '30 days', quantity: 30 }]
+  };
+}
+
+beforeEach(() => {
+  memoryModel(Patient, [{ _id: patientId, patient_id: 'PAT001', first_name: 'Sam', last_name: 'Reyes', allergies: 'NKDA' }]);
+  memoryModel(Medicine, [
+    { _id: tonicId, name: 'Mystery Tonic' },
+    { _id: ibuprofenId, name: 'Ibuprofen 400mg' },
+    { _id: warfarinId, name: 'Warfarin 5mg' }
+  ]);
+  memoryModel(Prescription, [current(tonicId, 'Mystery Tonic'), { ...current(warfarinId, 'Warfarin 5mg'), prescription_id: 'RX0002' }]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('checkClinical', () => {
+  it('warns about unknown ingredients only for the medicines being prescribed', async () => {
+    const warnings = await prescriptions.checkClinical(patientId, [{ medicine_id: ibuprofenId }]);
+
+    assert.deepEqual(warnings.map((warning) => warning.type), ['interaction']);
+  });
+
+  it('warns once about a new medicine with unknown ingredients', async () => {
+    const warnings = await prescriptions.checkClinical(patientId, [{ medicine_id: tonicId }, { medicine_id: tonicId }]);
+
+    assert.deepEqual(warnings.map((warning) => warning.key), [`ingredients_unknown:${tonicId}`]);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const stock = require('../utils/stock');
+const purchasing = require('../utils/purchasing');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const amoxicillinId = new mongoose.Types.ObjectId();
+const ibuprofenId = new mongoose.Types.ObjectId();
+const supplierId = new mongoose.Types.ObjectId();
+const pharmacist = { id: String(new mongoose.Types.ObjectId()), role: 'pharmacist' };
+
+let orders;
+
+function order(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    po_number: 'PO0001',
+    supplier_id: supplierId,
+    status: 'sent',
+    items: [
+      { _id: new mongoose.Types.ObjectId(), medicine_id: amoxicillinId, medicine_name: 'Amoxicillin 500mg', quantity_ordered: 100, unit_cost: 0.2 },
+      { _id: new mongoose.Types.ObjectId(), medicine_id: ibuprofenId, medicine_name: 'Ibuprofen 400mg', quantity_ordered: 50, unit_cost: 0.1 }
+    ],
+    ...overrides
+  };
+}
+
+async function load(stored) {
+  orders.docs.push(new PurchaseOrder(stored).toObject());
+  return PurchaseOrder.findById(stored._id);
+}
+
+// Batches go into stock unless a test says otherwise
+function stockReceived(receive = async () => {}) {
+  return mock.method(stock, 'receiveBatch', async (medicineId, data) => {
+    await receive(medicineId, data);
+    return {
+      batch: { _id: new mongoose.Types.ObjectId(), batch_number: data.batch_number, expiry_date: data.expiry_date },
+      medicine: { _id: medicineId, stock_quantity: data.quantity }
+    };
+  });
+}
+
+function line(item, quantity, batchNumber = `LOT-${quantity}`) {
+  return { item_id: String(item._id), quantity, batch_number: batchNumber };
+}
+
+beforeEach(() => {
+  memoryModel(Medicine, [
+    { _id: amoxicillinId, name: 'Amoxicillin 500mg', price: 0.5 },
+    { _id: ibuprofenId, name: 'Ibuprofen 400mg', price: 0.1 }
+  ]);
+  memoryModel(MedicineBatch);
+  memoryModel(Supplier, [{ _id: supplierId, supplier_id: 'SUP001', name: 'MedSupply' }]);
+  orders = memoryModel(PurchaseOrder);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('checkItems', () => {
+  it('reports unknown and repeated medicines line by line', async () => {
+    const { errors } = await purchasing.checkItems([
+      { medicine_id: String(amoxicillinId), quantity: 10, unit_cost: 0.2 },
+      { medicine_id: String(new mongoose.Types.ObjectId()), quantity: 10, unit_cost: 0.2 },
+      { medicine_id: String(amoxicillinId), quantity: 0, unit_cost: 0.2 }
+    ]);
+
+    assert.deepEqual(errors, [
+      'Item 2: medicine not found in the catalog',
+      'Item 3: Amoxicillin 500mg is already on the order',
+      'Item 3: quantity must be a positive whole number'
+    ]);
+  });
+});
+
+describe('receiving goods', () => {
+  it('books a part delivery into stock and on the order', async () => {
+    const received = stockReceived();
+    const loaded = await load(order());
+
+    const result = await purchasing.receive(loaded, [line(loaded.items[0], 60)], pharmacist);
+
+    assert.equal(result.order.status, 'partially_received');
+    assert.deepEqual(orders.docs[0].items.map((item) => item.quantity_received), [60, 0]);
+    assert.deepEqual(result.receipt.lines.map((l) => [l.batch_number, l.quantity, l.catalog_price]), [['LOT-60', 60, 0.5]]);
+    assert.equal(received.mock.calls[0].arguments[1].purchase_order_id, loaded._id);
+  });
+
+  it('marks the order received once every line has arrived', async () => {
+    stockReceived();
+    const loaded = await load(order());
+
+    const result = await purchasing.receive(loaded, [line(loaded.items[0], 100), line(loaded.items[1], 50)], pharmacist);
+
+    assert.equal(result.order.status, 'received');
+    assert.deepEqual(purchasing.outstandingOf(result.order.items[1]), 0);
+  });
+
+  it('refuses more than is outstanding', async () => {
+    stockReceived();
+    const loaded = await load(order());
+
+    const result = await purchasing.receive(loaded, [line(loaded.items[1], 30, 'A'), line(loaded.items[1], 30, 'B')], pharmacist);
+
+    assert.deepEqual(result.rejection, { status: 400, error: 'Only 50 of Ibuprofen 400mg outstanding' });
+    assert.equal(orders.docs[0].items[1].quantity_received, 0);
+  });
+
+  it('receives a line once when two deliveries are booked at once', async () => {
+    const received = stockReceived();
+    const stored = order();
+    await load(stored);
+    const [first, second] = await Promise.all([PurchaseOrder.findById(stored._id), PurchaseOrder.findById(stored._id)]);
+
+    const results = await Promise.all([
+      purchasing.receive(first, [line(first.items[0], 100, 'A')], pharmacist),
+      purchasing.receive(second, [line(second.items[0], 100, 'B')], pharmacist)
+    ]);
+
+    assert.deepEqual(results.map((result) => (result.rejection ? result.rejection.status : 201)).sort(), [201, 409]);
+    assert.equal(orders.docs[0].items[0].quantity_received, 100);
+    assert.equal(received.mock.callCount(), 1);
+  });
+
+  it('gives back the claim for a line whose batch could not be stocked', async () => {
+    stockReceived(async (medicineId) => {
+      if (medicineId.equals(ibuprofenId)) throw Object.assign(new Error('duplicate batch'), { code: 11000 });
+    });
+    const loaded = await load(order());
+
+    const result = await purchasing.receive(loaded, [line(loaded.items[0], 100, 'A'), line(loaded.items[1], 50, 'B')], pharmacist);
+
+    assert.deepEqual(result.rejection, { status: 409, error: 'Ibuprofen 400mg already has a batch B' });
+    const [stored] = orders.docs;
+    assert.equal(stored.status, 'partially_received');
+    assert.deepEqual(stored.items.map((item) => item.quantity_received), [100, 0]);
+    assert.deepEqual(stored.receipts[0].lines.map((l) => l.batch_number), ['A']);
+  });
+});
+
+describe('summarize', () => {
+  it('compares what was paid with the catalog price', async () => {
+    stockReceived();
+    const loaded = await load(order());
+    const { order: received } = await purchasing.receive(loaded, [line(loaded.items[1], 50)], pharmacist);
+
+    const summary = await purchasing.summarize(received);
+
+    assert.equal(summary.ordered_value, 25);
+    assert.equal(summary.received_value, 5);
+    assert.equal(summary.outstanding_value, 20);
+    assert.deepEqual(summary.below_cost, ['Ibuprofen 400mg']);
+  });
+});
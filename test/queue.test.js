@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const QueueToken = require('../models/QueueToken');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const availability = require('../utils/availability');
+const permissions = require('../utils/permissions');
+const queue = require('../utils/queue');
+const router = require('../routes/queue');
+const { memoryModel } = require('./helpers/memoryModel');
+const { call } = require('./helpers/routes');
+
+const doctorId = new mongoose.Types.ObjectId();
+const patientId = new mongoose.Types.ObjectId();
+const params = { doctorId: String(doctorId) };
+
+let tokens;
+let appointments;
+
+function token(number, status, overrides = {}) {
+  return { doctor_id: doctorId, date: availability.today(), token_number: number, type: 'walk_in', walk_in_name: `Walk-in ${number}`, status, ...overrides };
+}
+
+function checkIn(body) {
+  return call(router, 'post', '/:doctorId/check-in', { role: 'receptionist', params, body });
+}
+
+function callNext() {
+  return call(router, 'post', '/:doctorId/call-next', { role: 'nurse', params });
+}
+
+beforeEach(() => {
+  memoryModel(Doctor, [{ _id: doctorId, doctor_id: 'DOC001', first_name: 'Ada', last_name: 'Okafor', specialization: 'General practice' }]);
+  memoryModel(Patient, [{ _id: patientId, patient_id: 'PAT001', first_name: 'Sam', last_name: 'Reyes' }]);
+  tokens = memoryModel(QueueToken);
+  appointments = memoryModel(Appointment);
+  mock.method(permissions, 'canAccess', async () => true);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('issueToken', () => {
+  it('gives desks issuing at once their own token numbers', async () => {
+    const issued = await Promise.all([1, 2, 3].map(() => queue.issueToken({ doctor_id: doctorId, date: availability.today(), type: 'walk_in' })));
+
+    assert.deepEqual(issued.map((t) => t.token_number).sort(), [1, 2, 3]);
+  });
+});
+
+describe('check-in', () => {
+  it('checks in a booked patient and their appointment', async () => {
+    const appointment = {
+      _id: new mongoose.Types.ObjectId(),
+      appointment_id: 'APT00000001',
+      patient_id: patientId,
+      doctor_id: doctorId,
+      appointment_date: availability.today(),
+      appointment_time: '10:00',
+      status: 'confirmed'
+    };
+    appointments.docs.push(new Appointment(appointment).toObject());
+
+    const res = await checkIn({ appointment_id: String(appointment._id) });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.type, 'booked');
+    assert.equal(appointments.docs[0].status, 'checked_in');
+    assert.equal((await checkIn({ appointment_id: String(appointment._id) })).statusCode, 409);
+  });
+
+  it('refuses a second open token for the same walk-in patient', async () => {
+    assert.equal((await checkIn({ patient_id: String(patientId) })).statusCode, 201);
+
+    const again = await checkIn({ patient_id: String(patientId) });
+
+    assert.equal(again.statusCode, 409);
+    assert.equal(again.body.error, 'Patient is already in the queue');
+    assert.equal(tokens.docs.length, 1);
+  });
+
+  it('lets a walk-in patient back in once their visit is over', async () => {
+    tokens.docs.push(new QueueToken(token(1, 'completed', { patient_id: patientId })).toObject());
+
+    assert.equal((await checkIn({ patient_id: String(patientId) })).statusCode, 201);
+  });
+});
+
+describe('call-next', () => {
+  it('completes the current patient and calls the next in token order', async () => {
+    tokens.docs.push(...[token(1, 'called'), token(3, 'waiting'), token(2, 'waiting')].map((t) => new QueueToken(t).toObject()));
+
+    const res = await callNext();
+
+    assert.equal(res.body.completed.token_number, 1);
+    assert.equal(res.body.called.token_number, 2);
+    assert.deepEqual(tokens.docs.map((t) => t.status), ['completed', 'waiting', 'called']);
+  });
+
+  it('completes the current patient once when two desks call next at once', async () => {
+    tokens.docs.push(...[token(1, 'called'), token(2, 'waiting'), token(3, 'waiting')].map((t) => new QueueToken(t).toObject()));
+
+    const results = await Promise.all([callNext(), callNext()]);
+
+    assert.equal(results.filter((res) => res.body.completed).length, 1);
+  });
+});
+
+describe('skip and recall', () => {
+  it('puts a skipped patient back in line', async () => {
+    tokens.docs.push(new QueueToken(token(1, 'called')).toObject());
+    const tokenParams = { ...params, tokenId: String(tokens.docs[0]._id) };
+
+    const skipped = await call(router, 'post', '/:doctorId/tokens/:tokenId/skip', { role: 'nurse', params: tokenParams });
+    const recalled = await call(router, 'post', '/:doctorId/tokens/:tokenId/recall', { role: 'nurse', params: tokenParams });
+    const again = await call(router, 'post', '/:doctorId/tokens/:tokenId/recall', { role: 'nurse', params: tokenParams });
+
+    assert.equal(skipped.body.status, 'skipped');
+    assert.equal(recalled.body.status, 'waiting');
+    assert.equal(again.statusCode, 409);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const ScheduleException = require('../models/ScheduleException');
+const scheduleExceptions = require('../utils/scheduleExceptions');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const doctorId = new mongoose.Types.ObjectId();
+const date = '2030-03-05';
+
+function appointment(time) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    patient_id: new mongoose.Types.ObjectId(),
+    doctor_id: doctorId,
+    appointment_date: date,
+    appointment_time: time,
+    status: 'confirmed'
+  };
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('exception flags', () => {
+  it('flags only the slots an exception covers', async () => {
+    const appointments = memoryModel(Appointment, [appointment('09:00'), appointment('14:00')]);
+    const [exception] = memoryModel(ScheduleException, [
+      { doctor_id: doctorId, type: 'other', start_date: date, end_date: date, start_time: '13:45', end_time: '15:00' }
+    ]).docs;
+
+    const affected = await scheduleExceptions.flagAffectedAppointments(exception);
+
+    assert.deepEqual(affected.map((a) => a.appointment_time), ['14:00']);
+    assert.deepEqual(appointments.docs.map((a) => a.needs_reschedule), [false, true]);
+  });
+
+  it('keeps an appointment flagged while another exception still covers it', async () => {
+    const appointments = memoryModel(Appointment, [appointment('10:00')]);
+    const exceptions = memoryModel(ScheduleException, [
+      { doctor_id: doctorId, type: 'leave', start_date: date, end_date: date },
+      { doctor_id: null, type: 'holiday', start_date: date, end_date: date }
+    ]);
+    const [leave, holiday] = exceptions.docs;
+    await scheduleExceptions.flagAffectedAppointments(leave);
+    await scheduleExceptions.flagAffectedAppointments(holiday);
+
+    // The holiday flagged last, then is deleted: the leave still covers the booking
+    exceptions.docs.splice(1, 1);
+    await scheduleExceptions.clearExceptionFlags(holiday._id);
+
+    const [flagged] = appointments.docs;
+    assert.equal(flagged.needs_reschedule, true);
+    assert.equal(String(flagged.schedule_exception_id), String(leave._id));
+
+    exceptions.docs.splice(0, 1);
+    await scheduleExceptions.clearExceptionFlags(leave._id);
+
+    assert.equal(flagged.needs_reschedule, false);
+    assert.equal(flagged.schedule_exception_id, null);
+  });
+
+  it('does not count the exception being cleared when it was only edited', async () => {
+    const appointments = memoryModel(Appointment, [appointment('10:00')]);
+    const [leave] = memoryModel(ScheduleException, [
+      { doctor_id: doctorId, type: 'leave', start_date: date, end_date: date }
+    ]).docs;
+    await scheduleExceptions.flagAffectedAppointments(leave);
+
+    await scheduleExceptions.clearExceptionFlags(leave._id);
+
+    assert.equal(appointments.docs[0].needs_reschedule, false);
+  });
+});
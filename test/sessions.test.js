@@ -0,0 +1,146 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const events = require('../utils/events');
+const sessions = require('../utils/sessions');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'patient@example.com', role: 'customer' };
+
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function session(fields = {}) {
+  const doc = new Session({
+    user_id: user._id,
+    token_hash: hash('current'),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+  mock.method(doc, 'save', async () => doc);
+  return doc;
+}
+
+// Stand-in for an SSE response
+function stream() {
+  const res = new EventEmitter();
+  res.ended = false;
+  res.write = () => true;
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('findByRefreshToken', () => {
+  it('rejects malformed tokens without a lookup', async () => {
+    const findById = mock.method(Session, 'findById', async () => null);
+    for (const token of [undefined, 'no-dot', 'zzz.secret', `${new mongoose.Types.ObjectId()}.`]) {
+      assert.equal(await sessions.findByRefreshToken(token), null);
+    }
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  it('tells the current token from the one it replaced', async () => {
+    const doc = session({ previous_token_hash: hash('older') });
+    mock.method(Session, 'findById', async () => doc);
+
+    const current = await sessions.findByRefreshToken(`${doc._id}.current`);
+    assert.equal(current.matches, true);
+    const older = await sessions.findByRefreshToken(`${doc._id}.older`);
+    assert.deepEqual([older.matches, older.previous], [false, true]);
+  });
+});
+
+describe('rotateSession', () => {
+  it('swaps the refresh token only if it is still the current one', async () => {
+    const doc = session();
+    const update = mock.method(Session, 'findOneAndUpdate', async (filter, changes) => new Session({ ...doc.toObject(), ...changes.$set }));
+
+    const tokens = await sessions.rotateSession({ session: doc, matches: true, previous: false }, user);
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: doc._id, token_hash: hash('current'), revoked_at: null });
+    assert.equal(changes.$set.previous_token_hash, hash('current'));
+
+    const [sessionId, secret] = tokens.refresh_token.split('.');
+    assert.equal(sessionId, doc._id.toString());
+    assert.equal(changes.$set.token_hash, hash(secret));
+    assert.equal(jwt.verify(tokens.token, process.env.JWT_SECRET).sid, doc._id.toString());
+  });
+
+  it('gives nothing to the loser of two concurrent refreshes', async () => {
+    const doc = session();
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await sessions.rotateSession({ session: doc, matches: true, previous: false }, user), null);
+    assert.equal(doc.revoked_at, undefined);
+  });
+
+  it('revokes the session when an old refresh token is replayed', async () => {
+    const doc = session({ previous_token_hash: hash('older'), rotated_at: new Date(Date.now() - 60 * 60 * 1000) });
+    const disconnect = mock.method(events, 'disconnect', () => {});
+
+    assert.equal(await sessions.rotateSession({ session: doc, matches: false, previous: true }, user), null);
+    assert.ok(doc.revoked_at);
+    assert.equal(doc.revoked_reason, 'Refresh token reuse detected');
+    assert.equal(doc.save.mock.callCount(), 1);
+    assert.deepEqual(disconnect.mock.calls[0].arguments, [{ session_id: doc._id }]);
+  });
+
+  it('does not revoke for the token another tab has only just replaced', async () => {
+    const doc = session({ previous_token_hash: hash('older'), rotated_at: new Date() });
+
+    assert.equal(await sessions.rotateSession({ session: doc, matches: false, previous: true }, user), null);
+    assert.equal(doc.revoked_at, undefined);
+  });
+
+  it('refuses revoked and expired sessions', async () => {
+    const update = mock.method(Session, 'findOneAndUpdate', async () => null);
+    const revoked = session({ revoked_at: new Date() });
+    const expired = session({ expires_at: new Date(Date.now() - 1000) });
+
+    assert.equal(await sessions.rotateSession({ session: revoked, matches: true }, user), null);
+    assert.equal(await sessions.rotateSession({ session: expired, matches: true }, user), null);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
+
+describe('revocation', () => {
+  it('closes the event streams of a revoked session', async () => {
+    const doc = session();
+    const revokedStream = stream();
+    const otherStream = stream();
+    events.addClient(revokedStream, { id: user._id, role: user.role }, doc._id);
+    events.addClient(otherStream, { id: user._id, role: user.role }, new mongoose.Types.ObjectId());
+
+    await sessions.revokeSession(doc, 'Logged out');
+
+    assert.equal(revokedStream.ended, true);
+    assert.equal(otherStream.ended, false);
+    events.disconnect({ user_id: user._id });
+  });
+
+  it('revokes every session of a user except the one kept, closing their streams', async () => {
+    const keptId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    const updateMany = mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const keptStream = stream();
+    const otherStream = stream();
+    events.addClient(keptStream, { id: user._id, role: user.role }, keptId);
+    events.addClient(otherStream, { id: user._id, role: user.role }, otherId);
+
+    assert.equal(await sessions.revokeAllSessions(user._id, 'Password changed', keptId), 2);
+
+    assert.deepEqual(updateMany.mock.calls[0].arguments[0], { user_id: user._id, revoked_at: null, _id: { $ne: keptId } });
+    assert.equal(otherStream.ended, true);
+    assert.equal(keptStream.ended, false);
+    events.disconnect({ session_id: keptId });
+  });
+});
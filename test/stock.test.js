@@ -0,0 +1,170 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const StockMovement = require('../models/StockMovement');
+const stock = require('../utils/stock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const medicineId = new mongoose.Types.ObjectId();
+const movement = { type: 'dispense', reason: 'Dispensed RX1', user: { id: 'pharmacist-1', role: 'pharmacist' } };
+
+function batch(batchNumber, quantity, expiresInDays, receivedDaysAgo = 30) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    medicine_id: medicineId,
+    batch_number: batchNumber,
+    quantity,
+    expiry_date: expiresInDays === null ? undefined : new Date(Date.now() + expiresInDays * DAY_MS),
+    received_at: new Date(Date.now() - receivedDaysAgo * DAY_MS)
+  };
+}
+
+// In-memory batches and ledger behind the model methods stock.js uses. beforeChange(batch)
+// runs just before a batch is updated, to play another request getting there first.
+function fakeStore(batches, { beforeChange = () => {} } = {}) {
+  const ledger = [];
+
+  mock.method(MedicineBatch, 'find', async (filter) => batches
+    .filter((candidate) => candidate.quantity > 0)
+    .filter((candidate) => !filter.$or || filter.$or.some((clause) => (clause.expiry_date === null
+      ? !candidate.expiry_date
+      : !!candidate.expiry_date && candidate.expiry_date >= clause.expiry_date.$gte)))
+    .map((candidate) => ({ ...candidate })));
+
+  mock.method(MedicineBatch, 'findOneAndUpdate', async (filter, update) => {
+    const target = batches.find((candidate) => candidate._id.equals(filter._id));
+    beforeChange(target);
+    if (filter.quantity && target.quantity < filter.quantity.$gte) return null;
+    target.quantity += update.$inc.quantity;
+    return { ...target };
+  });
+
+  mock.method(StockMovement, 'insertMany', async (docs) => {
+    ledger.push(...docs);
+    return docs;
+  });
+
+  mock.method(Medicine, 'findByIdAndUpdate', async (id, update) => ({ _id: id, ...update.$set }));
+
+  return ledger;
+}
+
+function ledgerTotal(ledger) {
+  return ledger.reduce((sum, entry) => sum + entry.quantity, 0);
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('fefo', () => {
+  it('uses the earliest expiry first, then undated stock, oldest delivery first', () => {
+    const later = batch('LATER', 5, 200);
+    const sooner = batch('SOONER', 5, 20);
+    const undatedOld = batch('UNDATED-OLD', 5, null, 90);
+    const undatedNew = batch('UNDATED-NEW', 5, null, 10);
+
+    const order = [undatedNew, later, undatedOld, sooner].sort(stock.fefo).map((entry) => entry.batch_number);
+    assert.deepEqual(order, ['SOONER', 'LATER', 'UNDATED-OLD', 'UNDATED-NEW']);
+  });
+});
+
+describe('takeStock', () => {
+  it('takes from the batch expiring first and skips expired stock', async () => {
+    const expired = batch('EXPIRED', 50, -1);
+    const sooner = batch('SOONER', 10, 30);
+    const later = batch('LATER', 10, 300);
+    fakeStore([later, expired, sooner]);
+
+    const result = await stock.takeStock(medicineId, 15, movement);
+
+    assert.deepEqual(result.batches.map((line) => [line.batch_number, line.quantity, line.balance_after]), [
+      ['SOONER', 10, 0],
+      ['LATER', 5, 5]
+    ]);
+    assert.deepEqual([expired.quantity, sooner.quantity, later.quantity], [50, 0, 5]);
+    assert.equal(result.medicine.stock_quantity, 5);
+    assert.equal(result.medicine.status, 'available');
+  });
+
+  it('writes a ledger line for every batch it takes from', async () => {
+    const sooner = batch('SOONER', 10, 30);
+    const later = batch('LATER', 10, 300);
+    const ledger = fakeStore([sooner, later]);
+
+    await stock.takeStock(medicineId, 12, movement);
+
+    assert.deepEqual(ledger.map((entry) => [entry.batch_number, entry.quantity, entry.type]), [
+      ['SOONER', -10, 'dispense'],
+      ['LATER', -2, 'dispense']
+    ]);
+    assert.equal(ledger[0].actor_role, 'pharmacist');
+  });
+
+  it('takes nothing when there is not enough unexpired stock', async () => {
+    const expired = batch('EXPIRED', 50, -1);
+    const usable = batch('USABLE', 5, 30);
+    const ledger = fakeStore([expired, usable]);
+
+    assert.equal(await stock.takeStock(medicineId, 6, movement), null);
+    assert.deepEqual([expired.quantity, usable.quantity], [50, 5]);
+    assert.deepEqual(ledger, []);
+  });
+
+  it('moves on when another request empties a batch first', async () => {
+    const sooner = batch('SOONER', 10, 30);
+    const later = batch('LATER', 10, 300);
+    let raced = false;
+    fakeStore([sooner, later], {
+      beforeChange(target) {
+        if (target === sooner && !raced) {
+          raced = true;
+          target.quantity = 0;
+        }
+      }
+    });
+
+    const result = await stock.takeStock(medicineId, 4, movement);
+
+    assert.deepEqual(result.batches.map((line) => [line.batch_number, line.quantity]), [['LATER', 4]]);
+    assert.deepEqual([sooner.quantity, later.quantity], [0, 6]);
+  });
+
+  it('returns what it took, with compensating ledger lines, when stock runs out part way', async () => {
+    const sooner = batch('SOONER', 10, 30);
+    const later = batch('LATER', 10, 300);
+    const ledger = fakeStore([sooner, later], {
+      beforeChange(target) {
+        // Another request takes most of the second batch while the first is being used
+        if (target === later && target.quantity === 10) target.quantity = 2;
+      }
+    });
+
+    assert.equal(await stock.takeStock(medicineId, 15, movement), null);
+
+    assert.deepEqual([sooner.quantity, later.quantity], [10, 2]);
+    assert.deepEqual(ledger.map((entry) => [entry.batch_number, entry.quantity, entry.type]), [
+      ['SOONER', -10, 'dispense'],
+      ['SOONER', 10, 'return']
+    ]);
+    assert.equal(ledger[1].reason, 'Dispensed RX1: not enough stock, returned');
+    assert.equal(ledgerTotal(ledger), 0);
+  });
+});
+
+describe('returnStock', () => {
+  it('puts the units back into the batches they came from', async () => {
+    const sooner = batch('SOONER', 0, 30);
+    const later = batch('LATER', 3, 300);
+    const ledger = fakeStore([sooner, later]);
+
+    const medicine = await stock.returnStock(medicineId, [
+      { batch_id: sooner._id, quantity: 10 },
+      { batch_id: later._id, quantity: 2 }
+    ], { type: 'return', reason: 'Dispensation reversed' });
+
+    assert.deepEqual([sooner.quantity, later.quantity], [10, 5]);
+    assert.deepEqual(ledger.map((entry) => entry.quantity), [10, 2]);
+    assert.equal(medicine.stock_quantity, 15);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Deliver alert emails to the outbox below instead of the console
+process.env.MAIL_TRANSPORT = 'test';
+
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const User = require('../models/User');
+const events = require('../utils/events');
+const mailer = require('../utils/mailer');
+const stockAlerts = require('../utils/stockAlerts');
+const { memoryModel } = require('./helpers/memoryModel');
+
+let outbox;
+let down;
+let medicines;
+
+mailer.registerTransport('test', async (message) => {
+  if (down.has(message.to)) throw new Error('mailbox unavailable');
+  outbox.push(message);
+});
+
+function pharmacist(name) {
+  return { _id: new mongoose.Types.ObjectId(), username: name, email: `${name}@example.com`, password: 'secret-password', role: 'pharmacist' };
+}
+
+beforeEach(() => {
+  outbox = [];
+  down = new Set();
+  medicines = memoryModel(Medicine, [{ medicine_id: 'MED001', name: 'Amoxicillin 500mg', stock_quantity: 0 }]);
+  memoryModel(MedicineBatch);
+  memoryModel(User, [pharmacist('ana'), pharmacist('ben')]);
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+  // Clear the remembered alerts for the next test
+  medicines.docs.length = 0;
+  await stockAlerts.runAlertSweep();
+  mock.restoreAll();
+});
+
+describe('stock alert emails', () => {
+  it('emails every pharmacist and pushes each alert once', async () => {
+    const published = mock.method(events, 'publish', () => {});
+
+    await stockAlerts.runAlertSweep();
+    await stockAlerts.runAlertSweep();
+
+    assert.deepEqual(outbox.map((message) => message.to).sort(), ['ana@example.com', 'ben@example.com']);
+    assert.equal(published.mock.callCount(), 1);
+  });
+
+  it('still emails the others when one address fails, and retries only that one', async () => {
+    mock.method(events, 'publish', () => {});
+    down.add('ana@example.com');
+
+    await stockAlerts.runAlertSweep();
+
+    assert.deepEqual(outbox.map((message) => message.to), ['ben@example.com']);
+
+    down.clear();
+    await stockAlerts.runAlertSweep();
+
+    assert.deepEqual(outbox.map((message) => message.to), ['ben@example.com', 'ana@example.com']);
+  });
+});
@@ -0,0 +1,101 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const twoFactor = require('../utils/twoFactor');
+const { memoryModel } = require('./helpers/memoryModel');
+
+// RFC 6238 test secret, ASCII "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+// A stored staff account with 2FA on, loaded the way the login route loads it
+async function enrolledUser(twoFactorFields) {
+  const _id = new mongoose.Types.ObjectId();
+  memoryModel(User, [{
+    _id,
+    username: 'drokafor',
+    email: 'okafor@example.com',
+    password: 'hashed',
+    role: 'doctor',
+    two_factor: { enabled: true, secret: RFC_SECRET, ...twoFactorFields }
+  }]);
+  return User.findById(_id).select('+two_factor.secret +two_factor.last_used_step +two_factor.recovery_codes');
+}
+
+describe('verifyCode', () => {
+  it('accepts the RFC 6238 code for the current step', () => {
+    mock.timers.enable({ apis: ['Date'], now: 59 * 1000 });
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '287 082'), 1);
+  });
+
+  it('allows one step of clock drift and no more', () => {
+    mock.timers.enable({ apis: ['Date'], now: 89 * 1000 });
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '287082'), 1);
+
+    mock.timers.tick(60 * 1000);
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '287082'), null);
+  });
+
+  it('refuses a code from a step already used', () => {
+    mock.timers.enable({ apis: ['Date'], now: 59 * 1000 });
+    assert.equal(twoFactor.verifyCode(RFC_SECRET, '287082', 1), null);
+  });
+
+  it('refuses malformed and wrong codes', () => {
+    mock.timers.enable({ apis: ['Date'], now: 59 * 1000 });
+    for (const code of [undefined, '', '28708', 'abcdef', '287083']) {
+      assert.equal(twoFactor.verifyCode(RFC_SECRET, code), null);
+    }
+  });
+});
+
+describe('consumeCode', () => {
+  it('lets a code in once when two requests replay it at the same time', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 59 * 1000 });
+    // Both requests read the account before either used the code
+    const first = await enrolledUser();
+    const second = await User.findById(first._id).select('+two_factor.secret +two_factor.last_used_step');
+
+    const results = await Promise.all([twoFactor.consumeCode(first, '287082'), twoFactor.consumeCode(second, '287082')]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+  });
+
+  it('refuses a wrong code without using up the step', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 59 * 1000 });
+    const user = await enrolledUser();
+
+    assert.equal(await twoFactor.consumeCode(user, '287083'), false);
+    assert.equal(await twoFactor.consumeCode(user, '287082'), true);
+  });
+});
+
+describe('recovery codes', () => {
+  it('can each be used once, however they are typed', async () => {
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    const user = await enrolledUser({ recovery_codes: hashes });
+    const sameRequestAgain = await User.findById(user._id).select('+two_factor.recovery_codes');
+
+    assert.equal(await twoFactor.consumeRecoveryCode(user, codes[3].toUpperCase().replace('-', ' ')), true);
+    assert.equal(await twoFactor.consumeRecoveryCode(sameRequestAgain, codes[3]), false);
+    assert.equal(user.two_factor.recovery_codes.length, hashes.length - 1);
+  });
+});
+
+describe('challenge tokens', () => {
+  it('are only good for the purpose they were signed for', () => {
+    const user = { _id: 'user-1' };
+    const token = twoFactor.signChallenge(user, 'login');
+
+    assert.equal(twoFactor.verifyChallenge(token, 'login'), 'user-1');
+    assert.equal(twoFactor.verifyChallenge(token, 'setup'), null);
+    assert.equal(twoFactor.verifyChallenge('not-a-token', 'login'), null);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Doctor = require('../models/Doctor');
+const availability = require('../utils/availability');
+const waitlist = require('../utils/waitlist');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const doctorId = new mongoose.Types.ObjectId();
+const date = availability.addDays(availability.today(), 2);
+
+function entry(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    patient_id: new mongoose.Types.ObjectId(),
+    doctor_id: doctorId,
+    from_date: availability.today(),
+    to_date: availability.addDays(availability.today(), 7),
+    ...overrides
+  };
+}
+
+function offer(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    appointment_date: date,
+    appointment_time: '10:00',
+    status: 'pending',
+    offered_at: new Date(),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides
+  };
+}
+
+// A slot counts as free until some entry holds a pending offer for it
+function trackSlots(store) {
+  mock.method(Doctor, 'findById', async () => ({ _id: doctorId }));
+  mock.method(availability, 'isSlotAvailable', async (doctor, day, time) => !store.docs.some((doc) =>
+    doc.offers.some((held) => held.status === 'pending' && held.appointment_date === day && held.appointment_time === time)));
+}
+
+afterEach(() => mock.restoreAll());
+
+describe('validateEntry', () => {
+  const range = { from_date: availability.today(), to_date: availability.addDays(availability.today(), 7) };
+
+  it('refuses a time window that ends before it starts', () => {
+    assert.equal(
+      waitlist.validateEntry({ ...range, earliest_time: '15:00', latest_time: '9:30' }),
+      'Earliest preferred time must not be after the latest'
+    );
+  });
+
+  it('accepts a window of a single time', () => {
+    assert.equal(waitlist.validateEntry({ ...range, earliest_time: '09:30', latest_time: '9:30' }), null);
+  });
+});
+
+describe('offering freed slots', () => {
+  it('offers a slot to one patient when it is freed twice at once', async () => {
+    const store = memoryModel(WaitlistEntry, [entry(), entry()]);
+    trackSlots(store);
+
+    const results = await Promise.all([1, 2].map(() => waitlist.offerSlot(doctorId, date, '10:00')));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.deepEqual(store.docs.map((doc) => doc.status), ['offered', 'waiting']);
+  });
+
+  it('passes a declined slot to the next patient in line', async () => {
+    const first = entry({ status: 'offered', offers: [offer()] });
+    const store = memoryModel(WaitlistEntry, [first, entry()]);
+    trackSlots(store);
+
+    const loaded = await WaitlistEntry.findById(first._id);
+    const released = await waitlist.releaseOffer(loaded, 'declined');
+
+    assert.equal(released.status, 'waiting');
+    assert.equal(released.offers[0].status, 'declined');
+    assert.equal(store.docs[1].status, 'offered');
+    assert.equal(store.docs[1].offers[0].appointment_time, '10:00');
+  });
+});
+
+describe('claiming an offer', () => {
+  it('lets only one of two requests take the offer', async () => {
+    const stored = entry({ status: 'offered', offers: [offer()] });
+    memoryModel(WaitlistEntry, [stored]);
+    const loaded = await WaitlistEntry.findById(stored._id);
+    const pending = waitlist.pendingOffer(loaded);
+
+    const [accepted, declined] = await Promise.all([
+      waitlist.claimOffer(loaded, pending),
+      waitlist.releaseOffer(await WaitlistEntry.findById(stored._id), 'declined')
+    ]);
+
+    assert.equal(accepted.status, 'booked');
+    assert.equal(declined, null);
+  });
+
+  it('refuses an offer that has lapsed', async () => {
+    const stored = entry({ status: 'offered', offers: [offer({ expires_at: new Date(Date.now() - 1000) })] });
+    memoryModel(WaitlistEntry, [stored]);
+    const loaded = await WaitlistEntry.findById(stored._id);
+
+    assert.equal(await waitlist.claimOffer(loaded, waitlist.pendingOffer(loaded)), null);
+  });
+
+  it('hands the offer back when the booking fails', async () => {
+    const stored = entry({ status: 'offered', offers: [offer()] });
+    const store = memoryModel(WaitlistEntry, [stored]);
+    const loaded = await WaitlistEntry.findById(stored._id);
+    const pending = waitlist.pendingOffer(loaded);
+
+    await waitlist.claimOffer(loaded, pending);
+    await waitlist.unclaimOffer(loaded, pending);
+
+    const [restored] = store.docs;
+    assert.equal(restored.status, 'offered');
+    assert.equal(restored.offers[0].status, 'pending');
+    assert.equal(restored.offers[0].responded_at, undefined);
+  });
+});
@@ -0,0 +1,78 @@
+const Appointment = require('../models/Appointment');
+
+// Appointment lifecycle: allowed transitions and the roles that may perform them
+const STATUSES = Appointment.schema.path('status').enumValues;
+
+// Booked but not yet attended; these can still be rescheduled or cancelled
+const UPCOMING_STATUSES = ['requested', 'confirmed'];
+
+const TRANSITIONS = {
+  requested: {
+    confirmed: ['admin', 'receptionist', 'doctor'],
+    checked_in: ['admin', 'receptionist', 'nurse', 'doctor'], // Arrived before anyone confirmed it
+    cancelled: ['admin', 'receptionist', 'doctor', 'customer']
+  },
+  confirmed: {
+    checked_in: ['admin', 'receptionist', 'nurse', 'doctor'],
+    no_show: ['admin', 'receptionist', 'nurse', 'doctor'],
+    cancelled: ['admin', 'receptionist', 'doctor', 'customer']
+  },
+  checked_in: {
+    in_consultation: ['admin', 'nurse', 'doctor'],
+    no_show: ['admin', 'receptionist', 'nurse', 'doctor'],
+    cancelled: ['admin', 'receptionist']
+  },
+  in_consultation: {
+    checked_in: ['admin', 'receptionist', 'nurse', 'doctor'], // Called but did not come in
+    completed: ['admin', 'doctor']
+  },
+  completed: {},
+  no_show: {},
+  cancelled: {}
+};
+
+// Initial status for a new booking: staff bookings are confirmed straight away
+function initialStatus(role) {
+  return role === 'customer' ? 'requested' : 'confirmed';
+}
+
+// Apply a status change, stamping the transition time and recording who made it.
+// Returns { status, error } if the transition is not allowed; the caller saves the appointment.
+// Changes made by running the queue are authorized by the queue permission instead of the
+// transition's roles (viaQueue).
+function applyStatusChange(appointment, to, user, note, { viaQueue = false } = {}) {
+  if (!STATUSES.includes(to)) {
+    return { status: 400, error: 'Invalid status' };
+  }
+
+  const from = appointment.status;
+  const allowedRoles = (TRANSITIONS[from] || {})[to];
+  if (!allowedRoles) {
+    return { status: 409, error: `Cannot change status from ${from} to ${to}` };
+  }
+  if (!viaQueue && !allowedRoles.includes(user.role)) {
+    return { status: 403, error: `Your role cannot change status from ${from} to ${to}` };
+  }
+
+  const now = new Date();
+  appointment.status = to;
+  appointment.set(`status_timestamps.${to}`, now);
+  appointment.status_history.push({
+    from,
+    to,
+    changed_by: user.id,
+    role: user.role,
+    note,
+    changed_at: now
+  });
+
+  return null;
+}
+
+module.exports = {
+  STATUSES,
+  UPCOMING_STATUSES,
+  TRANSITIONS,
+  initialStatus,
+  applyStatusChange
+};
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+const GENESIS_HASH = '0'.repeat(64);
+const REDACTED = '[redacted]';
+const IGNORED_FIELDS = ['_id', '__v', 'updated_at'];
+const HASHED_FIELDS = [
+  'sequence', 'prev_hash', 'action', 'actor_id', 'actor_role', 'ip', 'method', 'path',
+  'resource_type', 'resource_id', 'patient_id', 'changes', 'details', 'created_at'
+];
+
+// Per-request context so model hooks know who is acting: { req, entries }
+const requestContext = new AsyncLocalStorage();
+
+function currentRequest() {
+  const store = requestContext.getStore();
+  return store ? store.req : null;
+}
+
+function idOf(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+// JSON-safe copy: ObjectIds and Dates become strings, undefined values are dropped
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// JSON with sorted keys so a hash does not depend on property order
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function computeHash(entry) {
+  const data = {};
+  for (const field of HASHED_FIELDS) {
+    data[field] = entry[field] === undefined || entry[field] === null ? null : plain(entry[field]);
+  }
+  return crypto.createHash('sha256').update(canonical(data)).digest('hex');
+}
+
+// Appends are serialised in-process; the unique sequence index catches other processes
+let chainHead = null;
+let lastWrite = Promise.resolve();
+
+async function appendEntry(fields, attempt = 0) {
+  if (!chainHead) {
+    chainHead = await AuditLog.findOne({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+  }
+
+  const entry = {
+    ...fields,
+    sequence: chainHead ? chainHead.sequence + 1 : 1,
+    prev_hash: chainHead ? chainHead.hash : GENESIS_HASH,
+    created_at: new Date()
+  };
+  entry.hash = computeHash(entry);
+
+  try {
+    const created = await AuditLog.create(entry);
+    chainHead = { sequence: created.sequence, hash: created.hash };
+    return created;
+  } catch (error) {
+    chainHead = null;
+    // Another process appended first; re-read the chain head and try again
+    if (error.code === 11000 && attempt < 5) {
+      return appendEntry(fields, attempt + 1);
+    }
+    throw error;
+  }
+}
+
+function append(fields) {
+  const write = lastWrite.then(() => appendEntry(fields));
+  lastWrite = write.catch(() => {});
+  return write;
+}
+
+// Append an audit entry. The actor, IP and path come from req, or from the current request
+// context when called from model hooks. Failures are logged rather than thrown so auditing
+// never breaks the request being audited.
+async function record(action, { req, actor, resource_type, resource_id, patient_id, changes, details } = {}) {
+  const store = requestContext.getStore();
+  const request = req || (store && store.req);
+  const user = actor || (request && request.user);
+  if (store) store.entries += 1;
+
+  try {
+    return await append({
+      action,
+      actor_id: user ? idOf(user.id || user._id) : undefined,
+      actor_role: user ? user.role : undefined,
+      ip: request ? request.ip : undefined,
+      method: request ? request.method : undefined,
+      path: request ? request.originalUrl.split('?')[0] : undefined,
+      resource_type,
+      resource_id: resource_id !== undefined && resource_id !== null ? idOf(resource_id) : undefined,
+      patient_id: patient_id ? idOf(patient_id) : undefined,
+      changes: plain(changes),
+      details: plain(details)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+}
+
+// Walk the chain from the start, recomputing every hash
+async function verifyChain() {
+  let prevHash = GENESIS_HASH;
+  let expected = 1;
+  let checked = 0;
+
+  const cursor = AuditLog.find({ sequence: { $exists: true } }).sort({ sequence: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    let problem = null;
+    if (entry.sequence !== expected) {
+      problem = `Entry ${expected} is missing`;
+    } else if (entry.prev_hash !== prevHash) {
+      problem = 'Previous hash does not match the preceding entry';
+    } else if (computeHash(entry) !== entry.hash) {
+      problem = 'Entry contents do not match its hash';
+    }
+
+    if (problem) {
+      return { valid: false, checked, broken_at: entry.sequence, reason: problem };
+    }
+
+    prevHash = entry.hash;
+    expected += 1;
+    checked += 1;
+  }
+
+  return { valid: true, checked, head_hash: checked > 0 ? prevHash : null };
+}
+
+// Changed top-level fields as { field: { before, after } }; redacted fields only show that they changed
+function diff(before, after, redact = []) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (canonical(from) === canonical(to)) continue;
+
+    changes[key] = redact.includes(key)
+      ? { before: REDACTED, after: REDACTED }
+      : { before: from === undefined ? null : from, after: to === undefined ? null : to };
+  }
+  return changes;
+}
+
+function snakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+const UPDATE_OPS = ['findOneAndUpdate', 'updateOne', 'updateMany', 'findOneAndReplace', 'replaceOne'];
+const DELETE_OPS = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+
+// Documents an update or delete is about to change, keyed by query
+const pendingChanges = new WeakMap();
+
+// Mongoose plugin recording creates, updates and deletes made while handling an HTTP request,
+// with a before/after diff. Background jobs are not user actions and are not recorded.
+// Options: patientField (path holding the patient the document concerns, '_id' for Patient
+// itself) and redact (fields whose values must never reach the log). Reads are recorded by the
+// routes with recordRead.
+function auditPlugin(schema, options = {}) {
+  const patientField = options.patientField || 'patient_id';
+  const redact = options.redact || [];
+
+  const patientOf = (doc) => (doc ? doc[patientField] : undefined);
+  const snapshot = (doc) => plain(doc.toObject ? doc.toObject({ depopulate: true }) : doc);
+
+  schema.post('init', function (doc) {
+    if (currentRequest()) {
+      doc.$locals.auditBefore = snapshot(doc);
+    }
+  });
+
+  schema.pre('save', function () {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post('save', async function (doc) {
+    if (!currentRequest()) return;
+
+    const isNew = doc.$locals.auditIsNew;
+    const after = snapshot(doc);
+    const changes = diff(isNew ? null : doc.$locals.auditBefore, after, redact);
+    doc.$locals.auditBefore = after;
+    if (!isNew && Object.keys(changes).length === 0) return;
+
+    await record(`${snakeCase(doc.constructor.modelName)}.${isNew ? 'create' : 'update'}`, {
+      resource_type: doc.constructor.modelName,
+      resource_id: doc._id,
+      patient_id: patientOf(doc),
+      changes
+    });
+  });
+
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], async function () {
+    if (!currentRequest()) return;
+
+    const lookup = this.model.find(this.getFilter());
+    if (!['updateMany', 'deleteMany'].includes(this.op)) {
+      lookup.sort(this.getOptions().sort || {}).limit(1);
+    }
+    pendingChanges.set(this, await lookup.lean());
+  });
+
+  schema.post([...UPDATE_OPS, ...DELETE_OPS], async function () {
+    const before = pendingChanges.get(this);
+    if (!before || before.length === 0) return;
+    pendingChanges.delete(this);
+
+    const deleting = DELETE_OPS.includes(this.op);
+    const afterById = new Map();
+    if (!deleting) {
+      const updated = await this.model.find({ _id: { $in: before.map((doc) => doc._id) } }).lean();
+      updated.forEach((doc) => afterById.set(doc._id.toString(), doc));
+    }
+
+    for (const doc of before) {
+      const after = afterById.get(doc._id.toString());
+      const changes = diff(plain(doc), after ? plain(after) : null, redact);
+      if (!deleting && Object.keys(changes).length === 0) continue;
+
+      await record(`${snakeCase(this.model.modelName)}.${deleting ? 'delete' : 'update'}`, {
+        resource_type: this.model.modelName,
+        resource_id: doc._id,
+        patient_id: patientOf(doc),
+        changes
+      });
+    }
+  });
+}
+
+// Record documents returned to the user, one entry per patient. Routes call this once the
+// access check has passed, so denied requests and internal lookups never count as reads.
+async function recordRead(req, resourceType, docs, patientField = 'patient_id') {
+  const byPatient = new Map();
+  for (const doc of (Array.isArray(docs) ? docs : [docs]).filter(Boolean)) {
+    const patientId = idOf(doc[patientField]);
+    if (!byPatient.has(patientId)) byPatient.set(patientId, []);
+    byPatient.get(patientId).push(doc._id);
+  }
+
+  for (const [patientId, ids] of byPatient) {
+    await record(`${snakeCase(resourceType)}.read`, {
+      req,
+      resource_type: resourceType,
+      resource_id: ids.length === 1 ? ids[0] : undefined,
+      patient_id: patientId || undefined,
+      details: ids.length > 1 ? { resource_ids: ids } : undefined
+    });
+  }
+}
+
+module.exports = {
+  requestContext,
+  record,
+  recordRead,
+  verifyChain,
+  auditPlugin
+};
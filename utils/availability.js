@@ -0,0 +1,305 @@
+const Appointment = require('../models/Appointment');
+const ScheduleException = require('../models/ScheduleException');
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_SLOT_DURATION = 30; // minutes
+const MAX_RANGE_DAYS = 62;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Normalize 'H:MM' / 'HH:MM:SS' to 'HH:MM', or null if not a valid time
+function normalizeTime(time) {
+  if (typeof time !== 'string') return null;
+  const match = time.trim().match(TIME_PATTERN);
+  if (!match) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = normalizeTime(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+  const mins = (minutes % 60).toString().padStart(2, '0');
+  return `${hours}:${mins}`;
+}
+
+// Dates are stored as 'YYYY-MM-DD' strings, so work in UTC to keep weekdays stable
+function parseDate(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return null;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) return null;
+  return parsed;
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const parsed = parseDate(date);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return formatDate(parsed);
+}
+
+// Slot dates and times are the hospital's wall clock, i.e. the server's local time (set TZ to
+// the hospital's zone). "Today" and the moment a slot starts must both use it.
+function today() {
+  const now = new Date();
+  return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+function slotStart(date, time) {
+  return new Date(`${date}T${time}:00`);
+}
+
+// Accepts 0-6, 'monday' or 'mon'
+function parseDay(day) {
+  if (typeof day === 'number') return Number.isInteger(day) && day >= 0 && day <= 6 ? day : -1;
+  if (typeof day !== 'string') return -1;
+  const value = day.trim().toLowerCase();
+  if (/^[0-6]$/.test(value)) return Number(value);
+  if (value.length < 3) return -1;
+  return DAY_NAMES.findIndex((name) => name.startsWith(value));
+}
+
+// Legacy free-text days such as 'Mon-Fri' or 'Monday, Wednesday, Friday'
+function parseLegacyDays(text) {
+  if (!text) return [];
+  const days = new Set();
+  for (const part of text.split(/[,;/]+|\s+and\s+/i)) {
+    const [from, to] = part.split(/\s*(?:-|to)\s*/i).map((d) => d.trim()).filter(Boolean);
+    const start = parseDay(from);
+    if (start === -1) continue;
+    const end = to ? parseDay(to) : start;
+    if (end === -1) continue;
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+  return [...days].sort();
+}
+
+// Structured schedule if set, otherwise derived from the legacy available_* fields
+function getSchedule(doctor) {
+  const schedule = doctor.schedule || {};
+  const slotDuration = schedule.slot_duration || DEFAULT_SLOT_DURATION;
+  const breaks = schedule.breaks || [];
+
+  if (schedule.weekly && schedule.weekly.length > 0) {
+    return { weekly: schedule.weekly, slot_duration: slotDuration, breaks };
+  }
+
+  const start = normalizeTime(doctor.available_time_start);
+  const end = normalizeTime(doctor.available_time_end);
+  if (!start || !end) {
+    return { weekly: [], slot_duration: slotDuration, breaks };
+  }
+
+  const days = doctor.available_days ? parseLegacyDays(doctor.available_days) : [0, 1, 2, 3, 4, 5, 6];
+  return {
+    weekly: days.map((day) => ({ day, start, end })),
+    slot_duration: slotDuration,
+    breaks
+  };
+}
+
+// Returns an error message for an invalid schedule payload, or null
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'Schedule must be an object';
+  }
+
+  if (schedule.slot_duration !== undefined) {
+    const duration = Number(schedule.slot_duration);
+    if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+      return 'Slot duration must be a whole number of minutes between 5 and 480';
+    }
+  }
+
+  const checkRanges = (ranges, label, dayRequired) => {
+    if (ranges === undefined) return null;
+    if (!Array.isArray(ranges)) return `${label} must be an array`;
+    for (const range of ranges) {
+      if (!range || typeof range !== 'object' || Array.isArray(range)) {
+        return `${label} entries must be objects`;
+      }
+      const hasDay = range.day !== undefined && range.day !== null;
+      if ((dayRequired || hasDay) && parseDay(range.day) === -1) {
+        return `${label} entries need a valid day`;
+      }
+      const start = normalizeTime(range.start);
+      const end = normalizeTime(range.end);
+      if (!start || !end) {
+        return `${label} entries need start and end times in HH:MM format`;
+      }
+      if (toMinutes(start) >= toMinutes(end)) {
+        return `${label} entries must end after they start`;
+      }
+    }
+    return null;
+  };
+
+  return checkRanges(schedule.weekly, 'Weekly schedule', true) || checkRanges(schedule.breaks, 'Breaks', false);
+}
+
+// Convert a validated payload into the shape stored on the Doctor model
+function normalizeSchedule(schedule) {
+  const normalizeRange = (range) => ({
+    ...range,
+    day: range.day !== undefined && range.day !== null ? parseDay(range.day) : undefined,
+    start: normalizeTime(range.start),
+    end: normalizeTime(range.end)
+  });
+
+  return {
+    weekly: (schedule.weekly || []).map(normalizeRange),
+    slot_duration: schedule.slot_duration !== undefined ? Number(schedule.slot_duration) : DEFAULT_SLOT_DURATION,
+    breaks: (schedule.breaks || []).map(normalizeRange)
+  };
+}
+
+// Doctor-specific and hospital-wide exceptions overlapping a date range
+async function getExceptions(doctorId, from, to) {
+  return ScheduleException.find({
+    $or: [{ doctor_id: doctorId }, { doctor_id: null }],
+    start_date: { $lte: to },
+    end_date: { $gte: from }
+  });
+}
+
+// Whether an exception covers [start, end) minutes on a date; full-day if no times are set
+function isBlockedByException(exception, date, start, end) {
+  if (date < exception.start_date || date > exception.end_date) return false;
+  if (!exception.start_time || !exception.end_time) return true;
+  return start < toMinutes(exception.end_time) && end > toMinutes(exception.start_time);
+}
+
+// All slot start times on a date per the weekly schedule and exceptions, ignoring bookings
+function getDaySlots(doctor, date, exceptions = []) {
+  const parsed = parseDate(date);
+  if (!parsed || doctor.status !== 'active') return [];
+
+  const day = parsed.getUTCDay();
+  const { weekly, slot_duration: duration, breaks } = getSchedule(doctor);
+
+  const dayBreaks = breaks
+    .filter((b) => b.day === undefined || b.day === null || b.day === day)
+    .map((b) => [toMinutes(b.start), toMinutes(b.end)]);
+
+  const slots = new Set();
+  for (const range of weekly.filter((r) => r.day === day)) {
+    const end = toMinutes(range.end);
+    for (let start = toMinutes(range.start); start + duration <= end; start += duration) {
+      const overlapsBreak = dayBreaks.some(([bStart, bEnd]) => start < bEnd && start + duration > bStart);
+      const blocked = exceptions.some((e) => isBlockedByException(e, date, start, start + duration));
+      if (!overlapsBreak && !blocked) slots.add(start);
+    }
+  }
+
+  return [...slots].sort((a, b) => a - b).map(toTime);
+}
+
+async function isScheduledSlot(doctor, date, time) {
+  const normalized = normalizeTime(time);
+  if (!normalized || !parseDate(date)) return false;
+  const exceptions = await getExceptions(doctor._id, date, date);
+  return getDaySlots(doctor, date, exceptions).includes(normalized);
+}
+
+// Map of date -> Set of taken times: non-cancelled appointments and slots held for waitlist offers
+async function getBookedTimes(doctorId, from, to, options = {}) {
+  const query = {
+    doctor_id: doctorId,
+    appointment_date: { $gte: from, $lte: to },
+    status: { $ne: 'cancelled' }
+  };
+  if (options.excludeAppointmentId) {
+    query._id = { $ne: options.excludeAppointmentId };
+  }
+
+  const booked = new Map();
+  const add = (date, time) => {
+    if (!booked.has(date)) {
+      booked.set(date, new Set());
+    }
+    booked.get(date).add(normalizeTime(time));
+  };
+
+  const appointments = await Appointment.find(query).select('appointment_date appointment_time');
+  for (const appointment of appointments) {
+    add(appointment.appointment_date, appointment.appointment_time);
+  }
+
+  const now = new Date();
+  const heldQuery = { doctor_id: doctorId, status: 'offered' };
+  if (options.excludeWaitlistEntryId) {
+    heldQuery._id = { $ne: options.excludeWaitlistEntryId };
+  }
+  const held = await WaitlistEntry.find(heldQuery).select('offers');
+  for (const entry of held) {
+    for (const offer of entry.offers) {
+      if (offer.status === 'pending' && offer.expires_at > now &&
+          offer.appointment_date >= from && offer.appointment_date <= to) {
+        add(offer.appointment_date, offer.appointment_time);
+      }
+    }
+  }
+
+  return booked;
+}
+
+// Free slots per day between two dates (inclusive)
+async function getAvailableSlots(doctor, from, to, options = {}) {
+  const booked = await getBookedTimes(doctor._id, from, to, options);
+  const exceptions = await getExceptions(doctor._id, from, to);
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const taken = booked.get(date) || new Set();
+    days.push({
+      date,
+      slots: getDaySlots(doctor, date, exceptions).filter((time) => !taken.has(time))
+    });
+  }
+  return days;
+}
+
+async function isSlotAvailable(doctor, date, time, options = {}) {
+  const normalized = normalizeTime(time);
+  if (!normalized || !parseDate(date)) return false;
+  const [day] = await getAvailableSlots(doctor, date, date, options);
+  return day.slots.includes(normalized);
+}
+
+// Duplicate key error raised by the unique active slot index on Appointment
+function isSlotConflictError(error) {
+  if (!error || error.code !== 11000) return false;
+  return error.keyPattern ? !!error.keyPattern.appointment_time : /unique_active_doctor_slot/.test(error.message);
+}
+
+module.exports = {
+  DAY_NAMES,
+  MAX_RANGE_DAYS,
+  normalizeTime,
+  toMinutes,
+  parseDate,
+  addDays,
+  today,
+  slotStart,
+  getSchedule,
+  validateSchedule,
+  normalizeSchedule,
+  getExceptions,
+  isBlockedByException,
+  getDaySlots,
+  isScheduledSlot,
+  getAvailableSlots,
+  isSlotAvailable,
+  isSlotConflictError
+};
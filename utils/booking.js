@@ -0,0 +1,122 @@
+const Doctor = require('../models/Doctor');
+const availability = require('./availability');
+const appointmentStatus = require('./appointmentStatus');
+const waitlist = require('./waitlist');
+
+// Customer reschedule rules
+const RESCHEDULE_MIN_NOTICE_HOURS = Number(process.env.RESCHEDULE_MIN_NOTICE_HOURS || 24);
+const RESCHEDULE_MAX_PER_BOOKING = Number(process.env.RESCHEDULE_MAX_PER_BOOKING || 2);
+
+// Customer cancellation cut-off for doctors without their own setting
+const DEFAULT_CANCELLATION_CUTOFF_HOURS = Number(process.env.CANCELLATION_CUTOFF_HOURS || 0);
+
+// Generate unique appointment ID
+function generateAppointmentId() {
+  return 'APT' + Date.now().toString().slice(-8);
+}
+
+// Hours from now until a local date/time slot
+function hoursUntil(date, time) {
+  return (availability.slotStart(date, time).getTime() - Date.now()) / (60 * 60 * 1000);
+}
+
+// Validate a move to a new slot and apply it, recording it in reschedule_history.
+// Returns { status, error } if the move is not allowed; the caller saves the appointment.
+async function rescheduleAppointment(appointment, { date, time, reason }, user) {
+  const newTime = availability.normalizeTime(time);
+  if (!availability.parseDate(date) || !newTime) {
+    return { status: 400, error: 'Appointment date must be YYYY-MM-DD and time HH:MM' };
+  }
+
+  const currentTime = availability.normalizeTime(appointment.appointment_time) || appointment.appointment_time;
+  if (date === appointment.appointment_date && newTime === currentTime) {
+    return { status: 400, error: 'New slot is the same as the current one' };
+  }
+
+  if (!appointmentStatus.UPCOMING_STATUSES.includes(appointment.status)) {
+    return { status: 409, error: 'Only upcoming appointments can be rescheduled' };
+  }
+
+  if (user.role === 'customer') {
+    const customerReschedules = appointment.reschedule_history.filter((entry) => entry.role === 'customer').length;
+    if (customerReschedules >= RESCHEDULE_MAX_PER_BOOKING) {
+      return { status: 403, error: `An appointment can only be rescheduled ${RESCHEDULE_MAX_PER_BOOKING} times` };
+    }
+    if (hoursUntil(appointment.appointment_date, currentTime) < RESCHEDULE_MIN_NOTICE_HOURS) {
+      return { status: 403, error: `Appointments can only be rescheduled at least ${RESCHEDULE_MIN_NOTICE_HOURS} hours in advance` };
+    }
+    if (hoursUntil(date, newTime) < RESCHEDULE_MIN_NOTICE_HOURS) {
+      return { status: 400, error: `New slot must be at least ${RESCHEDULE_MIN_NOTICE_HOURS} hours from now` };
+    }
+  } else if (hoursUntil(date, newTime) < 0) {
+    return { status: 400, error: 'New slot cannot be in the past' };
+  }
+
+  const doctor = await Doctor.findById(appointment.doctor_id);
+  if (!doctor) {
+    return { status: 404, error: 'Doctor not found' };
+  }
+
+  if (!(await availability.isScheduledSlot(doctor, date, newTime))) {
+    return { status: 400, error: 'Selected time is not within the doctor\'s available slots' };
+  }
+  if (!(await availability.isSlotAvailable(doctor, date, newTime, { excludeAppointmentId: appointment._id }))) {
+    return { status: 409, error: 'Time slot already booked' };
+  }
+
+  appointment.reschedule_history.push({
+    from_date: appointment.appointment_date,
+    from_time: currentTime,
+    to_date: date,
+    to_time: newTime,
+    rescheduled_by: user.id,
+    role: user.role,
+    reason
+  });
+  appointment.appointment_date = date;
+  appointment.appointment_time = newTime;
+  appointment.needs_reschedule = false;
+  appointment.schedule_exception_id = null;
+
+  return null;
+}
+
+// Offer the slot an appointment just gave up to the waitlist
+function releaseSlot(doctorId, date, time) {
+  waitlist.notifySlotFreed(doctorId, date, time);
+}
+
+// Cancel an appointment, keeping it with who cancelled it, when and why.
+// Returns { status, error } if cancelling is not allowed; the caller saves the appointment.
+async function cancelAppointment(appointment, user, reason) {
+  if (user.role === 'customer' && appointmentStatus.UPCOMING_STATUSES.includes(appointment.status)) {
+    const doctor = await Doctor.findById(appointment.doctor_id);
+    const cutoff = doctor && doctor.cancellation_cutoff_hours != null
+      ? doctor.cancellation_cutoff_hours
+      : DEFAULT_CANCELLATION_CUTOFF_HOURS;
+    const time = availability.normalizeTime(appointment.appointment_time) || appointment.appointment_time;
+    if (cutoff > 0 && hoursUntil(appointment.appointment_date, time) < cutoff) {
+      return { status: 403, error: `Appointments with this doctor can only be cancelled at least ${cutoff} hours in advance` };
+    }
+  }
+
+  const rejection = appointmentStatus.applyStatusChange(appointment, 'cancelled', user, reason);
+  if (rejection) return rejection;
+
+  appointment.cancellation = {
+    reason,
+    cancelled_by: user.id,
+    role: user.role,
+    cancelled_at: appointment.status_timestamps.cancelled
+  };
+
+  return null;
+}
+
+module.exports = {
+  generateAppointmentId,
+  hoursUntil,
+  rescheduleAppointment,
+  cancelAppointment,
+  releaseSlot
+};
@@ -0,0 +1,120 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Referral = require('../models/Referral');
+const BreakGlassAccess = require('../models/BreakGlassAccess');
+const audit = require('./audit');
+
+// How long an emergency "break-the-glass" grant lasts
+const BREAK_GLASS_MINUTES = Number(process.env.BREAK_GLASS_MINUTES || 60);
+
+// A doctor's care team is their department (or just themselves without one), plus open
+// referrals addressed to them or their department. Doctors can book any patient and check
+// their own appointments in, so an appointment a doctor booked never counts on its own.
+async function careContext(doctorId) {
+  const doctor = await Doctor.findById(doctorId).select('department');
+  if (!doctor) return null;
+
+  const teamIds = doctor.department
+    ? await Doctor.distinct('_id', { department: doctor.department })
+    : [doctor._id];
+
+  const referralTargets = [{ to_doctor_id: doctor._id }];
+  if (doctor.department) {
+    referralTargets.push({ to_department: doctor.department });
+  }
+
+  return {
+    appointmentMatch: {
+      doctor_id: { $in: teamIds },
+      status: { $ne: 'cancelled' },
+      'status_history.0.role': { $ne: 'doctor' }
+    },
+    referralMatch: { status: 'open', $or: referralTargets }
+  };
+}
+
+async function hasCareRelationship(doctorId, patientId) {
+  const context = await careContext(doctorId);
+  if (!context) return false;
+
+  const [appointment, referral] = await Promise.all([
+    Appointment.exists({ ...context.appointmentMatch, patient_id: patientId }),
+    Referral.exists({ ...context.referralMatch, patient_id: patientId })
+  ]);
+  return !!(appointment || referral);
+}
+
+// Every patient the doctor currently has a care relationship with
+async function carePatientIds(doctorId) {
+  const context = await careContext(doctorId);
+  if (!context) return [];
+
+  const [fromAppointments, fromReferrals] = await Promise.all([
+    Appointment.distinct('patient_id', context.appointmentMatch),
+    Referral.distinct('patient_id', context.referralMatch)
+  ]);
+  return [...fromAppointments, ...fromReferrals];
+}
+
+// Open an emergency grant to a patient's data; the reason is kept in the audit trail
+async function breakGlass(req, patientId, reason) {
+  const grant = await BreakGlassAccess.create({
+    user_id: req.user.id,
+    patient_id: patientId,
+    reason,
+    expires_at: new Date(Date.now() + BREAK_GLASS_MINUTES * 60 * 1000)
+  });
+
+  await audit.record('care.break_glass', {
+    req,
+    resource_type: 'patient',
+    resource_id: patientId,
+    details: { reason, expires_at: grant.expires_at }
+  });
+
+  return grant;
+}
+
+// Whether the user holds a live grant for this patient; each use is audited
+async function useBreakGlass(req, patientId, resource) {
+  const grant = await BreakGlassAccess.findOne({
+    user_id: req.user.id,
+    patient_id: patientId,
+    expires_at: { $gt: new Date() }
+  });
+  if (!grant) return false;
+
+  await audit.record('care.break_glass_access', {
+    req,
+    resource_type: 'patient',
+    resource_id: patientId,
+    details: { resource, grant_id: grant._id, method: req.method, path: req.originalUrl }
+  });
+  return true;
+}
+
+// Patients the user holds live grants for, auditing the listing that uses them
+async function breakGlassPatientIds(req, resource) {
+  const patientIds = await BreakGlassAccess.distinct('patient_id', {
+    user_id: req.user.id,
+    expires_at: { $gt: new Date() }
+  });
+
+  if (patientIds.length > 0) {
+    await audit.record('care.break_glass_access', {
+      req,
+      resource_type: 'patient',
+      details: { resource, patient_ids: patientIds, method: req.method, path: req.originalUrl }
+    });
+  }
+  return patientIds;
+}
+
+module.exports = {
+  BREAK_GLASS_MINUTES,
+  hasCareRelationship,
+  carePatientIds,
+  breakGlass,
+  useBreakGlass,
+  breakGlassPatientIds
+};
@@ -0,0 +1,220 @@
+const Prescription = require('../models/Prescription');
+const Dispensation = require('../models/Dispensation');
+const Medicine = require('../models/Medicine');
+const stock = require('./stock');
+
+const DISPENSABLE_STATUSES = ['active', 'partially_dispensed'];
+const CONCURRENT_CHANGE = 'Prescription was changed by someone else, reload and try again';
+
+function remainingOf(item) {
+  return item.quantity - (item.dispensed_quantity || 0);
+}
+
+// Check requested lines ({ item_id, quantity }) against the prescription.
+// A line without a quantity takes what is left of it; no lines at all fills everything outstanding.
+function planLines(prescription, requested) {
+  if (requested === undefined) {
+    const lines = prescription.items
+      .filter((item) => remainingOf(item) > 0)
+      .map((item) => ({ item, quantity: remainingOf(item) }));
+    if (lines.length === 0) {
+      return { rejection: { status: 409, error: 'Nothing left to dispense on this prescription' } };
+    }
+    return { lines };
+  }
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { rejection: { status: 400, error: 'Items must be a non-empty list' } };
+  }
+
+  const lines = [];
+  const seen = new Set();
+  for (const line of requested) {
+    const itemId = line && String(line.item_id);
+    const item = prescription.items.find((candidate) => candidate._id.toString() === itemId);
+    if (!item) {
+      return { rejection: { status: 400, error: `Prescription item ${itemId} not found` } };
+    }
+    if (seen.has(itemId)) {
+      return { rejection: { status: 400, error: 'Each prescription item can only be listed once' } };
+    }
+    seen.add(itemId);
+
+    const quantity = line.quantity === undefined ? remainingOf(item) : Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { rejection: { status: 400, error: `Quantity for ${item.medicine_name} must be a positive whole number` } };
+    }
+    if (quantity > remainingOf(item)) {
+      return { rejection: { status: 400, error: `Only ${remainingOf(item)} of ${item.medicine_name} left to dispense` } };
+    }
+
+    lines.push({ item, quantity });
+  }
+  return { lines };
+}
+
+// $inc each line's dispensed quantity, with array filters picking out the lines
+function lineIncrements(lines, sign) {
+  const inc = {};
+  const arrayFilters = [];
+  lines.forEach(({ item, quantity }, index) => {
+    inc[`items.$[line${index}].dispensed_quantity`] = sign * quantity;
+    arrayFilters.push({ [`line${index}._id`]: item._id });
+  });
+  return { inc, arrayFilters };
+}
+
+// Matches only while each item's dispensed quantity is still what we read
+function unchangedItems(items) {
+  return {
+    $all: items.map((item) => ({
+      $elemMatch: { _id: item._id, dispensed_quantity: item.dispensed_quantity || { $in: [0, null] } }
+    }))
+  };
+}
+
+// The status the dispensed quantities call for
+function statusFor(prescription) {
+  if (prescription.items.every((item) => remainingOf(item) <= 0)) return 'dispensed';
+  return prescription.items.some((item) => (item.dispensed_quantity || 0) > 0) ? 'partially_dispensed' : 'active';
+}
+
+// Set the status from the quantities as they now stand. If another dispense changes them in
+// between, the update misses and the status is worked out again from a fresh read.
+async function settleStatus(prescription) {
+  let current = prescription;
+  while (current && [...DISPENSABLE_STATUSES, 'dispensed'].includes(current.status)) {
+    const status = statusFor(current);
+    if (status === current.status) return current;
+
+    const settled = await Prescription.findOneAndUpdate(
+      { _id: current._id, status: current.status, items: unchangedItems(current.items) },
+      { $set: { status, updated_at: Date.now() } },
+      { new: true }
+    );
+    if (settled) return settled;
+    current = await Prescription.findById(current._id);
+  }
+  return current;
+}
+
+// Record the lines as dispensed, but only if nobody else has dispensed them since we loaded
+// the prescription; two pharmacists can never fill the same quantity
+async function claimLines(prescription, lines) {
+  const { inc, arrayFilters } = lineIncrements(lines, 1);
+
+  const claimed = await Prescription.findOneAndUpdate(
+    { _id: prescription._id, status: { $in: DISPENSABLE_STATUSES }, items: unchangedItems(lines.map(({ item }) => item)) },
+    { $inc: inc, $set: { updated_at: Date.now() } },
+    { new: true, arrayFilters }
+  );
+  return claimed && settleStatus(claimed);
+}
+
+// Undo a claim when dispensing could not be finished
+async function releaseLines(prescription, lines) {
+  const { inc, arrayFilters } = lineIncrements(lines, -1);
+  const released = await Prescription.findOneAndUpdate(
+    { _id: prescription._id },
+    { $inc: inc, $set: { updated_at: Date.now() } },
+    { new: true, arrayFilters }
+  );
+  await settleStatus(released);
+}
+
+// Fill a prescription fully or partly, taking the medicine out of unexpired batches first expiry
+// first. Never dispenses more than is on hand. Returns { rejection } or
+// { prescription, dispensation, stockChanges: [{ medicine, batches, previous_quantity }] }.
+async function dispense(prescription, requested, user, notes) {
+  if (!DISPENSABLE_STATUSES.includes(prescription.status)) {
+    return { rejection: { status: 409, error: `Cannot dispense a ${prescription.status.replace('_', ' ')} prescription` } };
+  }
+
+  const { lines, rejection } = planLines(prescription, requested);
+  if (rejection) {
+    return { rejection };
+  }
+
+  const known = await Medicine.distinct('_id', { _id: { $in: lines.map(({ item }) => item.medicine_id) } });
+  const knownIds = new Set(known.map((id) => id.toString()));
+  const missing = lines.find(({ item }) => !knownIds.has(item.medicine_id.toString()));
+  if (missing) {
+    return { rejection: { status: 409, error: `${missing.item.medicine_name} is no longer in the catalog` } };
+  }
+
+  const claimed = await claimLines(prescription, lines);
+  if (!claimed) {
+    return { rejection: { status: 409, error: CONCURRENT_CHANGE } };
+  }
+
+  const movement = {
+    type: 'dispense',
+    reason: `Prescription ${prescription.prescription_id}`,
+    user,
+    reference_type: 'Prescription',
+    reference_id: prescription._id
+  };
+
+  // Anything short of a recorded dispensation, a thrown error included, puts back the stock
+  // taken so far and the claimed quantities
+  const stockChanges = [];
+  let shortLine = null;
+  let dispensation = null;
+  try {
+    for (const line of lines) {
+      const taken = await stock.takeStock(line.item.medicine_id, line.quantity, movement);
+      if (!taken) {
+        shortLine = line;
+        break;
+      }
+      line.batches = taken.batches;
+      stockChanges.push({
+        medicine: taken.medicine,
+        batches: taken.batches,
+        previous_quantity: taken.medicine.stock_quantity + line.quantity
+      });
+    }
+
+    if (!shortLine) {
+      dispensation = await Dispensation.create({
+        prescription_id: prescription._id,
+        patient_id: prescription.patient_id,
+        items: lines.map(({ item, quantity, batches }) => ({
+          item_id: item._id,
+          medicine_id: item.medicine_id,
+          medicine_name: item.medicine_name,
+          quantity,
+          batches
+        })),
+        notes,
+        dispensed_by: user.id,
+        dispensed_by_role: user.role
+      });
+    }
+  } finally {
+    if (!dispensation) {
+      for (const change of stockChanges) {
+        await stock.returnStock(change.medicine._id, change.batches, {
+          ...movement,
+          type: 'return',
+          reason: `Dispensing of prescription ${prescription.prescription_id} rolled back`
+        });
+      }
+      await releaseLines(prescription, lines);
+    }
+  }
+
+  if (shortLine) {
+    const current = await stock.syncMedicine(shortLine.item.medicine_id);
+    const onHand = current ? current.stock_quantity : 0;
+    return { rejection: { status: 409, error: `Only ${onHand} unexpired ${shortLine.item.medicine_name} on hand` } };
+  }
+
+  return { prescription: claimed, dispensation, stockChanges };
+}
+
+module.exports = {
+  DISPENSABLE_STATUSES,
+  remainingOf,
+  dispense
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file of { interactions: [{ ingredients: [a, b], severity, description }],
+// allergy_groups: { group: [ingredient, ...] } }; swap in a local formulary's table here
+const INTERACTIONS_FILE = process.env.DRUG_INTERACTIONS_FILE || path.join(__dirname, '../database/drugInteractions.json');
+
+// Least to most severe
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// Allergy entries that mean the patient has none
+const NO_ALLERGIES = ['none', 'nil', 'nka', 'nkda', 'no known allergies', 'no known drug allergies'];
+
+function normalize(name) {
+  return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// A list given as an array or as comma, semicolon or newline separated text
+function parseList(value) {
+  if (value === undefined || value === null) return [];
+  const entries = Array.isArray(value) ? value : String(value).split(/[,;\n]/);
+  return [...new Set(entries.map(normalize).filter(Boolean))];
+}
+
+function pairKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Read and check the table; a missing file only disables interaction and group checks
+function loadTable(file = INTERACTIONS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(`Drug interaction table ${file} is not valid JSON: ${error.message}`);
+    }
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Cannot read drug interaction table ${file}: ${error.message}`);
+    }
+    console.warn(`Drug interaction table ${file} not found; only direct allergy matches will be checked`);
+    data = {};
+  }
+
+  if (!isObject(data)) {
+    throw new Error(`Drug interaction table ${file} must be an object with interactions and allergy_groups`);
+  }
+  if (data.interactions !== undefined && !Array.isArray(data.interactions)) {
+    throw new Error(`Interactions in ${file} must be a list`);
+  }
+  if (data.allergy_groups !== undefined && !isObject(data.allergy_groups)) {
+    throw new Error(`Allergy groups in ${file} must be an object of ingredient lists`);
+  }
+
+  const interactions = new Map();
+  (data.interactions || []).forEach((entry, index) => {
+    const ingredients = isObject(entry) ? parseList(entry.ingredients) : [];
+    if (ingredients.length !== 2 || !SEVERITIES.includes(entry.severity)) {
+      throw new Error(`Drug interaction ${index + 1} in ${file} needs two ingredients and a severity of ${SEVERITIES.join(', ')}`);
+    }
+    interactions.set(pairKey(...ingredients), { ingredients, severity: entry.severity, description: entry.description });
+  });
+
+  const allergyGroups = new Map();
+  for (const [group, ingredients] of Object.entries(data.allergy_groups || {})) {
+    if (!Array.isArray(ingredients) && typeof ingredients !== 'string') {
+      throw new Error(`Allergy group ${group} in ${file} must list its ingredients`);
+    }
+    allergyGroups.set(normalize(group), parseList(ingredients));
+  }
+
+  // Every name the table knows, for finding ingredients in a medicine's name
+  const knownIngredients = new Set([
+    ...[...interactions.values()].flatMap((interaction) => interaction.ingredients),
+    ...[...allergyGroups.entries()].flatMap(([group, ingredients]) => [group, ...ingredients])
+  ]);
+
+  return { interactions, allergyGroups, knownIngredients };
+}
+
+let table = null;
+
+// Load the table, or another file in its place. The server calls this at startup so a broken
+// table stops it with the reason before it takes requests; otherwise the first check loads it.
+function loadInteractionTable(file) {
+  table = loadTable(file);
+  return table;
+}
+
+function currentTable() {
+  return table || loadInteractionTable();
+}
+
+// Whether a medicine's name mentions a term as whole words, e.g. "Amoxicillin 250mg"
+function nameMentions(medicine, term) {
+  const words = ` ${normalize(medicine.name).replace(/[^a-z0-9]+/g, ' ')} `;
+  return words.includes(` ${term.replace(/[^a-z0-9]+/g, ' ')} `);
+}
+
+// A medicine's ingredients; without a list, the known ingredients its name mentions.
+// Empty when they are unknown.
+function ingredientsOf(medicine) {
+  const ingredients = parseList(medicine.active_ingredients);
+  if (ingredients.length > 0) return ingredients;
+  return [...currentTable().knownIngredients].filter((ingredient) => nameMentions(medicine, ingredient));
+}
+
+function hasListedIngredients(medicine) {
+  return parseList(medicine.active_ingredients).length > 0;
+}
+
+// Checks on a medicine whose ingredients are not recorded cannot be trusted, so say so
+function unknownIngredientsWarning(medicine) {
+  if (ingredientsOf(medicine).length > 0) return null;
+  return {
+    key: `ingredients_unknown:${medicine._id}`,
+    medicine_id: medicine._id,
+    type: 'ingredients_unknown',
+    severity: 'major',
+    ingredients: [],
+    message: `Active ingredients of ${medicine.name} are not recorded; allergy and interaction checks could not be completed`
+  };
+}
+
+// Ingredients an allergy entry covers: the entry itself plus its group ("penicillins" too)
+function allergyCovers(allergy) {
+  const { allergyGroups } = currentTable();
+  const group = allergyGroups.get(allergy) || allergyGroups.get(allergy.replace(/s$/, '')) || [];
+  return new Set([allergy, ...group]);
+}
+
+// Allergy warnings for a medicine against the patient's free-text allergies
+function allergyWarnings(allergies, medicine) {
+  const warnings = [];
+
+  for (const allergy of parseList(allergies).filter((entry) => !NO_ALLERGIES.includes(entry))) {
+    // Without an ingredient list, an allergy the table does not know can still be named outright
+    const ingredients = ingredientsOf(medicine);
+    if (!hasListedIngredients(medicine) && !ingredients.includes(allergy) && nameMentions(medicine, allergy)) {
+      ingredients.push(allergy);
+    }
+
+    const covered = allergyCovers(allergy);
+    for (const ingredient of ingredients.filter((candidate) => covered.has(candidate))) {
+      warnings.push({
+        key: `allergy:${medicine._id}:${ingredient}`,
+        medicine_id: medicine._id,
+        type: 'allergy',
+        severity: 'contraindicated',
+        ingredients: [ingredient],
+        message: ingredient === allergy
+          ? `Patient is allergic to ${allergy}, an ingredient of ${medicine.name}`
+          : `${medicine.name} contains ${ingredient}; patient is allergic to ${allergy}`
+      });
+    }
+  }
+  return warnings;
+}
+
+// Interaction warnings between two medicines; `other` may come from another prescription
+function interactionWarnings(medicine, other, otherPrescription) {
+  const { interactions } = currentTable();
+  const warnings = [];
+
+  for (const a of ingredientsOf(medicine)) {
+    for (const b of ingredientsOf(other)) {
+      const interaction = interactions.get(pairKey(a, b));
+      if (!interaction) continue;
+
+      const source = otherPrescription ? ` on prescription ${otherPrescription.prescription_id}` : '';
+      warnings.push({
+        key: `interaction:${pairKey(a, b)}:${medicine._id}:${other._id}:${otherPrescription ? otherPrescription._id : ''}`,
+        medicine_id: medicine._id,
+        type: 'interaction',
+        severity: interaction.severity,
+        ingredients: [a, b],
+        interacting_medicine_id: other._id,
+        interacting_prescription_id: otherPrescription ? otherPrescription._id : undefined,
+        message: `${medicine.name} interacts with ${other.name}${source}${interaction.description ? `: ${interaction.description}` : ''}`
+      });
+    }
+  }
+  return warnings;
+}
+
+function bySeverity(a, b) {
+  return SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity);
+}
+
+module.exports = {
+  SEVERITIES,
+  loadInteractionTable,
+  parseList,
+  unknownIngredientsWarning,
+  allergyWarnings,
+  interactionWarnings,
+  bySeverity
+};
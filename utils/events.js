@@ -0,0 +1,193 @@
+const Appointment = require('../models/Appointment');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const permissions = require('./permissions');
+
+// Connected Server-Sent Events clients:
+// { res, session_id, heartbeat, user: { id, role, doctor_id, patient_id } }
+const clients = new Set();
+const HEARTBEAT_MS = 25 * 1000;
+let nextEventId = 1;
+
+function idOf(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+// Admins see everything; other users see events addressed to their role or their own doctor/patient profile
+function canReceive(user, audience) {
+  if (user.role === 'admin') return true;
+  if (audience.roles && audience.roles.includes(user.role)) return true;
+  if (user.role === 'doctor' && user.doctor_id && (audience.doctor_ids || []).includes(user.doctor_id)) return true;
+  if (user.role === 'customer' && user.patient_id && (audience.patient_ids || []).includes(user.patient_id)) return true;
+  return false;
+}
+
+function write(res, id, type, data) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// A stream outlives the token it was opened with, so its session and role are re-checked
+// on every heartbeat
+async function isStillAuthorized(client) {
+  const [user, session] = await Promise.all([
+    User.findById(client.user.id).select('role'),
+    Session.findById(client.session_id).select('revoked_at expires_at')
+  ]);
+  return !!user && user.role === client.user.role &&
+    !!session && !session.revoked_at && session.expires_at > new Date();
+}
+
+function closeClient(client) {
+  clearInterval(client.heartbeat);
+  clients.delete(client);
+  client.res.end();
+}
+
+// Register an SSE response for a session; removed again when the connection closes
+function addClient(res, user, sessionId) {
+  const client = {
+    res,
+    session_id: idOf(sessionId),
+    user: {
+      id: idOf(user.id),
+      role: user.role,
+      doctor_id: idOf(user.doctor_id),
+      patient_id: idOf(user.patient_id)
+    }
+  };
+  clients.add(client);
+
+  client.heartbeat = setInterval(() => {
+    isStillAuthorized(client)
+      .then((authorized) => (authorized ? res.write(': heartbeat\n\n') : closeClient(client)))
+      .catch((error) => console.error('Event stream check error:', error));
+  }, HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+  });
+
+  write(res, nextEventId++, 'connected', { role: client.user.role });
+}
+
+// Close the streams of a revoked session, or of every session of a user but one
+function disconnect({ session_id, user_id, except_session_id }) {
+  for (const client of clients) {
+    const matches = session_id
+      ? client.session_id === idOf(session_id)
+      : client.user.id === idOf(user_id) && client.session_id !== idOf(except_session_id);
+    if (matches) {
+      closeClient(client);
+    }
+  }
+}
+
+// Push an event to every connected client allowed to see it
+function publish(type, data, audience = {}) {
+  const normalized = {
+    roles: audience.roles || [],
+    doctor_ids: (audience.doctor_ids || []).map(idOf).filter(Boolean),
+    patient_ids: (audience.patient_ids || []).map(idOf).filter(Boolean)
+  };
+  const id = nextEventId++;
+  const payload = { ...data, emitted_at: new Date() };
+
+  for (const client of clients) {
+    if (canReceive(client.user, normalized)) {
+      write(client.res, id, type, payload);
+    }
+  }
+}
+
+// Appointment events go to the doctor and patient involved, and staff who see all appointments
+function publishAppointment(type, appointment, extra = {}) {
+  publish(type, {
+    appointment_id: appointment._id,
+    appointment_code: appointment.appointment_id,
+    doctor_id: idOf(appointment.doctor_id),
+    patient_id: idOf(appointment.patient_id),
+    appointment_date: appointment.appointment_date,
+    appointment_time: appointment.appointment_time,
+    status: appointment.status,
+    ...extra
+  }, {
+    roles: permissions.rolesWith('appointments', 'read', 'all'),
+    doctor_ids: [appointment.doctor_id],
+    patient_ids: [appointment.patient_id]
+  });
+}
+
+// Record events go to the patient, the authoring doctor, any doctor the patient has seen
+// and staff who can read every record
+async function publishMedicalRecord(type, record, extra = {}) {
+  const doctorIds = await Appointment.distinct('doctor_id', { patient_id: idOf(record.patient_id) });
+  publish(type, {
+    record_id: record._id,
+    record_code: record.record_id,
+    patient_id: idOf(record.patient_id),
+    doctor_id: idOf(record.doctor_id),
+    visit_date: record.visit_date,
+    version: record.version,
+    status: record.status,
+    ...extra
+  }, {
+    roles: permissions.rolesWith('medical_records', 'read', 'all'),
+    doctor_ids: [record.doctor_id, ...doctorIds],
+    patient_ids: [record.patient_id]
+  });
+}
+
+// Prescription events go to the patient, the prescriber and staff who see every prescription
+function publishPrescription(type, prescription) {
+  publish(type, {
+    prescription_id: prescription._id,
+    prescription_code: prescription.prescription_id,
+    record_id: idOf(prescription.record_id),
+    patient_id: idOf(prescription.patient_id),
+    doctor_id: idOf(prescription.doctor_id),
+    status: prescription.status
+  }, {
+    roles: permissions.rolesWith('prescriptions', 'read', 'all'),
+    doctor_ids: [prescription.doctor_id],
+    patient_ids: [prescription.patient_id]
+  });
+}
+
+// Stock changes go to staff who manage the pharmacy
+function publishStock(type, medicine, previousQuantity) {
+  publish(type, {
+    medicine_id: medicine._id,
+    medicine_code: medicine.medicine_id,
+    name: medicine.name,
+    previous_quantity: previousQuantity,
+    stock_quantity: medicine.stock_quantity,
+    status: medicine.status
+  }, {
+    roles: permissions.rolesWith('medicines', 'update')
+  });
+}
+
+// Event hooks must never fail the request that triggered them
+function safely(fn) {
+  return (...args) => {
+    try {
+      const result = fn(...args);
+      if (result && typeof result.catch === 'function') {
+        result.catch((error) => console.error('Event publish error:', error));
+      }
+    } catch (error) {
+      console.error('Event publish error:', error);
+    }
+  };
+}
+
+module.exports = {
+  addClient,
+  disconnect,
+  publish: safely(publish),
+  publishAppointment: safely(publishAppointment),
+  publishMedicalRecord: safely(publishMedicalRecord),
+  publishPrescription: safely(publishPrescription),
+  publishStock: safely(publishStock)
+};
@@ -0,0 +1,280 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const audit = require('./audit');
+
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES || 5);
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES || 20);
+const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15);
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const DELAY_BASE_SECONDS = Number(process.env.LOGIN_DELAY_BASE_SECONDS || 1);
+const DELAY_MAX_SECONDS = Number(process.env.LOGIN_DELAY_MAX_SECONDS || 30);
+const AUDIT_AFTER_FAILURES = 3;
+
+// Stores keep one record per key: { key, failures, window_started_at, last_failed_at, next_attempt_at,
+// locked_until, expires_at }. Each change is a single atomic step so parallel attempts each see
+// the others' counts.
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    async get(key) {
+      const record = records.get(key);
+      return record ? { ...record } : null;
+    },
+    // Start a new window if the old one has lapsed or its lockout has been served
+    async resetIfStale(key, windowStartedBefore, now) {
+      const record = records.get(key);
+      if (!record) return;
+      const lapsed = new Date(record.window_started_at).getTime() <= windowStartedBefore.getTime();
+      const served = record.locked_until && new Date(record.locked_until).getTime() <= now.getTime();
+      if (lapsed || served) {
+        records.set(key, { key, failures: 0, window_started_at: now });
+      }
+    },
+    // Count an attempt; returns the record as it was before
+    async increment(key, now) {
+      const previous = records.get(key);
+      records.set(key, {
+        ...(previous || { key, window_started_at: now }),
+        failures: (previous ? previous.failures : 0) + 1,
+        last_failed_at: now
+      });
+      return previous ? { ...previous } : null;
+    },
+    async decrement(key) {
+      const record = records.get(key);
+      if (record && record.failures > 0) record.failures -= 1;
+    },
+    // Move dates forward only, so concurrent updates keep the strictest
+    async extend(key, dates) {
+      const record = records.get(key);
+      if (!record) return;
+      for (const [field, date] of Object.entries(dates)) {
+        if (!record[field] || new Date(record[field]).getTime() < date.getTime()) record[field] = date;
+      }
+    },
+    async remove(key) {
+      return records.delete(key);
+    },
+    async list() {
+      return [...records.values()].map((record) => ({ ...record }));
+    }
+  };
+}
+
+function createMongoStore() {
+  return {
+    async get(key) {
+      return LoginAttempt.findOne({ key }).lean();
+    },
+    async resetIfStale(key, windowStartedBefore, now) {
+      await LoginAttempt.updateOne(
+        { key, $or: [{ window_started_at: { $lte: windowStartedBefore } }, { locked_until: { $lte: now } }] },
+        { $set: { failures: 0, window_started_at: now, next_attempt_at: null, locked_until: null } }
+      );
+    },
+    async increment(key, now) {
+      return LoginAttempt.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { last_failed_at: now }, $setOnInsert: { window_started_at: now } },
+        { upsert: true, new: false }
+      ).lean();
+    },
+    async decrement(key) {
+      await LoginAttempt.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    },
+    async extend(key, dates) {
+      await LoginAttempt.updateOne({ key }, { $max: dates });
+    },
+    async remove(key) {
+      const result = await LoginAttempt.deleteOne({ key });
+      return result.deletedCount > 0;
+    },
+    async list() {
+      return LoginAttempt.find().lean();
+    }
+  };
+}
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'memory' ? createMemoryStore() : createMongoStore();
+
+function setStore(newStore) {
+  store = newStore;
+}
+
+function accountKey(email) {
+  return `account:${String(email || '').trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+function maxFailuresFor(key) {
+  return key.startsWith('ip:') ? MAX_IP_FAILURES : MAX_ACCOUNT_FAILURES;
+}
+
+// No delay for the first failure, then 1s, 2s, 4s ... up to the cap
+function delaySeconds(failures) {
+  if (failures < 2) return 0;
+  return Math.min(DELAY_BASE_SECONDS * 2 ** (failures - 2), DELAY_MAX_SECONDS);
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - now) / 1000));
+}
+
+function lockedOut(record, now) {
+  return {
+    status: 429,
+    error: 'Too many failed login attempts. Please try again later.',
+    retry_after: secondsUntil(record.locked_until, now)
+  };
+}
+
+// Count one attempt against a key and decide whether it may go ahead. The count is taken
+// before the password is checked, so parallel guesses cannot all slip in under the limit.
+async function claimAttempt(key, now) {
+  const current = await store.get(key);
+  if (current && current.locked_until && new Date(current.locked_until).getTime() > now) {
+    return { rejection: lockedOut(current, now) };
+  }
+
+  await store.resetIfStale(key, new Date(now - FAILURE_WINDOW_MINUTES * 60 * 1000), new Date(now));
+  const previous = await store.increment(key, new Date(now));
+  await store.extend(key, { expires_at: new Date(now + FAILURE_WINDOW_MINUTES * 60 * 1000) });
+
+  const failures = previous ? previous.failures : 0;
+  if (previous && previous.locked_until && new Date(previous.locked_until).getTime() > now) {
+    return { counted: true, rejection: lockedOut(previous, now) };
+  }
+  let nextAttemptAt = failures > 0 ? new Date(previous.last_failed_at).getTime() + delaySeconds(failures) * 1000 : 0;
+  if (failures >= maxFailuresFor(key)) {
+    // The limit is used up by attempts still in flight; the lockout follows if they fail
+    nextAttemptAt = Math.max(nextAttemptAt, now + 1000);
+  }
+  if (nextAttemptAt > now) {
+    return {
+      counted: true,
+      rejection: { status: 429, error: 'Please wait before trying to log in again', retry_after: secondsUntil(nextAttemptAt, now) }
+    };
+  }
+  return { counted: true };
+}
+
+// Counts the attempt against the account and the client IP. Returns { status, error,
+// retry_after } if it must be refused, otherwise null; the caller then settles the attempt
+// with recordFailure or releaseAttempt.
+async function checkLogin(email, ip) {
+  const now = Date.now();
+  const claimed = [];
+  for (const key of [accountKey(email), ipKey(ip)]) {
+    const { counted, rejection } = await claimAttempt(key, now);
+    if (counted) claimed.push(key);
+    if (rejection) {
+      // A refused attempt is not a guess, so it does not count
+      for (const claimedKey of claimed) {
+        await store.decrement(claimedKey);
+      }
+      return rejection;
+    }
+  }
+  return null;
+}
+
+// Apply the delay and lockout that follow from an attempt that failed
+async function registerFailure(key, now) {
+  const record = await store.get(key);
+  if (!record) return null;
+
+  const dates = { next_attempt_at: new Date(now + delaySeconds(record.failures) * 1000) };
+  const locked = record.failures >= maxFailuresFor(key);
+  if (locked) {
+    dates.locked_until = new Date(now + LOCKOUT_MINUTES * 60 * 1000);
+  }
+  dates.expires_at = new Date(Math.max(
+    new Date(record.window_started_at).getTime() + FAILURE_WINDOW_MINUTES * 60 * 1000,
+    ...Object.values(dates).map((date) => date.getTime())
+  ));
+
+  await store.extend(key, dates);
+  return { record: { ...record, ...dates }, locked };
+}
+
+// Count a failed login against both the account and the client IP
+async function recordFailure(email, req) {
+  const now = Date.now();
+  for (const key of [accountKey(email), ipKey(req.ip)]) {
+    const result = await registerFailure(key, now);
+    if (!result) continue;
+    const { record, locked } = result;
+
+    if (locked) {
+      await audit.record('auth.lockout', {
+        req,
+        resource_type: 'login',
+        resource_id: key,
+        details: { failures: record.failures, locked_until: record.locked_until }
+      });
+    } else if (record.failures >= AUDIT_AFTER_FAILURES) {
+      await audit.record('auth.login_failed', {
+        req,
+        resource_type: 'login',
+        resource_id: key,
+        details: { failures: record.failures }
+      });
+    }
+  }
+}
+
+// The attempt counted by checkLogin was not a failure, e.g. the right password with a second
+// factor still to come
+async function releaseAttempt(email, ip) {
+  for (const key of [accountKey(email), ipKey(ip)]) {
+    await store.decrement(key);
+  }
+}
+
+// A successful login clears the account's failures; the IP's are left to expire
+async function recordSuccess(email) {
+  await store.remove(accountKey(email));
+}
+
+// Keys with failures still in force, for the admin view
+async function listLockouts() {
+  const now = Date.now();
+  const records = await store.list();
+  return records
+    .filter((record) => record.failures > 0 && record.expires_at && new Date(record.expires_at).getTime() > now)
+    .map((record) => {
+      const [type, ...rest] = record.key.split(':');
+      return {
+        key: record.key,
+        type,
+        value: rest.join(':'),
+        failures: record.failures,
+        last_failed_at: record.last_failed_at,
+        next_attempt_at: record.next_attempt_at,
+        locked_until: record.locked_until,
+        locked: !!record.locked_until && new Date(record.locked_until).getTime() > now
+      };
+    })
+    .sort((a, b) => new Date(b.last_failed_at) - new Date(a.last_failed_at));
+}
+
+// Clear an 'account' or 'ip' entry; returns whether anything was removed
+async function clearLockout(type, value) {
+  if (type === 'account') return store.remove(accountKey(value));
+  if (type === 'ip') return store.remove(ipKey(value));
+  return false;
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  setStore,
+  checkLogin,
+  recordFailure,
+  releaseAttempt,
+  recordSuccess,
+  listLockouts,
+  clearLockout
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@hospital.local';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '../mail');
+
+// Transports take { from, to, subject, text } and may return a promise
+const transports = {
+  console(message) {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // Writes each message to MAIL_DIR as a .eml-style text file
+  async file(message) {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.txt`;
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      '',
+      message.text
+    ].join('\n');
+    await fs.promises.writeFile(path.join(MAIL_DIR, filename), content);
+  }
+};
+
+// Plug in a real provider (SMTP, API, ...) and select it with MAIL_TRANSPORT
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+async function sendMail({ to, subject, text }) {
+  const send = transports[MAIL_TRANSPORT];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+  await send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendMail } = require('./mailer');
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+const RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a fresh reset token and email it; any earlier unused tokens stop working
+async function sendResetEmail(user, req) {
+  await PasswordResetToken.updateMany(
+    { user_id: user._id, used_at: null },
+    { used_at: Date.now() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    user_id: user._id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requested_ip: req.ip
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      `${RESET_URL}?token=${token}`,
+      '',
+      `This link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.`,
+      'If you did not request a reset, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+// Mark a token used and return it, or null if unknown, expired or already used.
+// The conditional update makes sure two concurrent requests cannot both redeem it.
+async function consumeResetToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  return PasswordResetToken.findOneAndUpdate(
+    { token_hash: hashToken(token), used_at: null, expires_at: { $gt: new Date() } },
+    { used_at: Date.now() },
+    { new: true }
+  );
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  sendResetEmail,
+  consumeResetToken
+};
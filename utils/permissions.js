@@ -0,0 +1,204 @@
+const User = require('../models/User');
+const careAccess = require('./careAccess');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Roles admins create through /api/admins/staff
+const STAFF_ROLES = ['pharmacist', 'receptionist', 'nurse', 'lab_technician'];
+
+// Profile link that decides which records a user "owns"
+const OWNER_FIELDS = {
+  customer: 'patient_id',
+  doctor: 'doctor_id'
+};
+
+// resource -> action -> role -> scope. 'all' covers every record, 'own' only records
+// linked to the user's patient or doctor profile, and 'care' adds records of patients the
+// doctor has a care relationship with (see utils/careAccess). On a create, 'care' needs both:
+// the new record is the doctor's own and its patient is in their care. Roles not listed have
+// no access.
+const PERMISSIONS = {
+  patients: {
+    read: { admin: 'all', doctor: 'care', receptionist: 'all', nurse: 'all', lab_technician: 'all', pharmacist: 'all', customer: 'own' },
+    create: { admin: 'all', receptionist: 'all' },
+    update: { admin: 'all', doctor: 'care', receptionist: 'all', nurse: 'all', customer: 'own' },
+    delete: { admin: 'all' },
+    break_glass: { doctor: 'all' }
+  },
+  referrals: {
+    read: { admin: 'all', receptionist: 'all', nurse: 'all', doctor: 'care' },
+    create: { admin: 'all', doctor: 'care' },
+    close: { admin: 'all', doctor: 'care' }
+  },
+  doctors: {
+    create: { admin: 'all' },
+    update: { admin: 'all', doctor: 'own' },
+    delete: { admin: 'all' },
+    manage_schedule: { admin: 'all', doctor: 'own' }
+  },
+  holidays: {
+    manage: { admin: 'all' }
+  },
+  appointments: {
+    read: { admin: 'all', receptionist: 'all', nurse: 'all', doctor: 'care', customer: 'own' },
+    create: { admin: 'all', receptionist: 'all', doctor: 'all', customer: 'own' },
+    update: { admin: 'all', receptionist: 'all', nurse: 'all', doctor: 'own', customer: 'own' },
+    purge: { admin: 'all' }
+  },
+  appointment_series: {
+    read: { admin: 'all', receptionist: 'all', doctor: 'own', customer: 'own' },
+    create: { admin: 'all', receptionist: 'all', doctor: 'own' },
+    update: { admin: 'all', receptionist: 'all', doctor: 'own' },
+    cancel: { admin: 'all', receptionist: 'all', doctor: 'own', customer: 'own' }
+  },
+  waitlist: {
+    read: { admin: 'all', receptionist: 'all', doctor: 'own', customer: 'own' },
+    create: { admin: 'all', receptionist: 'all', doctor: 'all', customer: 'own' },
+    respond: { admin: 'all', receptionist: 'all', customer: 'own' },
+    delete: { admin: 'all', receptionist: 'all', doctor: 'own', customer: 'own' }
+  },
+  queue: {
+    read: { admin: 'all', receptionist: 'all', nurse: 'all', doctor: 'all' },
+    manage: { admin: 'all', receptionist: 'all', nurse: 'all', doctor: 'own' }
+  },
+  medical_records: {
+    read: { admin: 'all', nurse: 'all', lab_technician: 'all', doctor: 'care', customer: 'own' },
+    create: { admin: 'all', doctor: 'care' },
+    update: { admin: 'all', doctor: 'own' },
+    sign: { doctor: 'own' },
+    amend: { admin: 'all', doctor: 'care' },
+    mark_in_error: { admin: 'all', doctor: 'own' }
+  },
+  prescriptions: {
+    read: { admin: 'all', pharmacist: 'all', nurse: 'all', doctor: 'care', customer: 'own' },
+    create: { doctor: 'care' },
+    dispense: { pharmacist: 'all' }
+  },
+  medicines: {
+    create: { admin: 'all', pharmacist: 'all' },
+    update: { admin: 'all', pharmacist: 'all' },
+    delete: { admin: 'all' },
+    manage_stock: { admin: 'all', pharmacist: 'all' }
+  },
+  suppliers: {
+    read: { admin: 'all', pharmacist: 'all' },
+    manage: { admin: 'all', pharmacist: 'all' }
+  },
+  purchase_orders: {
+    read: { admin: 'all', pharmacist: 'all' },
+    manage: { admin: 'all', pharmacist: 'all' },
+    receive: { admin: 'all', pharmacist: 'all' }
+  },
+  dashboard: {
+    read: { admin: 'all', receptionist: 'all', nurse: 'all', pharmacist: 'all', lab_technician: 'all', doctor: 'own', customer: 'own' }
+  },
+  users: {
+    manage: { admin: 'all' }
+  },
+  audit: {
+    read: { admin: 'all' }
+  }
+};
+
+function idOf(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+// 'all', 'own' or null
+function scopeFor(role, resource, action) {
+  const actions = PERMISSIONS[resource] || {};
+  return (actions[action] || {})[role] || null;
+}
+
+function can(role, resource, action) {
+  return !!scopeFor(role, resource, action);
+}
+
+// Roles granted an action, optionally only those with a given scope
+function rolesWith(resource, action, scope) {
+  const grants = (PERMISSIONS[resource] || {})[action] || {};
+  return Object.keys(grants).filter((role) => !scope || grants[role] === scope);
+}
+
+// The user's patient/doctor links, loaded once per request
+async function loadProfile(req) {
+  if (req.profile === undefined) {
+    req.profile = await User.findById(req.user.id).select('role patient_id doctor_id');
+  }
+  return req.profile;
+}
+
+// Whether a record (anything with patient_id/doctor_id) is linked to the user's profile
+async function isOwner(req, record) {
+  const field = OWNER_FIELDS[req.user.role];
+  if (!field || !record || !record[field]) return false;
+  const profile = await loadProfile(req);
+  return !!(profile && profile[field]) && profile[field].toString() === idOf(record[field]);
+}
+
+// A care relationship with the patient, or else a live break-the-glass grant
+async function hasCareAccess(req, resource, patientId) {
+  if (!patientId) return false;
+  const profile = await loadProfile(req);
+  if (profile && profile.doctor_id && await careAccess.hasCareRelationship(profile.doctor_id, idOf(patientId))) {
+    return true;
+  }
+  return careAccess.useBreakGlass(req, idOf(patientId), resource);
+}
+
+async function canAccess(req, resource, action, record) {
+  const scope = scopeFor(req.user.role, resource, action);
+  if (scope === 'all') return true;
+  if (scope === 'own') return isOwner(req, record);
+  if (scope === 'care') {
+    const patientId = record && record.patient_id;
+    if (action === 'create') {
+      return (await isOwner(req, record)) && hasCareAccess(req, resource, patientId);
+    }
+    return (await isOwner(req, record)) || hasCareAccess(req, resource, patientId);
+  }
+  return false;
+}
+
+// Query conditions limiting a listing to what the user may see, or null if they see nothing.
+// fieldMap renames owner fields for collections that store them differently, e.g.
+// { patient_id: '_id' }; mapping a field to null leaves it out.
+async function scopeQuery(req, resource, action, fieldMap = {}) {
+  const scope = scopeFor(req.user.role, resource, action);
+  if (scope === 'all') return {};
+  if (scope !== 'own' && scope !== 'care') return null;
+
+  const field = OWNER_FIELDS[req.user.role];
+  const profile = await loadProfile(req);
+  const conditions = [];
+  if (field && fieldMap[field] !== null && profile && profile[field]) {
+    conditions.push({ [fieldMap[field] || field]: profile[field] });
+  }
+
+  if (scope === 'care') {
+    const patientIds = [
+      ...(profile && profile.doctor_id ? await careAccess.carePatientIds(profile.doctor_id) : []),
+      ...(await careAccess.breakGlassPatientIds(req, resource))
+    ];
+    if (patientIds.length > 0) {
+      conditions.push({ [fieldMap.patient_id || 'patient_id']: { $in: patientIds } });
+    }
+  }
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  scopeFor,
+  can,
+  rolesWith,
+  loadProfile,
+  isOwner,
+  canAccess,
+  scopeQuery
+};
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const Prescription = require('../models/Prescription');
+const Patient = require('../models/Patient');
+const drugInteractions = require('./drugInteractions');
+const { DISPENSABLE_STATUSES } = require('./dispensing');
+
+const ROUTES = Prescription.schema.path('items').schema.path('route').enumValues;
+const REQUIRED_TEXT = ['dose', 'frequency', 'duration'];
+
+// Generate unique prescription ID
+function generatePrescriptionId() {
+  return 'RX' + Date.now().toString().slice(-8);
+}
+
+function isExpired(medicine) {
+  return medicine.status === 'expired' || (!!medicine.expiry_date && medicine.expiry_date < new Date());
+}
+
+// Check line items against the catalog. Unknown medicines and incomplete lines are errors;
+// expired or short-stocked medicines only produce warnings for the prescriber.
+// Returns { errors, warnings, items } with items ready to store.
+async function checkItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { errors: ['At least one prescription item is required'], warnings: [], items: [] };
+  }
+
+  const ids = items.map((item) => item && item.medicine_id).filter((id) => mongoose.isValidObjectId(id));
+  const medicines = await Medicine.find({ _id: { $in: ids }, active: { $ne: false } });
+  const byId = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+
+  const errors = [];
+  const warnings = [];
+  const checked = [];
+
+  items.forEach((item, index) => {
+    const line = `Item ${index + 1}`;
+    item = item || {};
+
+    const medicine = byId.get(String(item.medicine_id));
+    if (!medicine) {
+      errors.push(`${line}: medicine not found in the catalog`);
+      return;
+    }
+
+    for (const field of REQUIRED_TEXT) {
+      if (typeof item[field] !== 'string' || !item[field].trim()) {
+        errors.push(`${line}: ${field} is required`);
+      }
+    }
+    if (!ROUTES.includes(item.route)) {
+      errors.push(`${line}: route must be one of: ${ROUTES.join(', ')}`);
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`${line}: quantity must be a positive whole number`);
+    }
+
+    if (isExpired(medicine)) {
+      warnings.push({ medicine_id: medicine._id, type: 'expired', message: `${medicine.name} is expired` });
+    } else if (medicine.stock_quantity <= 0) {
+      warnings.push({ medicine_id: medicine._id, type: 'out_of_stock', message: `${medicine.name} is out of stock` });
+    } else if (quantity > medicine.stock_quantity) {
+      warnings.push({
+        medicine_id: medicine._id,
+        type: 'insufficient_stock',
+        message: `Only ${medicine.stock_quantity} of ${medicine.name} in stock`
+      });
+    }
+
+    checked.push({
+      medicine_id: medicine._id,
+      medicine_name: medicine.name,
+      dose: item.dose,
+      route: item.route,
+      frequency: item.frequency,
+      duration: item.duration,
+      quantity,
+      instructions: item.instructions
+    });
+  });
+
+  return { errors, warnings, items: checked };
+}
+
+// Allergy and interaction warnings for new items (from checkItems): each medicine against the
+// patient's allergies, against the other new items, and against the patient's active
+// prescriptions, plus a warning for any new medicine whose ingredients are unknown (current
+// prescriptions were warned about when they were written). Most severe first.
+async function checkClinical(patientId, items) {
+  const patient = await Patient.findById(patientId).select('allergies');
+  const current = await Prescription.find({ patient_id: patientId, status: { $in: DISPENSABLE_STATUSES } })
+    .select('prescription_id items');
+
+  const ids = [...items, ...current.flatMap((prescription) => prescription.items)].map((item) => item.medicine_id);
+  const medicines = await Medicine.find({ _id: { $in: ids } }).select('name active_ingredients');
+  const byId = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+
+  const warnings = [];
+  const prescribed = items.map((item) => byId.get(item.medicine_id.toString())).filter(Boolean);
+
+  for (const medicine of new Set(prescribed)) {
+    const unknown = drugInteractions.unknownIngredientsWarning(medicine);
+    if (unknown) warnings.push(unknown);
+  }
+
+  prescribed.forEach((medicine, index) => {
+    warnings.push(...drugInteractions.allergyWarnings(patient ? patient.allergies : null, medicine));
+
+    for (const other of prescribed.slice(index + 1)) {
+      warnings.push(...drugInteractions.interactionWarnings(medicine, other));
+    }
+
+    for (const prescription of current) {
+      for (const item of prescription.items) {
+        const other = byId.get(item.medicine_id.toString());
+        if (other) {
+          warnings.push(...drugInteractions.interactionWarnings(medicine, other, prescription));
+        }
+      }
+    }
+  });
+
+  return warnings.sort(drugInteractions.bySeverity);
+}
+
+// Clinical warnings the prescriber has not acknowledged by key
+function unacknowledged(warnings, acknowledged) {
+  const keys = new Set(Array.isArray(acknowledged) ? acknowledged.map(String) : []);
+  return warnings.filter((warning) => !keys.has(warning.key));
+}
+
+module.exports = {
+  ROUTES,
+  generatePrescriptionId,
+  checkItems,
+  checkClinical,
+  unacknowledged
+};
@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const stock = require('./stock');
+const availability = require('./availability');
+
+// Orders the supplier still owes goods on
+const OPEN_STATUSES = ['sent', 'partially_received'];
+const CONCURRENT_CHANGE = 'Purchase order was changed by someone else, reload and try again';
+
+function outstandingOf(item) {
+  return Math.max(item.quantity_ordered - (item.quantity_received || 0), 0);
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Check order lines ({ medicine_id, quantity, unit_cost }) against the catalog.
+// Returns { errors, items } with items ready to store.
+async function checkItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { errors: ['At least one item is required'], items: [] };
+  }
+
+  const ids = items.map((item) => item && item.medicine_id).filter((id) => mongoose.isValidObjectId(id));
+  const medicines = await Medicine.find({ _id: { $in: ids }, active: { $ne: false } }).select('name');
+  const byId = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+
+  const errors = [];
+  const checked = [];
+  const seen = new Set();
+
+  items.forEach((item, index) => {
+    const line = `Item ${index + 1}`;
+    item = item || {};
+
+    const medicine = byId.get(String(item.medicine_id));
+    if (!medicine) {
+      errors.push(`${line}: medicine not found in the catalog`);
+      return;
+    }
+    if (seen.has(String(item.medicine_id))) {
+      errors.push(`${line}: ${medicine.name} is already on the order`);
+    }
+    seen.add(String(item.medicine_id));
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`${line}: quantity must be a positive whole number`);
+    }
+    const unitCost = Number(item.unit_cost);
+    if (item.unit_cost === undefined || item.unit_cost === null || item.unit_cost === '' || isNaN(unitCost) || unitCost < 0) {
+      errors.push(`${line}: unit cost must be a positive number`);
+    }
+
+    checked.push({
+      medicine_id: medicine._id,
+      medicine_name: medicine.name,
+      quantity_ordered: quantity,
+      unit_cost: unitCost
+    });
+  });
+
+  return { errors, items: checked };
+}
+
+// Ordered, received and outstanding quantities per line, with what was paid against the
+// catalog price: margin is catalog price minus the average unit cost actually received
+async function summarize(order) {
+  const medicineIds = order.items.map((item) => item.medicine_id._id || item.medicine_id);
+  const medicines = await Medicine.find({ _id: { $in: medicineIds } }).select('price');
+  const priceOf = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine.price]));
+  const receiptLines = order.receipts.flatMap((receipt) => receipt.lines);
+
+  const lines = order.items.map((item) => {
+    const received = receiptLines.filter((line) => line.item_id.toString() === item._id.toString());
+    const receivedCost = received.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0);
+    const receivedQuantity = received.reduce((sum, line) => sum + line.quantity, 0);
+    const averageCost = receivedQuantity > 0 ? receivedCost / receivedQuantity : item.unit_cost;
+    const catalogPrice = priceOf.get((item.medicine_id._id || item.medicine_id).toString());
+
+    return {
+      item_id: item._id,
+      medicine_id: item.medicine_id._id || item.medicine_id,
+      medicine_name: item.medicine_name,
+      quantity_ordered: item.quantity_ordered,
+      quantity_received: item.quantity_received,
+      quantity_outstanding: outstandingOf(item),
+      ordered_unit_cost: item.unit_cost,
+      received_unit_cost: receivedQuantity > 0 ? round(averageCost) : null,
+      catalog_price: catalogPrice,
+      unit_margin: catalogPrice !== undefined ? round(catalogPrice - averageCost) : null,
+      ordered_value: round(item.quantity_ordered * item.unit_cost),
+      received_value: round(receivedCost)
+    };
+  });
+
+  return {
+    lines,
+    ordered_value: round(lines.reduce((sum, line) => sum + line.ordered_value, 0)),
+    received_value: round(lines.reduce((sum, line) => sum + line.received_value, 0)),
+    outstanding_value: round(order.items.reduce((sum, item) => sum + outstandingOf(item) * item.unit_cost, 0)),
+    // Lines costing at least what they sell for
+    below_cost: lines.filter((line) => line.unit_margin !== null && line.unit_margin <= 0).map((line) => line.medicine_name)
+  };
+}
+
+// Check goods-received lines ({ item_id, quantity, batch_number, expiry_date, unit_cost })
+function planReceipt(order, requested) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { rejection: { status: 400, error: 'Lines must be a non-empty list' } };
+  }
+
+  const lines = [];
+  const received = new Map();
+  for (const entry of requested) {
+    const itemId = entry && String(entry.item_id);
+    const item = order.items.find((candidate) => candidate._id.toString() === itemId);
+    if (!item) {
+      return { rejection: { status: 400, error: `Order item ${itemId} not found` } };
+    }
+
+    const quantity = Number(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { rejection: { status: 400, error: `Quantity for ${item.medicine_name} must be a positive whole number` } };
+    }
+    if (typeof entry.batch_number !== 'string' || !entry.batch_number.trim()) {
+      return { rejection: { status: 400, error: `Batch number for ${item.medicine_name} is required` } };
+    }
+    const expiryDate = entry.expiry_date ? new Date(entry.expiry_date) : null;
+    if (expiryDate && isNaN(expiryDate.getTime())) {
+      return { rejection: { status: 400, error: `Expiry date for ${item.medicine_name} must be a date` } };
+    }
+    const unitCost = entry.unit_cost !== undefined && entry.unit_cost !== null ? Number(entry.unit_cost) : item.unit_cost;
+    if (isNaN(unitCost) || unitCost < 0) {
+      return { rejection: { status: 400, error: `Unit cost for ${item.medicine_name} must be a positive number` } };
+    }
+
+    // Several batches may arrive for one line, but never more than was ordered
+    const total = (received.get(itemId) || 0) + quantity;
+    if (total > outstandingOf(item)) {
+      return { rejection: { status: 400, error: `Only ${outstandingOf(item)} of ${item.medicine_name} outstanding` } };
+    }
+    received.set(itemId, total);
+
+    lines.push({ item, quantity, batch_number: entry.batch_number.trim(), expiry_date: expiryDate, unit_cost: unitCost });
+  }
+
+  return { lines, received };
+}
+
+// $inc each line's received quantity, with array filters picking out the lines
+function receivedIncrements(received, sign) {
+  const inc = {};
+  const arrayFilters = [];
+  [...received.entries()].forEach(([itemId, quantity], index) => {
+    inc[`items.$[line${index}].quantity_received`] = sign * quantity;
+    arrayFilters.push({ [`line${index}._id`]: new mongoose.Types.ObjectId(itemId) });
+  });
+  return { inc, arrayFilters };
+}
+
+// Book received quantities on the order, but only if nobody else has received against these
+// lines since it was loaded, so a line can never be received twice
+async function claimReceipt(order, received) {
+  const complete = order.items.every((item) => outstandingOf(item) === (received.get(item._id.toString()) || 0));
+  const { inc, arrayFilters } = receivedIncrements(received, 1);
+
+  return PurchaseOrder.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: { $in: OPEN_STATUSES },
+      items: {
+        $all: [...received.keys()].map((itemId) => {
+          const item = order.items.find((candidate) => candidate._id.toString() === itemId);
+          return { $elemMatch: { _id: item._id, quantity_received: item.quantity_received || { $in: [0, null] } } };
+        })
+      }
+    },
+    { $inc: inc, $set: { status: complete ? 'received' : 'partially_received', updated_at: Date.now() } },
+    { new: true, arrayFilters }
+  );
+}
+
+// Goods received: each line becomes a batch of stock, booked in the ledger against the order.
+// Returns { rejection } or { order, receipt, stockChanges: [{ medicine, previous_quantity }] }.
+async function receive(order, requested, user, notes) {
+  if (!OPEN_STATUSES.includes(order.status)) {
+    return { rejection: { status: 409, error: `Cannot receive goods on a ${order.status.replace('_', ' ')} order` } };
+  }
+
+  const { lines, received, rejection } = planReceipt(order, requested);
+  if (rejection) {
+    return { rejection };
+  }
+
+  for (const line of lines) {
+    if (await MedicineBatch.exists({ medicine_id: line.item.medicine_id, batch_number: line.batch_number })) {
+      return { rejection: { status: 409, error: `${line.item.medicine_name} already has a batch ${line.batch_number}` } };
+    }
+  }
+
+  const claimed = await claimReceipt(order, received);
+  if (!claimed) {
+    return { rejection: { status: 409, error: CONCURRENT_CHANGE } };
+  }
+
+  const supplier = await Supplier.findById(order.supplier_id).select('name');
+  const receiptLines = [];
+  const stockChanges = [];
+  let failure;
+  for (const line of lines) {
+    const medicine = await Medicine.findById(line.item.medicine_id).select('price stock_quantity');
+    let result;
+    try {
+      result = await stock.receiveBatch(line.item.medicine_id, {
+        batch_number: line.batch_number,
+        expiry_date: line.expiry_date,
+        quantity: line.quantity,
+        unit_cost: line.unit_cost,
+        supplier: supplier ? supplier.name : undefined,
+        supplier_id: order.supplier_id,
+        purchase_order_id: order._id,
+        reason: `Purchase order ${order.po_number}`,
+        reference_type: 'PurchaseOrder',
+        reference_id: order._id
+      }, user);
+    } catch (error) {
+      failure = { line, error };
+      break;
+    }
+
+    receiptLines.push({
+      item_id: line.item._id,
+      medicine_id: line.item.medicine_id,
+      batch_id: result.batch._id,
+      batch_number: result.batch.batch_number,
+      expiry_date: result.batch.expiry_date,
+      quantity: line.quantity,
+      unit_cost: line.unit_cost,
+      catalog_price: medicine ? medicine.price : undefined
+    });
+    stockChanges.push({ medicine: result.medicine, previous_quantity: medicine ? medicine.stock_quantity : 0 });
+  }
+
+  const update = {
+    $push: { receipts: { lines: receiptLines, notes, received_by: user.id, received_at: Date.now() } },
+    $set: { updated_at: Date.now() }
+  };
+  const options = { new: true };
+  if (failure) {
+    // Give back what was claimed for lines that never made it into stock
+    const unreceived = new Map(received);
+    receiptLines.forEach((line) => unreceived.set(line.item_id.toString(), unreceived.get(line.item_id.toString()) - line.quantity));
+    const { inc, arrayFilters } = receivedIncrements(unreceived, -1);
+    const anyReceived = claimed.items.some((item) => item.quantity_received - (unreceived.get(item._id.toString()) || 0) > 0);
+    update.$inc = inc;
+    update.$set.status = anyReceived ? 'partially_received' : order.status;
+    options.arrayFilters = arrayFilters;
+    if (receiptLines.length === 0) delete update.$push;
+  }
+
+  const updated = await PurchaseOrder.findByIdAndUpdate(order._id, update, options);
+
+  if (failure) {
+    if (failure.error.code !== 11000) throw failure.error;
+    return {
+      rejection: { status: 409, error: `${failure.line.item.medicine_name} already has a batch ${failure.line.batch_number}` },
+      stockChanges
+    };
+  }
+
+  return { order: updated, receipt: updated.receipts[updated.receipts.length - 1], stockChanges };
+}
+
+// Open orders grouped by supplier with what is still to arrive, optionally for one supplier
+async function outstandingBySupplier(supplierId) {
+  const query = { status: { $in: OPEN_STATUSES } };
+  if (supplierId) {
+    query.supplier_id = supplierId;
+  }
+
+  const orders = await PurchaseOrder.find(query)
+    .populate('supplier_id', 'supplier_id name email phone')
+    .sort({ expected_date: 1, created_at: 1 });
+
+  const today = availability.today();
+  const bySupplier = new Map();
+  for (const order of orders) {
+    const key = order.supplier_id._id.toString();
+    if (!bySupplier.has(key)) {
+      bySupplier.set(key, { supplier: order.supplier_id, orders: [], outstanding_units: 0, outstanding_value: 0 });
+    }
+    const group = bySupplier.get(key);
+
+    const lines = order.items
+      .filter((item) => outstandingOf(item) > 0)
+      .map((item) => ({
+        item_id: item._id,
+        medicine_id: item.medicine_id,
+        medicine_name: item.medicine_name,
+        quantity_outstanding: outstandingOf(item),
+        unit_cost: item.unit_cost
+      }));
+    const value = lines.reduce((sum, line) => sum + line.quantity_outstanding * line.unit_cost, 0);
+
+    group.orders.push({
+      _id: order._id,
+      po_number: order.po_number,
+      status: order.status,
+      sent_at: order.sent_at,
+      expected_date: order.expected_date,
+      overdue: !!order.expected_date && order.expected_date < today,
+      lines,
+      outstanding_value: round(value)
+    });
+    group.outstanding_units += lines.reduce((sum, line) => sum + line.quantity_outstanding, 0);
+    group.outstanding_value = round(group.outstanding_value + value);
+  }
+
+  return [...bySupplier.values()];
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  outstandingOf,
+  checkItems,
+  summarize,
+  receive,
+  outstandingBySupplier
+};
@@ -0,0 +1,102 @@
+const QueueToken = require('../models/QueueToken');
+const availability = require('./availability');
+
+// Recent consultations used to estimate waiting time
+const DURATION_SAMPLE_SIZE = 10;
+const DURATION_LOOKBACK_DAYS = 14;
+const MAX_TOKEN_ATTEMPTS = 5;
+
+// Issue the next token number for a doctor's day; retries if two desks issue at once
+async function issueToken(data) {
+  for (let attempt = 0; attempt < MAX_TOKEN_ATTEMPTS; attempt++) {
+    const last = await QueueToken.findOne({ doctor_id: data.doctor_id, date: data.date })
+      .sort({ token_number: -1 })
+      .select('token_number');
+
+    try {
+      return await QueueToken.create({ ...data, token_number: last ? last.token_number + 1 : 1 });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not issue a queue token');
+}
+
+// Average minutes from call to completion over recent consultations, falling back to slot length
+async function averageConsultationMinutes(doctor) {
+  const recent = await QueueToken.find({
+    doctor_id: doctor._id,
+    status: 'completed',
+    called_at: { $ne: null },
+    date: { $gte: availability.addDays(availability.today(), -DURATION_LOOKBACK_DAYS) }
+  })
+    .sort({ completed_at: -1 })
+    .limit(DURATION_SAMPLE_SIZE)
+    .select('called_at completed_at');
+
+  const durations = recent
+    .map((token) => (token.completed_at - token.called_at) / 60000)
+    .filter((minutes) => minutes > 0);
+
+  if (durations.length === 0) {
+    return availability.getSchedule(doctor).slot_duration;
+  }
+  return Math.round(durations.reduce((sum, minutes) => sum + minutes, 0) / durations.length);
+}
+
+// Patient-safe label for public displays: first name and last initial
+function displayName(token) {
+  if (token.patient_id && token.patient_id.first_name) {
+    const initial = token.patient_id.last_name ? ` ${token.patient_id.last_name.charAt(0)}.` : '';
+    return `${token.patient_id.first_name}${initial}`;
+  }
+  return token.walk_in_name ? token.walk_in_name.split(' ')[0] : null;
+}
+
+// Today's queue for a doctor with estimated waits, suitable for a waiting-room display
+async function buildQueueView(doctor, date) {
+  const tokens = await QueueToken.find({ doctor_id: doctor._id, date })
+    .populate('patient_id', 'first_name last_name')
+    .sort({ token_number: 1 });
+
+  const average = await averageConsultationMinutes(doctor);
+  const serving = tokens.find((token) => token.status === 'called');
+  const elapsed = serving ? (Date.now() - serving.called_at) / 60000 : 0;
+  const remaining = serving ? Math.max(average - elapsed, 0) : 0;
+
+  const summary = (token) => ({
+    _id: token._id,
+    token_number: token.token_number,
+    type: token.type,
+    name: displayName(token),
+    status: token.status
+  });
+
+  const waiting = tokens
+    .filter((token) => token.status === 'waiting')
+    .map((token, position) => ({
+      ...summary(token),
+      position: position + 1,
+      estimated_wait_minutes: Math.round(remaining + position * average)
+    }));
+
+  return {
+    doctor: {
+      _id: doctor._id,
+      name: `Dr. ${doctor.first_name} ${doctor.last_name}`,
+      specialization: doctor.specialization
+    },
+    date,
+    now_serving: serving ? summary(serving) : null,
+    waiting,
+    skipped: tokens.filter((token) => token.status === 'skipped').map(summary),
+    completed_count: tokens.filter((token) => token.status === 'completed').length,
+    average_consultation_minutes: average
+  };
+}
+
+module.exports = {
+  issueToken,
+  averageConsultationMinutes,
+  buildQueueView
+};
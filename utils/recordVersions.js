@@ -0,0 +1,60 @@
+const MedicalRecordVersion = require('../models/MedicalRecordVersion');
+
+// Clinical content that is versioned; everything else on a record is workflow state
+const CONTENT_FIELDS = ['diagnosis', 'symptoms', 'prescription', 'test_results', 'notes', 'visit_date', 'appointment_id'];
+
+function normalize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return value._id ? value._id.toString() : value.toString();
+}
+
+function snapshot(record) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    content[field] = record[field];
+  }
+  return content;
+}
+
+// Content fields in updates that differ from the record, as { field: value }
+function contentChanges(record, updates) {
+  const changes = {};
+  for (const field of CONTENT_FIELDS) {
+    if (updates[field] !== undefined && normalize(updates[field]) !== normalize(record[field])) {
+      changes[field] = updates[field] === '' ? null : updates[field];
+    }
+  }
+  return changes;
+}
+
+// { field: { before, after } } between two versions (or null for "before the record existed")
+function diffVersions(from, to) {
+  const changes = {};
+  for (const field of CONTENT_FIELDS) {
+    const before = from ? normalize(from[field]) : null;
+    const after = to ? normalize(to[field]) : null;
+    if (before !== after) {
+      changes[field] = { before, after };
+    }
+  }
+  return changes;
+}
+
+// Store the record's current content as its current version
+async function saveVersion(record, user, reason) {
+  return MedicalRecordVersion.create({
+    ...snapshot(record),
+    record_id: record._id,
+    version: record.version,
+    change_reason: reason,
+    edited_by: user ? user.id : undefined,
+    edited_by_role: user ? user.role : undefined
+  });
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  contentChanges,
+  diffVersions,
+  saveVersion
+};
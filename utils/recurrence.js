@@ -0,0 +1,71 @@
+const availability = require('./availability');
+
+const FREQUENCIES = ['weekly', 'monthly'];
+const MAX_OCCURRENCES = 52;
+
+// Returns an error message for an invalid recurrence payload, or null
+function validateRecurrence(data) {
+  if (!FREQUENCIES.includes(data.frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (!availability.parseDate(data.start_date)) {
+    return 'Start date must be in YYYY-MM-DD format';
+  }
+  if (data.interval !== undefined) {
+    const interval = Number(data.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+      return 'Interval must be a whole number between 1 and 12';
+    }
+  }
+
+  const hasCount = data.count !== undefined && data.count !== null;
+  const hasUntil = data.until !== undefined && data.until !== null;
+  if (hasCount === hasUntil) {
+    return 'Provide either count or until';
+  }
+  if (hasCount) {
+    const count = Number(data.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return `Count must be a whole number between 1 and ${MAX_OCCURRENCES}`;
+    }
+  }
+  if (hasUntil && (!availability.parseDate(data.until) || data.until < data.start_date)) {
+    return 'Until must be a YYYY-MM-DD date on or after the start date';
+  }
+
+  return null;
+}
+
+// Same day-of-month N months later, or null if that month has no such day (e.g. the 31st)
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const total = year * 12 + (month - 1) + months;
+  const candidate = `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return availability.parseDate(candidate) ? candidate : null;
+}
+
+// Occurrence dates for an RRULE-style weekly/monthly rule, capped at MAX_OCCURRENCES
+function generateOccurrences({ frequency, interval = 1, start_date, count, until }) {
+  const step = Number(interval) || 1;
+  const limit = count ? Math.min(Number(count), MAX_OCCURRENCES) : MAX_OCCURRENCES;
+  const dates = [];
+
+  for (let i = 0; dates.length < limit; i++) {
+    const date = frequency === 'weekly'
+      ? availability.addDays(start_date, i * 7 * step)
+      : addMonths(start_date, i * step);
+
+    if (date === null) continue; // Month without this day, skipped as RRULE does
+    if (until && date > until) break;
+    dates.push(date);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  validateRecurrence,
+  generateOccurrences
+};
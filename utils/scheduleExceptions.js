@@ -0,0 +1,115 @@
+const Appointment = require('../models/Appointment');
+const availability = require('./availability');
+const { UPCOMING_STATUSES } = require('./appointmentStatus');
+
+const EXCEPTION_TYPES = ['leave', 'conference', 'holiday', 'other'];
+
+// Returns an error message for an invalid exception payload, or null
+function validateException(data) {
+  if (!EXCEPTION_TYPES.includes(data.type)) {
+    return `Type must be one of: ${EXCEPTION_TYPES.join(', ')}`;
+  }
+
+  const endDate = data.end_date || data.start_date;
+  if (!availability.parseDate(data.start_date) || !availability.parseDate(endDate)) {
+    return 'Dates must be in YYYY-MM-DD format';
+  }
+  if (endDate < data.start_date) {
+    return 'End date must not be before start date';
+  }
+
+  if (data.start_time || data.end_time) {
+    const start = availability.normalizeTime(data.start_time);
+    const end = availability.normalizeTime(data.end_time);
+    if (!start || !end) {
+      return 'Partial-day exceptions need both start and end times in HH:MM format';
+    }
+    if (availability.toMinutes(start) >= availability.toMinutes(end)) {
+      return 'End time must be after start time';
+    }
+  }
+
+  return null;
+}
+
+// Pick the stored fields from a validated payload
+function buildException(data) {
+  return {
+    type: data.type,
+    start_date: data.start_date,
+    end_date: data.end_date || data.start_date,
+    start_time: data.start_time ? availability.normalizeTime(data.start_time) : undefined,
+    end_time: data.end_time ? availability.normalizeTime(data.end_time) : undefined,
+    reason: data.reason
+  };
+}
+
+// Whole slots, as when generating them: a slot that runs into a partial-day exception is affected.
+// Expects the appointment's doctor_id populated with the schedule.
+function coversAppointment(exception, appointment) {
+  const time = availability.normalizeTime(appointment.appointment_time);
+  if (!time) return true;
+  const start = availability.toMinutes(time);
+  const duration = availability.getSchedule(appointment.doctor_id || {}).slot_duration;
+  return availability.isBlockedByException(exception, appointment.appointment_date, start, start + duration);
+}
+
+// Flag upcoming appointments the exception now covers and return them
+async function flagAffectedAppointments(exception) {
+  const query = {
+    appointment_date: { $gte: exception.start_date, $lte: exception.end_date },
+    status: { $in: UPCOMING_STATUSES }
+  };
+  if (exception.doctor_id) {
+    query.doctor_id = exception.doctor_id;
+  }
+
+  const candidates = await Appointment.find(query)
+    .populate('patient_id', 'first_name last_name phone email')
+    .populate('doctor_id', 'first_name last_name specialization schedule')
+    .sort({ appointment_date: 1, appointment_time: 1 });
+
+  const affected = candidates.filter((appointment) => coversAppointment(exception, appointment));
+
+  if (affected.length > 0) {
+    await Appointment.updateMany(
+      { _id: { $in: affected.map((a) => a._id) } },
+      { needs_reschedule: true, schedule_exception_id: exception._id, updated_at: Date.now() }
+    );
+  }
+
+  return affected.map((appointment) => ({
+    ...appointment.toObject(),
+    needs_reschedule: true,
+    schedule_exception_id: exception._id
+  }));
+}
+
+// Remove flags set by an exception that was edited or deleted. An appointment another exception
+// still covers stays flagged, pointing at that exception instead.
+async function clearExceptionFlags(exceptionId) {
+  const flagged = await Appointment.find({ schedule_exception_id: exceptionId, needs_reschedule: true })
+    .populate('doctor_id', 'schedule');
+
+  for (const appointment of flagged) {
+    const doctorId = appointment.doctor_id ? appointment.doctor_id._id : null;
+    const others = await availability.getExceptions(doctorId, appointment.appointment_date, appointment.appointment_date);
+    const covering = others.find((other) => !other._id.equals(exceptionId) && coversAppointment(other, appointment));
+
+    // Conditional, so a reschedule or another exception's flag made meanwhile is kept
+    await Appointment.updateOne(
+      { _id: appointment._id, schedule_exception_id: exceptionId, needs_reschedule: true },
+      covering
+        ? { schedule_exception_id: covering._id, updated_at: Date.now() }
+        : { needs_reschedule: false, schedule_exception_id: null, updated_at: Date.now() }
+    );
+  }
+}
+
+module.exports = {
+  EXCEPTION_TYPES,
+  validateException,
+  buildException,
+  flagAffectedAppointments,
+  clearExceptionFlags
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const events = require('./events');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+// A token replaced this recently was most likely refreshed by another tab at the same time
+const REFRESH_REUSE_GRACE_SECONDS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 30);
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { id: user._id, email: user.email, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens are '<session id>.<secret>'; only the secret's hash is stored
+function buildTokens(user, session, secret) {
+  return {
+    token: signAccessToken(user, session),
+    refresh_token: `${session._id}.${secret}`,
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
+
+function isActive(session) {
+  return !!session && !session.revoked_at && session.expires_at > new Date();
+}
+
+// Start a new session for a user who just proved their identity
+async function createSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user_id: user._id,
+    token_hash: hashSecret(secret),
+    user_agent: req.headers['user-agent'],
+    ip: req.ip,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return buildTokens(user, session, secret);
+}
+
+// Login response body: new session tokens plus the public user fields
+async function startLogin(user, req) {
+  const tokens = await createSession(user, req);
+  return {
+    ...tokens,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    }
+  };
+}
+
+// Look up the session a refresh token belongs to; null if malformed or unknown
+async function findByRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session) return null;
+  const hash = hashSecret(secret);
+  return { session, matches: session.token_hash === hash, previous: session.previous_token_hash === hash };
+}
+
+// Swap a refresh token for a new pair. A stale token means it was stolen or replayed,
+// so the whole session is revoked, unless it was only just replaced by a concurrent refresh.
+// Returns null if the token cannot be used.
+async function rotateSession(found, user) {
+  const { session, matches, previous } = found;
+  if (!isActive(session)) return null;
+
+  if (!matches) {
+    const justRotated = previous && session.rotated_at &&
+      Date.now() - session.rotated_at.getTime() < REFRESH_REUSE_GRACE_SECONDS * 1000;
+    if (!justRotated) {
+      await revokeSession(session, 'Refresh token reuse detected');
+    }
+    return null;
+  }
+
+  // Only the first of several refreshes with the same token rotates it
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, token_hash: session.token_hash, revoked_at: null },
+    {
+      $set: {
+        token_hash: hashSecret(secret),
+        previous_token_hash: session.token_hash,
+        rotated_at: Date.now(),
+        last_used_at: Date.now()
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return buildTokens(user, rotated, secret);
+}
+
+async function revokeSession(session, reason) {
+  if (session.revoked_at) return;
+  session.revoked_at = Date.now();
+  session.revoked_reason = reason;
+  await session.save();
+  events.disconnect({ session_id: session._id });
+}
+
+async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const query = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(query, { revoked_at: Date.now(), revoked_reason: reason });
+  events.disconnect({ user_id: userId, except_session_id: exceptSessionId });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  isActive,
+  createSession,
+  startLogin,
+  findByRefreshToken,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const StockMovement = require('../models/StockMovement');
+
+// Every function that changes a batch's quantity takes a movement describing why:
+// { type, reason, user, reference_type, reference_id }. There is no transaction: each batch
+// change is followed straight away by its movement, and anything undone later gets a
+// compensating movement rather than a silent correction. A crash between the two writes can
+// still leave a batch and its ledger apart, which ledgerBalance shows up.
+
+function isExpired(batch, now = new Date()) {
+  return !!batch.expiry_date && batch.expiry_date < now;
+}
+
+// First expiry first out; batches that never expire go last, then oldest delivery first
+function fefo(a, b) {
+  if (a.expiry_date && b.expiry_date && a.expiry_date.getTime() !== b.expiry_date.getTime()) {
+    return a.expiry_date - b.expiry_date;
+  }
+  if (!a.expiry_date !== !b.expiry_date) {
+    return a.expiry_date ? -1 : 1;
+  }
+  return a.received_at - b.received_at;
+}
+
+// Unexpired batches with stock left, in the order they should be used
+async function usableBatches(medicineId) {
+  const batches = await MedicineBatch.find({
+    medicine_id: medicineId,
+    quantity: { $gt: 0 },
+    $or: [{ expiry_date: null }, { expiry_date: { $gte: new Date() } }]
+  });
+  return batches.sort(fefo);
+}
+
+// Recompute a medicine's stock, next expiry and status from its batches
+async function syncMedicine(medicineId) {
+  const now = new Date();
+  const batches = await MedicineBatch.find({ medicine_id: medicineId, quantity: { $gt: 0 } });
+  const usable = batches.filter((batch) => !isExpired(batch, now)).sort(fefo);
+  const stockQuantity = usable.reduce((sum, batch) => sum + batch.quantity, 0);
+
+  let status = 'out of stock';
+  if (stockQuantity > 0) {
+    status = 'available';
+  } else if (batches.length > 0) {
+    status = 'expired';
+  }
+
+  return Medicine.findByIdAndUpdate(medicineId, {
+    $set: {
+      stock_quantity: stockQuantity,
+      expiry_date: usable.length > 0 && usable[0].expiry_date ? usable[0].expiry_date : null,
+      status,
+      updated_at: Date.now()
+    }
+  }, { new: true });
+}
+
+// Units moved in or out of one batch; quantity is always positive
+function batchLine(batch, quantity) {
+  return {
+    batch_id: batch._id,
+    batch_number: batch.batch_number,
+    expiry_date: batch.expiry_date,
+    quantity,
+    balance_after: batch.quantity
+  };
+}
+
+// Atomically change a batch's quantity, refusing to take it below zero; null if it would
+async function changeBatch(batchId, delta) {
+  const filter = { _id: batchId };
+  if (delta < 0) {
+    filter.quantity = { $gte: -delta };
+  }
+  const batch = await MedicineBatch.findOneAndUpdate(
+    filter,
+    { $inc: { quantity: delta }, $set: { updated_at: Date.now() } },
+    { new: true }
+  );
+  return batch ? batchLine(batch, Math.abs(delta)) : null;
+}
+
+// Write batch lines to the ledger, signed by direction (-1 out of stock, 1 into it)
+async function recordMovements(medicineId, lines, direction, movement) {
+  if (lines.length === 0) return [];
+  const user = movement.user;
+  return StockMovement.insertMany(lines.map((line) => ({
+    medicine_id: medicineId,
+    batch_id: line.batch_id,
+    batch_number: line.batch_number,
+    type: movement.type,
+    quantity: direction * line.quantity,
+    balance_after: line.balance_after,
+    reason: movement.reason,
+    reference_type: movement.reference_type,
+    reference_id: movement.reference_id,
+    actor_id: user ? user.id : undefined,
+    actor_role: user ? user.role : undefined
+  })));
+}
+
+async function medicineOf(batchId) {
+  const batch = await MedicineBatch.findById(batchId).select('medicine_id');
+  return batch ? batch.medicine_id : null;
+}
+
+// Take quantity from one batch if it holds that much; null otherwise
+async function takeFromBatch(batchId, quantity, movement) {
+  const line = await changeBatch(batchId, -quantity);
+  if (line) {
+    await recordMovements(await medicineOf(batchId), [line], -1, movement);
+  }
+  return line;
+}
+
+async function addToBatch(batchId, quantity, movement) {
+  const line = await changeBatch(batchId, quantity);
+  if (line) {
+    await recordMovements(await medicineOf(batchId), [line], 1, movement);
+  }
+  return line;
+}
+
+// Take quantity out of unexpired stock, first expiry first. Each batch is decremented
+// atomically; if another request empties a batch first we re-read and carry on. Returns
+// { medicine, batches } with the batch lines used, or null if there is not enough, in which
+// case whatever was taken has been returned with compensating movements.
+async function takeStock(medicineId, quantity, movement) {
+  const taken = [];
+  let remaining = quantity;
+
+  while (remaining > 0) {
+    const batches = await usableBatches(medicineId);
+    const available = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+    if (available < remaining) {
+      if (taken.length > 0) {
+        await returnStock(medicineId, taken, {
+          ...movement,
+          type: 'return',
+          reason: `${movement.reason}: not enough stock, returned`
+        });
+      }
+      return null;
+    }
+
+    for (const batch of batches) {
+      const line = await changeBatch(batch._id, -Math.min(batch.quantity, remaining));
+      if (!line) break;
+      await recordMovements(medicineId, [line], -1, movement);
+      taken.push(line);
+      remaining -= line.quantity;
+      if (remaining === 0) break;
+    }
+  }
+
+  return { medicine: await syncMedicine(medicineId), batches: taken };
+}
+
+// Put batch lines taken earlier back into their batches
+async function returnStock(medicineId, batches, movement) {
+  const returned = [];
+  for (const line of batches) {
+    const result = await changeBatch(line.batch_id, line.quantity);
+    if (result) returned.push(result);
+  }
+  await recordMovements(medicineId, returned, 1, movement);
+  return syncMedicine(medicineId);
+}
+
+// Book a delivered batch into stock
+async function receiveBatch(medicineId, data, user) {
+  const batch = await MedicineBatch.create({
+    medicine_id: medicineId,
+    batch_number: data.batch_number,
+    expiry_date: data.expiry_date || undefined,
+    quantity: data.quantity,
+    received_quantity: data.quantity,
+    unit_cost: data.unit_cost,
+    supplier: data.supplier,
+    supplier_id: data.supplier_id,
+    purchase_order_id: data.purchase_order_id,
+    received_by: user ? user.id : undefined
+  });
+
+  await recordMovements(medicineId, [batchLine(batch, batch.quantity)], 1, {
+    type: 'receipt',
+    reason: data.reason || `Received batch ${batch.batch_number}`,
+    user,
+    reference_type: data.reference_type,
+    reference_id: data.reference_id
+  });
+
+  return { batch, medicine: await syncMedicine(medicineId) };
+}
+
+// Set a batch to a physically counted quantity. Only applies if the batch still holds what
+// the count was compared against; returns the signed correction, 0 if none, or null if the
+// batch moved in the meantime.
+async function countBatch(batch, countedQuantity, movement) {
+  const difference = countedQuantity - batch.quantity;
+  if (difference === 0) return 0;
+
+  const counted = await MedicineBatch.findOneAndUpdate(
+    { _id: batch._id, quantity: batch.quantity },
+    { $set: { quantity: countedQuantity, updated_at: Date.now() } },
+    { new: true }
+  );
+  if (!counted) return null;
+
+  await recordMovements(batch.medicine_id, [batchLine(counted, Math.abs(difference))], Math.sign(difference), {
+    ...movement,
+    type: 'stocktake'
+  });
+  return difference;
+}
+
+// Sum of every movement for a medicine, which should equal what its batches hold
+async function ledgerBalance(medicineId) {
+  const [result] = await StockMovement.aggregate([
+    { $match: { medicine_id: new mongoose.Types.ObjectId(String(medicineId)) } },
+    { $group: { _id: null, balance: { $sum: '$quantity' } } }
+  ]);
+  return result ? result.balance : 0;
+}
+
+module.exports = {
+  isExpired,
+  fefo,
+  usableBatches,
+  syncMedicine,
+  takeFromBatch,
+  addToBatch,
+  takeStock,
+  returnStock,
+  receiveBatch,
+  countBatch,
+  ledgerBalance
+};
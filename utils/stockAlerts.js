@@ -0,0 +1,192 @@
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const User = require('../models/User');
+const stock = require('./stock');
+const permissions = require('./permissions');
+const events = require('./events');
+const { sendMail } = require('./mailer');
+
+// Warn about batches expiring within this many days
+const EXPIRY_ALERT_DAYS = Number(process.env.EXPIRY_ALERT_DAYS || 30);
+const SWEEP_INTERVAL_MS = Number(process.env.STOCK_ALERT_INTERVAL_MINUTES || 60) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alerts already notified: alert key -> ids of the pharmacists it was emailed to. Each alert
+// is pushed once and emailed to each pharmacist once for as long as it lasts. Kept in memory,
+// so a restart notifies current alerts again.
+const notified = new Map();
+
+function alertKey(alert) {
+  return [alert.type, alert.medicine_id, alert.batch_id || ''].join(':');
+}
+
+function medicineFields(medicine) {
+  return {
+    medicine_id: medicine._id.toString(),
+    medicine_code: medicine.medicine_id,
+    name: medicine.name,
+    stock_quantity: medicine.stock_quantity,
+    reorder_level: medicine.reorder_level,
+    reorder_quantity: medicine.reorder_quantity
+  };
+}
+
+// Stock alerts for some medicines (default all):
+// - out_of_stock: nothing usable left
+// - low_stock: at or below the reorder level
+// - expiring: a batch with stock expires within `days`
+// - expired: an expired batch still holds stock that should be written off
+async function findAlerts({ medicineIds, days = EXPIRY_ALERT_DAYS } = {}) {
+  const query = { active: { $ne: false } };
+  if (medicineIds) {
+    query._id = { $in: medicineIds };
+  }
+  const medicines = await Medicine.find(query);
+  const byId = new Map(medicines.map((medicine) => [medicine._id.toString(), medicine]));
+  const now = new Date();
+  const alerts = [];
+
+  for (const medicine of medicines) {
+    if (medicine.stock_quantity <= 0) {
+      alerts.push({ type: 'out_of_stock', ...medicineFields(medicine) });
+    } else if (medicine.stock_quantity <= medicine.reorder_level) {
+      alerts.push({ type: 'low_stock', ...medicineFields(medicine) });
+    }
+  }
+
+  const batches = await MedicineBatch.find({
+    medicine_id: { $in: medicines.map((medicine) => medicine._id) },
+    quantity: { $gt: 0 },
+    expiry_date: { $ne: null, $lte: new Date(now.getTime() + days * DAY_MS) }
+  }).sort({ expiry_date: 1 });
+
+  for (const batch of batches) {
+    const expired = stock.isExpired(batch, now);
+    alerts.push({
+      type: expired ? 'expired' : 'expiring',
+      ...medicineFields(byId.get(batch.medicine_id.toString())),
+      batch_id: batch._id.toString(),
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+      quantity: batch.quantity,
+      days_left: expired ? 0 : Math.ceil((batch.expiry_date - now) / DAY_MS)
+    });
+  }
+
+  return alerts;
+}
+
+function describe(alert) {
+  const reorder = alert.reorder_quantity > 0 ? `; reorder ${alert.reorder_quantity}` : '';
+  switch (alert.type) {
+    case 'out_of_stock':
+      return `${alert.name}: out of stock${reorder}`;
+    case 'low_stock':
+      return `${alert.name}: ${alert.stock_quantity} left, at or below reorder level ${alert.reorder_level}${reorder}`;
+    case 'expiring':
+      return `${alert.name} batch ${alert.batch_number}: ${alert.quantity} units expire in ${alert.days_left} days`;
+    default:
+      return `${alert.name} batch ${alert.batch_number}: ${alert.quantity} expired units to write off`;
+  }
+}
+
+function deliveredTo(alert) {
+  const key = alertKey(alert);
+  if (!notified.has(key)) notified.set(key, new Set());
+  return notified.get(key);
+}
+
+// Push new alerts to pharmacy staff over SSE and email each pharmacist a digest of the alerts
+// they have not had yet. Each email stands alone: one that fails is logged and retried on the
+// next check without holding up or repeating the others. Returns the addresses that failed.
+async function notify(alerts) {
+  if (alerts.length === 0) return [];
+
+  for (const alert of alerts.filter((candidate) => !notified.has(alertKey(candidate)))) {
+    deliveredTo(alert);
+    events.publish('medicine.stock_alert', { ...alert, message: describe(alert) }, {
+      roles: permissions.rolesWith('medicines', 'manage_stock')
+    });
+  }
+
+  const pharmacists = await User.find({ role: 'pharmacist' }).select('username email');
+  const results = await Promise.allSettled(pharmacists.map(async (pharmacist) => {
+    const id = pharmacist._id.toString();
+    const pending = alerts.filter((alert) => !deliveredTo(alert).has(id));
+    if (pending.length === 0) return;
+
+    await sendMail({
+      to: pharmacist.email,
+      subject: `Pharmacy stock alerts (${pending.length})`,
+      text: [
+        `Hello ${pharmacist.username},`,
+        '',
+        'The following stock needs attention:',
+        '',
+        ...pending.map((alert) => `- ${describe(alert)}`)
+      ].join('\n')
+    });
+    pending.forEach((alert) => deliveredTo(alert).add(id));
+  }));
+
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Stock alert email to ${pharmacists[index].email} error:`, result.reason);
+      failed.push(pharmacists[index].email);
+    }
+  });
+  return failed;
+}
+
+// Re-derive medicines whose next batch has expired since stock last moved, then notify
+// whatever each recipient has not had yet
+async function runAlertSweep() {
+  const lapsed = await Medicine.find({ expiry_date: { $lt: new Date() } }).select('_id');
+  for (const medicine of lapsed) {
+    await stock.syncMedicine(medicine._id);
+  }
+
+  const alerts = await findAlerts();
+  // Forget alerts that have cleared, so they are notified again if they come back
+  const active = new Set(alerts.map(alertKey));
+  for (const key of notified.keys()) {
+    if (!active.has(key)) notified.delete(key);
+  }
+  await notify(alerts);
+  return alerts;
+}
+
+// Re-check one medicine after its stock or reorder level changed
+async function checkMedicine(medicineId) {
+  const id = medicineId.toString();
+  const alerts = await findAlerts({ medicineIds: [medicineId] });
+
+  const active = new Set(alerts.map(alertKey));
+  for (const key of notified.keys()) {
+    if (key.split(':')[1] === id && !active.has(key)) notified.delete(key);
+  }
+
+  await notify(alerts);
+}
+
+// Fire-and-forget hook for routes; alert failures must not fail the request
+function notifyStockChanged(medicineId) {
+  checkMedicine(medicineId).catch((error) => console.error('Stock alert error:', error));
+}
+
+function startStockAlertJob() {
+  const sweep = () => runAlertSweep().catch((error) => console.error('Stock alert sweep error:', error));
+  sweep();
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  EXPIRY_ALERT_DAYS,
+  findAlerts,
+  runAlertSweep,
+  notifyStockChanged,
+  startStockAlertJob
+};
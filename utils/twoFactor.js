@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Hospital Management';
+// Comma-separated roles that must use 2FA, e.g. 'admin,doctor'
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+const CHALLENGE_TTL = '5m';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for one counter
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+// Check a TOTP code, allowing one step of clock drift either way. Returns the matched
+// time step, or null. Steps at or before lastUsedStep are refused so a code cannot be replayed.
+function verifyCode(secret, code, lastUsedStep) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function otpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Returns { codes, hashes }: codes are shown to the user once, only hashes are stored
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Accept a TOTP code at most once. The step is only stored if it is later than the one stored,
+// so two requests replaying the same code cannot both pass. Returns whether the code was used.
+async function consumeCode(user, code) {
+  const step = verifyCode(user.two_factor.secret, code, user.two_factor.last_used_step);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'two_factor.last_used_step': { $lt: step } }, { 'two_factor.last_used_step': null }]
+    },
+    { $set: { 'two_factor.last_used_step': step } }
+  );
+  return result.matchedCount === 1;
+}
+
+// Remove a matching recovery code from the user's stored list, only while it is still there,
+// so each code gets in once. Returns whether one was used; user's list is updated to match.
+async function consumeRecoveryCode(user, code) {
+  const hash = hashRecoveryCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'two_factor.recovery_codes': hash },
+    { $pull: { 'two_factor.recovery_codes': hash } },
+    { new: true }
+  ).select('+two_factor.recovery_codes');
+  if (!updated) return false;
+
+  user.two_factor.recovery_codes = updated.two_factor.recovery_codes;
+  return true;
+}
+
+function isRequiredForRole(role) {
+  return REQUIRED_ROLES.includes(role);
+}
+
+// Short-lived token proving the password step passed. purpose is 'login' (code needed)
+// or 'setup' (2FA is required for the role but not yet enrolled).
+function signChallenge(user, purpose) {
+  return jwt.sign(
+    { id: user._id, purpose: `2fa_${purpose}` },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+// Returns the user id from a valid challenge token for the given purpose, or null
+function verifyChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === `2fa_${purpose}` ? payload.id : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  consumeCode,
+  consumeRecoveryCode,
+  isRequiredForRole,
+  signChallenge,
+  verifyChallenge
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Doctor = require('../models/Doctor');
+const availability = require('./availability');
+
+// How long an offered slot is held for a waitlisted patient
+const OFFER_HOLD_MINUTES = Number(process.env.WAITLIST_OFFER_HOLD_MINUTES || 120);
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Whether a local date/time slot is still ahead of us
+function isFutureSlot(date, time) {
+  return availability.slotStart(date, time).getTime() > Date.now();
+}
+
+function matchesTimeWindow(entry, time) {
+  if (entry.earliest_time && time < entry.earliest_time) return false;
+  if (entry.latest_time && time > entry.latest_time) return false;
+  return true;
+}
+
+function wasOffered(entry, date, time) {
+  return entry.offers.some((offer) => offer.appointment_date === date && offer.appointment_time === time);
+}
+
+function pendingOffer(entry) {
+  return entry.offers.find((offer) => offer.status === 'pending');
+}
+
+// Returns an error message for an invalid waitlist payload, or null
+function validateEntry(data) {
+  const toDate = data.to_date || data.from_date;
+  if (!availability.parseDate(data.from_date) || !availability.parseDate(toDate)) {
+    return 'Dates must be in YYYY-MM-DD format';
+  }
+  if (toDate < data.from_date) {
+    return 'End date must not be before start date';
+  }
+  if (toDate < availability.today()) {
+    return 'Date range must not be in the past';
+  }
+  for (const field of ['earliest_time', 'latest_time']) {
+    if (data[field] && !availability.normalizeTime(data[field])) {
+      return 'Preferred times must be in HH:MM format';
+    }
+  }
+  if (data.earliest_time && data.latest_time &&
+    availability.normalizeTime(data.earliest_time) > availability.normalizeTime(data.latest_time)) {
+    return 'Earliest preferred time must not be after the latest';
+  }
+  return null;
+}
+
+// Claim the entry and the slot without a read-then-save, so two freed-slot events cannot
+// offer the same slot twice. Returns null if the entry or the slot was taken meanwhile.
+async function makeOffer(entry, date, time) {
+  const now = new Date();
+  const offer = {
+    _id: new mongoose.Types.ObjectId(),
+    appointment_date: date,
+    appointment_time: time,
+    offered_at: now,
+    expires_at: new Date(now.getTime() + OFFER_HOLD_MINUTES * 60 * 1000)
+  };
+
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { $push: { offers: offer }, $set: { status: 'offered', updated_at: now } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  // Another entry offered the same slot at the same moment: the earlier offer keeps it
+  const rivals = await WaitlistEntry.find({
+    _id: { $ne: entry._id },
+    doctor_id: claimed.doctor_id,
+    status: 'offered',
+    offers: { $elemMatch: { status: 'pending', appointment_date: date, appointment_time: time, offered_at: { $lte: now } } }
+  });
+  const beaten = rivals.some((rival) => rival.offers.some((rivalOffer) =>
+    rivalOffer.status === 'pending' && rivalOffer.appointment_date === date && rivalOffer.appointment_time === time &&
+    (rivalOffer.offered_at < now || String(rivalOffer._id) < String(offer._id))));
+  if (beaten) {
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered' },
+      { $pull: { offers: { _id: offer._id } }, $set: { status: 'waiting', updated_at: Date.now() } }
+    );
+    return null;
+  }
+
+  return claimed;
+}
+
+// Offer the earliest free slot in the entry's range that it has not been offered before
+async function offerNextSlot(entry, doctor) {
+  if (entry.status !== 'waiting') return null;
+
+  const from = entry.from_date > availability.today() ? entry.from_date : availability.today();
+  if (entry.to_date < from) return null;
+  const to = entry.to_date < availability.addDays(from, availability.MAX_RANGE_DAYS - 1)
+    ? entry.to_date
+    : availability.addDays(from, availability.MAX_RANGE_DAYS - 1);
+
+  const days = await availability.getAvailableSlots(doctor, from, to);
+  for (const day of days) {
+    const time = day.slots.find((slot) => isFutureSlot(day.date, slot) &&
+      matchesTimeWindow(entry, slot) && !wasOffered(entry, day.date, slot));
+    if (time) {
+      return makeOffer(entry, day.date, time);
+    }
+  }
+  return null;
+}
+
+// Offer a freed slot to the first matching patient in line
+async function offerSlot(doctorId, date, time) {
+  const normalized = availability.normalizeTime(time);
+  if (!normalized || !isFutureSlot(date, normalized)) return null;
+
+  const doctor = await Doctor.findById(doctorId);
+  if (!doctor || !(await availability.isSlotAvailable(doctor, date, normalized))) return null;
+
+  const entries = await WaitlistEntry.find({
+    doctor_id: doctorId,
+    status: 'waiting',
+    from_date: { $lte: date },
+    to_date: { $gte: date }
+  }).sort({ created_at: 1 });
+
+  for (const entry of entries.filter((e) => matchesTimeWindow(e, normalized) && !wasOffered(e, date, normalized))) {
+    const offered = await makeOffer(entry, date, normalized);
+    if (offered) return offered;
+    // Lost the race: stop if the slot went to someone else, else try the next patient
+    if (!(await availability.isSlotAvailable(doctor, date, normalized))) return null;
+  }
+  return null;
+}
+
+// Walk a doctor's queue in order after availability opens up
+async function processDoctor(doctorId) {
+  const doctor = await Doctor.findById(doctorId);
+  if (!doctor) return;
+
+  const entries = await WaitlistEntry.find({ doctor_id: doctorId, status: 'waiting' }).sort({ created_at: 1 });
+  for (const entry of entries) {
+    await offerNextSlot(entry, doctor);
+  }
+}
+
+async function processAllDoctors() {
+  const doctorIds = await WaitlistEntry.distinct('doctor_id', { status: 'waiting' });
+  for (const doctorId of doctorIds) {
+    await processDoctor(doctorId);
+  }
+}
+
+// Close out an offer and pass its slot on to the next patient in line. The entry goes back
+// in line unless entryStatus says otherwise. Returns the updated entry, or null if the offer
+// was already accepted, declined or expired by another request.
+async function releaseOffer(entry, offerStatus, entryStatus) {
+  const offer = pendingOffer(entry);
+  if (!offer) return null;
+
+  const released = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, offers: { $elemMatch: { _id: offer._id, status: 'pending' } } },
+    {
+      $set: {
+        'offers.$.status': offerStatus,
+        'offers.$.responded_at': Date.now(),
+        status: entryStatus || (entry.to_date < availability.today() ? 'expired' : 'waiting'),
+        updated_at: Date.now()
+      }
+    },
+    { new: true }
+  );
+  if (!released) return null;
+  entry.set(released.toObject());
+
+  await offerSlot(entry.doctor_id, offer.appointment_date, offer.appointment_time);
+  return released;
+}
+
+// Take the pending offer for booking, so a concurrent decline or the expiry sweep cannot pass
+// the slot on meanwhile. Returns the updated entry, or null if the offer is gone or lapsed.
+async function claimOffer(entry, offer) {
+  return WaitlistEntry.findOneAndUpdate(
+    {
+      _id: entry._id,
+      offers: { $elemMatch: { _id: offer._id, status: 'pending', expires_at: { $gt: new Date() } } }
+    },
+    {
+      $set: {
+        'offers.$.status': 'accepted',
+        'offers.$.responded_at': Date.now(),
+        status: 'booked',
+        updated_at: Date.now()
+      }
+    },
+    { new: true }
+  );
+}
+
+// Hand a claimed offer back when its booking could not be made
+async function unclaimOffer(entry, offer) {
+  await WaitlistEntry.updateOne(
+    { _id: entry._id, status: 'booked', appointment_id: null, offers: { $elemMatch: { _id: offer._id, status: 'accepted' } } },
+    {
+      $set: { 'offers.$.status': 'pending', status: 'offered', updated_at: Date.now() },
+      $unset: { 'offers.$.responded_at': 1 }
+    }
+  );
+}
+
+// Expire lapsed offers and date ranges that have passed
+async function expireOffers() {
+  const now = new Date();
+  const lapsed = await WaitlistEntry.find({
+    status: 'offered',
+    offers: { $elemMatch: { status: 'pending', expires_at: { $lte: now } } }
+  }).sort({ created_at: 1 });
+
+  for (const entry of lapsed) {
+    await releaseOffer(entry, 'expired');
+  }
+
+  await WaitlistEntry.updateMany(
+    { status: 'waiting', to_date: { $lt: availability.today() } },
+    { status: 'expired', updated_at: Date.now() }
+  );
+}
+
+// Fire-and-forget hooks for routes; waitlist failures must not fail the request
+function notifySlotFreed(doctorId, date, time) {
+  offerSlot(doctorId, date, time).catch((error) => console.error('Waitlist offer error:', error));
+}
+
+function notifyAvailabilityChanged(doctorId) {
+  const work = doctorId ? processDoctor(doctorId) : processAllDoctors();
+  work.catch((error) => console.error('Waitlist processing error:', error));
+}
+
+function startWaitlistJob() {
+  const timer = setInterval(() => {
+    expireOffers().catch((error) => console.error('Waitlist expiry error:', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  OFFER_HOLD_MINUTES,
+  validateEntry,
+  pendingOffer,
+  offerNextSlot,
+  offerSlot,
+  releaseOffer,
+  claimOffer,
+  unclaimOffer,
+  expireOffers,
+  notifySlotFreed,
+  notifyAvailabilityChanged,
+  startWaitlistJob
+};